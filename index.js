@@ -1,11 +1,76 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const crypto = require("crypto");
+const stream = require("stream");
 const excel = require("xlsx");
 const CsvReadableStream = require("csv-reader");
-const createCsvWriter = require('csv-writer').createArrayCsvWriter;
+const createCsvStringifier = require('csv-writer').createArrayCsvStringifier;
+
+//Base of all the errors thrown by the helpers. Every error carries a stable "code" that scripts can rely on instead
+//of parsing the message, "values" with the offending values and, if it was caused by another error, "cause":
+//  try {
+//      await GetDataSet(job, "Order")
+//  } catch (e) {
+//      if (e.code === "DATASET_NOT_FOUND") {...}
+//  }
+class SwitchHelperError extends Error {
+    constructor(message, details = {}) {
+        super(message, details.cause === undefined ? undefined : {cause: details.cause})
+        this.name = this.constructor.name
+        this.code = details.code || this.constructor.defaultCode
+        this.values = details.values || {}
+    }
+}
+SwitchHelperError.defaultCode = "SWITCH_HELPER_ERROR"
+
+//Global switch config is missing, cannot be read or does not match the schema
+class ConfigError extends SwitchHelperError {}
+ConfigError.defaultCode = "CONFIG_INVALID"
+
+//An argument, an option or the data passed to a helper is not valid
+class ValidationError extends SwitchHelperError {}
+ValidationError.defaultCode = "INVALID_ARGUMENT"
+
+//Reading, creating or removing a dataset failed
+class DatasetError extends SwitchHelperError {}
+DatasetError.defaultCode = "DATASET_ERROR"
+
+//The dataset requested does not exist on the job
+class DatasetNotFoundError extends DatasetError {}
+DatasetNotFoundError.defaultCode = "DATASET_NOT_FOUND"
+
+//A file or a folder does not exist, cannot be read or cannot be written
+class FileSystemError extends SwitchHelperError {}
+FileSystemError.defaultCode = "FILE_SYSTEM_ERROR"
+
+//Sending the job to a connection failed or the connection does not exist
+class RoutingError extends SwitchHelperError {}
+RoutingError.defaultCode = "ROUTING_FAILED"
 
-//Constructor for ease of creation of Switch Report
-function SwitchReport() {
+//An operation did not finish in the time given
+class TimeoutError extends SwitchHelperError {}
+TimeoutError.defaultCode = "TIMEOUT"
+
+//Returns the error as it is if it was thrown by the helpers, otherwise wraps it into "ErrorClass" with the original
+//error as the cause. Anything thrown (strings included) ends up as a SwitchHelperError
+function WrapError(error, ErrorClass, message, values = {}) {
+    if (error instanceof SwitchHelperError) {return error}
+
+    return new ErrorClass(`${message}: ${error instanceof Error ? error.message : error}`, {values: values, cause: error})
+}
+
+//Constructor for ease of creation of Switch Report. Settings:
+//  dateFormat: FormatDate pattern of the creation time shown in HTML and text reports. Default - "YYYY.MM.DD.HH.mm.ss"
+//  rowDateFormat: FormatDate pattern of the row timestamps in text reports. Default - "YYYY-MM-DDTHH:mm:ss.SSS[Z]"
+//  timeZone: Time zone both of the above are shown in. "local", "UTC" or an IANA time zone name. Default - "UTC"
+//Timestamps in JSON, CSV and XML reports are always ISO strings in UTC
+function SwitchReport(settings = {}) {
+    settings = {
+        dateFormat: settings.dateFormat || "YYYY.MM.DD.HH.mm.ss",
+        rowDateFormat: settings.rowDateFormat || "YYYY-MM-DDTHH:mm:ss.SSS[Z]",
+        timeZone: settings.timeZone || "UTC",
+    }
 
     let options = {
         PageTitle: "",
@@ -14,6 +79,7 @@ function SwitchReport() {
             Error: 0,
             Warning: 0,
             Success: 0,
+            Log: 0,
         },
         MessageByType: {
             Error: [],
@@ -22,6 +88,15 @@ function SwitchReport() {
             Log: [],
         },
         Rows: [],
+        Sections: [],
+        CurrentSection: "",
+    }
+
+    const rowTypeKeys = {
+        error: "Error",
+        warning: "Warning",
+        success: "Success",
+        log: "Log",
     }
 
     const thisFunction = this;
@@ -46,39 +121,87 @@ function SwitchReport() {
 
     this.addErrorRow = function (...messages) {
         thisFunction.addRow("error", ...messages);
-        options.MessageByType.Error.push(...messages)
-        options.RowCounts.Error++
     }
     this.addWarningRow = function (...messages) {
         thisFunction.addRow("warning", ...messages);
-        options.MessageByType.Warning.push(...messages)
-        options.RowCounts.Warning++
     }
     this.addSuccessRow = function (...messages) {
         thisFunction.addRow("success", ...messages);
-        options.MessageByType.Success.push(...messages)
-        options.RowCounts.Success++
+    }
+    this.addLogRow = function (...messages) {
+        thisFunction.addRow("log", ...messages);
     }
 
-    this.addRow = function (rowType, ...messages) {
-        let colours = {
-            success: "bg-success",
-            warning: "bg-warning",
-            error: "bg-error",
-        }
+    //Same as "addRow", except the messages are treated as trusted HTML and are not escaped in the HTML report.
+    //Only use it for markup you've built yourself, any values coming from files or users should go through EscapeHtml
+    this.addHtmlRow = function (rowType, ...messages) {
+        thisFunction.addRow(rowType, ...messages.map(message => message && typeof message === "object" ? {...message, html: true} : {message: message, html: true}))
+    }
 
-        let color = colours[rowType] || "bg-default"
+    //Adds a row for every message supplied. A message can either be a string or an object in a format
+    //{message: "...", fields: {...}, section: "...", html: true|false} where "fields" are any additional values you
+    //want to carry along with the row, "section" overrides the current section and "html" marks the message as
+    //trusted HTML. Messages are escaped in the HTML report unless marked as trusted.
+    this.addRow = function (rowType, ...messages) {
+        const countKey = rowTypeKeys[rowType] || "Log"
 
         for (let message of messages) {
-            options.Rows.push(`
-            <div class="row">
-              <div class="cell-status ${color}"></div>
-              <div class="cell-message">${message}</div>
-            </div>
-        `)
+            let fields = {};
+            let section = options.CurrentSection;
+            let html = false;
+
+            if (message && typeof message === "object") {
+                fields = message.fields || {}
+                section = message.section === undefined ? section : `${message.section}`
+                html = !!message.html
+                message = message.message
+            }
+
+            if (section && !options.Sections.includes(section)) {
+                options.Sections.push(section)
+            }
+
+            options.Rows.push({
+                type: rowTypeKeys[rowType] ? rowType : "log",
+                message: `${message}`,
+                timestamp: new Date().toISOString(),
+                section: section,
+                html: html,
+                fields: fields,
+            })
+
+            options.MessageByType[countKey].push(message)
+            options.RowCounts[countKey]++
         }
     }
 
+    //All the rows added after this call are placed into a named section. Sections are rendered as collapsible
+    //groups in the HTML report. Calling it again with the same name continues the existing section
+    this.startSection = function (name) {
+        if (typeof name !== "string" || name === "") {throw new ValidationError(`Section name must be a non-empty string, got "${name}"!`, {values: {name: name}})}
+
+        options.CurrentSection = name
+        if (!options.Sections.includes(name)) {options.Sections.push(name)}
+
+        return thisFunction;
+    }
+
+    //Rows added after this call are no longer placed in any section
+    this.endSection = function () {
+        options.CurrentSection = ""
+
+        return thisFunction;
+    }
+
+    this.getSections = function () {
+        return [...options.Sections]
+    }
+
+    //Returns a copy of all the rows added so far in a format {type, message, timestamp, fields}
+    this.getRows = function () {
+        return options.Rows.map(row => ({...row, fields: {...row.fields}}))
+    }
+
     this.ErrorCount = function () {
         return options.RowCounts.Error
     }
@@ -88,22 +211,92 @@ function SwitchReport() {
     this.SuccessCount = function () {
         return options.RowCounts.Success
     }
+    this.LogCount = function () {
+        return options.RowCounts.Log
+    }
 
     this.ListErrors = function () {return options.MessageByType.Error}
     this.ListWarnings = function () {return options.MessageByType.Warning}
     this.ListSuccess = function () {return options.MessageByType.Success}
+    this.ListLogs = function () {return options.MessageByType.Log}
 
     this.generateHtmlReport = function () {
+        const colours = {
+            success: "bg-success",
+            warning: "bg-warning",
+            error: "bg-error",
+        }
+
+        const renderRow = row => `
+            <div class="row" data-type="${row.type}">
+              <div class="cell-status ${colours[row.type] || "bg-default"}"></div>
+              <div class="cell-message">${row.html ? row.message : EscapeHtml(row.message)}</div>
+            </div>
+        `
+
+        const renderCounts = counts => Object.keys(rowTypeKeys)
+            .map(type => `<span class="count ${colours[type] || "bg-default"}">${rowTypeKeys[type]}: ${counts[type]}</span>`)
+            .join("")
+
+        const rows = options.Rows.filter(row => !row.section).map(renderRow);
+
+        const sections = options.Sections.map(name => {
+            const sectionRows = options.Rows.filter(row => row.section === name);
+            const counts = CountRowTypes(sectionRows);
+
+            return `
+              <details class="section" ${counts.error || counts.warning ? "open" : ""}>
+                <summary>${EscapeHtml(name)} ${renderCounts(counts)}</summary>
+                ${sectionRows.map(renderRow).join("")}
+              </details>
+            `
+        });
+
+        const filters = Object.keys(rowTypeKeys).map(type => `
+                <label><input type="checkbox" data-filter="${type}" checked> ${rowTypeKeys[type]}</label>`).join("")
+
         return `
             <!DOCTYPE html>
             <html lang="en">
             <head>
               <meta charset="UTF-8">
-              <title>${options.TabTitle}</title>
+              <title>${EscapeHtml(options.TabTitle)}</title>
               <style>
                 #page-title {
                   text-align: center;
                 }
+                
+                #summary {
+                  text-align: center;
+                  margin: 0 0 1rem 0;
+                }
+                #filters {
+                  margin: 0 0 1rem 0;
+                  font-size: .875rem;
+                }
+                .count {
+                  display: inline-block;
+                  margin: 0 .25rem;
+                  padding: .125rem .5rem;
+                  border-radius: .25rem;
+                  font-size: .875rem;
+                }
+                #summary .count {
+                  font-size: 1rem;
+                  padding: .25rem .75rem;
+                }
+            
+                .section {
+                  margin: 0 0 1rem 0;
+                }
+                .section summary {
+                  cursor: pointer;
+                  font-weight: bold;
+                  margin: 0 0 .5rem 0;
+                }
+                .section summary .count {
+                  font-weight: normal;
+                }
             
                 .row {
                   display: flex;
@@ -119,6 +312,9 @@ function SwitchReport() {
                 .row .cell-status {
                   flex: 1rem;
                 }
+                .hidden {
+                  display: none;
+                }
             
                 #status-info {
                   font-size: .875rem;
@@ -140,656 +336,5168 @@ function SwitchReport() {
             </head>
             <body>
               <div id="page-title">
-                <h2>${options.PageTitle}</h2>
+                <h2>${EscapeHtml(options.PageTitle)}</h2>
+              </div>
+              <div id="summary">
+                ${renderCounts(CountRowTypes(options.Rows))}
+              </div>
+              <div id="filters">
+                Show:${filters}
               </div>
               <div id="rows">
-                ${options.Rows.join("")}
+                ${rows.join("")}
+                ${sections.join("")}
               </div>
               <hr style="margin: 2rem 0">
               <div id="status-info">
-                Time Created: ${GenerateDateString(".", false)}
+                Time Created: ${FormatDate(new Date(), settings.dateFormat, {timeZone: settings.timeZone})}
               </div>
+              <script>
+                document.querySelectorAll("#filters input").forEach(function (input) {
+                  input.addEventListener("change", function () {
+                    document.querySelectorAll('.row[data-type="' + input.dataset.filter + '"]').forEach(function (row) {
+                      row.classList.toggle("hidden", !input.checked)
+                    })
+                  })
+                })
+              </script>
             </body>
             </html>
         `
     }
 
-    this.generateHtmlReportAsFile = function(tmpFileLocation) {
-        return CreateNewTmpFile(path.join(tmpFileLocation, GenerateNewName(`tmpHtml`, `_report.html`)), thisFunction.generateHtmlReport())
+    //Returns the report as a JSON string in a format {pageTitle, tabTitle, created, counts, sections, rows}
+    this.generateJsonReport = function () {
+        return JSON.stringify({
+            pageTitle: options.PageTitle,
+            tabTitle: options.TabTitle,
+            created: new Date().toISOString(),
+            counts: CountRowTypes(options.Rows),
+            sections: options.Sections.map(name => ({name: name, counts: CountRowTypes(options.Rows.filter(row => row.section === name))})),
+            rows: options.Rows.map(row => ({type: row.type, message: RowText(row), timestamp: row.timestamp, section: row.section, fields: row.fields})),
+        }, null, 2)
     }
 
-    this.sendJobToConnection = async function (job, tmpFileLocation, newName) {
-        if (!job) {throw `"job" is not provided as an argument to method "sendJobToConnection"!`}
-        tmpFileLocation = tmpFileLocation || (GetGlobalSwitchConfig())["TempMetadataFileLocation"]
+    //Returns the report as a CSV string with the columns "timestamp", "type", "section", "message" and "fields" (JSON encoded)
+    this.generateCsvReport = function () {
+        const stringifier = createCsvStringifier({header: ["timestamp", "type", "section", "message", "fields"]});
+
+        return stringifier.getHeaderString() + stringifier.stringifyRecords(options.Rows.map(row => [
+            row.timestamp,
+            row.type,
+            row.section,
+            RowText(row),
+            Object.keys(row.fields).length ? JSON.stringify(row.fields) : "",
+        ]))
+    }
 
-        const ConnManager = new OutgoingConnectionManager(job, newName);
+    //Returns the report as plain text, suitable for emails
+    this.generateTextReport = function () {
+        const lines = [];
 
-        const sender = thisFunction.ErrorCount() ? ConnManager.error : thisFunction.WarningCount() ? ConnManager.warning : ConnManager.success
+        if (options.PageTitle) {lines.push(options.PageTitle, "")}
+
+        const counts = CountRowTypes(options.Rows);
+        lines.push(`Errors: ${counts.error}, Warnings: ${counts.warning}, Success: ${counts.success}, Log: ${counts.log}`, "")
+
+        //Rows without a section go first, the same way they do in the HTML report
+        const groups = [{name: "", rows: options.Rows.filter(row => !row.section)}]
+            .concat(options.Sections.map(name => ({name: name, rows: options.Rows.filter(row => row.section === name)})))
+
+        for (let group of groups) {
+            if (group.name) {lines.push("", `== ${group.name} ==`)}
+
+            for (let row of group.rows) {
+                lines.push(TextReportLine(row, FormatDate(row.timestamp, settings.rowDateFormat, {timeZone: settings.timeZone})))
+            }
+        }
 
-        await sender(thisFunction.generateHtmlReportAsFile(tmpFileLocation));
+        lines.push("", `Time Created: ${FormatDate(new Date(), settings.dateFormat, {timeZone: settings.timeZone})}`)
+
+        return lines.join("\n")
     }
-}
 
-//Reads environmental variable passed in (which is supposed to point to a Switch Config JSON file), reads
-//the file and returns as JSON object
-function GetGlobalSwitchConfig(env_var = "SwitchConfig") {
-    const loc = process.env[env_var]
+    //Returns the report as an XML string
+    this.generateXmlReport = function () {
+        const rows = options.Rows.map(row => {
+            const fields = Object.keys(row.fields).map(key => `
+        <field name="${EscapeXml(key)}">${EscapeXml(row.fields[key])}</field>`).join("");
+
+            return `
+    <row type="${row.type}" timestamp="${row.timestamp}"${row.section ? ` section="${EscapeXml(row.section)}"` : ""}>
+      <message>${EscapeXml(RowText(row))}</message>${fields ? `
+      <fields>${fields}
+      </fields>` : ""}
+    </row>`
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<report created="${new Date().toISOString()}">
+  <pageTitle>${EscapeXml(options.PageTitle)}</pageTitle>
+  <tabTitle>${EscapeXml(options.TabTitle)}</tabTitle>
+  <counts error="${options.RowCounts.Error}" warning="${options.RowCounts.Warning}" success="${options.RowCounts.Success}" log="${options.RowCounts.Log}"/>
+  <rows>${rows.join("")}
+  </rows>
+</report>
+`
+    }
 
-    if (!loc) {
-        throw Error(`Environmental variable "${env_var}" is not set!`)
+    //Returns the report in the format requested. Allowed formats are: "html", "json", "csv", "text", "xml"
+    this.generateReport = function (format = "html") {
+        if (!reportFormats[format]) {throw new ValidationError(`Report format "${format}" is not supported! Allowed formats are: "${Object.keys(reportFormats).join(`", "`)}"`, {code: "INVALID_OPTION", values: {format: format, allowed: Object.keys(reportFormats)}})}
+
+        return thisFunction[reportFormats[format].generator]()
     }
 
-    if (path.parse(loc).ext !== ".json") {
-        throw Error(`Path to global settings for switch "${loc}" defined in ENV variable "${env_var}" does not point to a JSON file!`)
+    //Saves the report in the format requested as a temporary file and returns full path to it. "tmpFileLocation" is
+    //either a folder or a TempWorkspace
+    this.generateReportAsFile = function (format = "html", tmpFileLocation) {
+        if (!reportFormats[format]) {throw new ValidationError(`Report format "${format}" is not supported! Allowed formats are: "${Object.keys(reportFormats).join(`", "`)}"`, {code: "INVALID_OPTION", values: {format: format, allowed: Object.keys(reportFormats)}})}
+
+        const location = path.join(TmpLocation(tmpFileLocation), GenerateNewName(reportFormats[format].prefix, `_report${reportFormats[format].ext}`));
+        return TrackTmpFile(tmpFileLocation, CreateNewTmpFile(location, thisFunction.generateReport(format)))
     }
 
-    try {
-        return JSON.parse(fs.readFileSync(loc, "utf-8"))
-    } catch (e) {
-        throw `Invalid JSON file format referred from "${env_var}" environmental variable, location "${loc}"! Original error: "${e.toString()}"`
+    this.generateHtmlReportAsFile = function(tmpFileLocation) {
+        return thisFunction.generateReportAsFile("html", tmpFileLocation)
+    }
+    this.generateJsonReportAsFile = function(tmpFileLocation) {
+        return thisFunction.generateReportAsFile("json", tmpFileLocation)
+    }
+    this.generateCsvReportAsFile = function(tmpFileLocation) {
+        return thisFunction.generateReportAsFile("csv", tmpFileLocation)
+    }
+    this.generateTextReportAsFile = function(tmpFileLocation) {
+        return thisFunction.generateReportAsFile("text", tmpFileLocation)
+    }
+    this.generateXmlReportAsFile = function(tmpFileLocation) {
+        return thisFunction.generateReportAsFile("xml", tmpFileLocation)
     }
-}
 
-//Generates a date string in the following format: 20221011103552333. You can also define the separator.
-//If you chose ".", the date would look like this:  2022.10.11.10.35.52.333. You cal also omit the milliseconds
-//in which case it will look the same except without the segment
-function GenerateDateString(separator = "", includeMs = true) {
-    let d = new Date()
+    //Sends the job to the "Traffic Lights" connection matching the report outcome with the report attached as a log.
+    //"format" defines in which format the report gets attached. Default - "html"
+    //The report file is removed once the job has been routed. If "tmpFileLocation" is a TempWorkspace, the whole
+    //workspace is disposed
+    this.sendJobToConnection = async function (job, tmpFileLocation, newName, format = "html") {
+        if (!job) {throw new ValidationError(`"job" is not provided as an argument to method "sendJobToConnection"!`)}
+        tmpFileLocation = tmpFileLocation || GetGlobalSwitchConfigFor("SwitchReport", "SwitchReport.sendJobToConnection")["TempMetadataFileLocation"]
+        const workspace = tmpFileLocation instanceof TempWorkspace ? tmpFileLocation : new TempWorkspace({location: tmpFileLocation, name: "report"});
+
+        const ConnManager = new OutgoingConnectionManager(job, newName, {workspace: workspace});
 
-    const YYYY = d.getUTCFullYear(),
-        MM = separator+(d.getUTCMonth() < 10 ? `0${d.getUTCMonth()}` : d.getUTCMonth()),
-        DD = separator+(d.getUTCDate() < 10 ? `0${d.getUTCDate()}` : d.getUTCDate()),
-        hh = separator+(d.getUTCHours() < 10 ? `0${d.getUTCHours()}` : d.getUTCHours()),
-        mm = separator+(d.getUTCMinutes() < 10 ? `0${d.getUTCMinutes()}` : d.getUTCMinutes()),
-        ss = separator+(d.getUTCSeconds() < 10 ? `0${d.getUTCSeconds()}` : d.getUTCSeconds()),
-        ms = includeMs ? separator+d.getUTCMilliseconds() : ""
+        const sender = thisFunction.ErrorCount() ? ConnManager.error : thisFunction.WarningCount() ? ConnManager.warning : ConnManager.success
 
-    return `${YYYY}${MM}${DD}${hh}${mm}${ss}${ms}`
+        await sender(thisFunction.generateReportAsFile(format, workspace));
+    }
 }
 
-//Generating a new name perfect for using with creation of random files. Note: existing file check should still
-//be performed as there's a micro chance to produce a duplicate name
-function GenerateNewName(prefix = "", suffix = "", separator = "_") {
-    return `${prefix ? prefix+separator : ""}${GenerateDateString()}${separator}${Math.round(Math.random() * 1000000000000)}${suffix ? separator+suffix : ""}`
+//Formats SwitchReport can be generated in. "generator" is the name of the method producing the content
+const reportFormats = {
+    html: {generator: "generateHtmlReport", ext: ".html", prefix: "tmpHtml"},
+    json: {generator: "generateJsonReport", ext: ".json", prefix: "tmpJson"},
+    csv: {generator: "generateCsvReport", ext: ".csv", prefix: "tmpCsv"},
+    text: {generator: "generateTextReport", ext: ".txt", prefix: "tmpText"},
+    xml: {generator: "generateXmlReport", ext: ".xml", prefix: "tmpXml"},
 }
 
-//Creates new temporary file. If nothing is provided, new random file is created at a location defined in the
-//global switch config file. Alternatively, you can provide either folder path only, file name only or full path.
-//After the file was created, full path to it is returned
-function CreateNewTmpFile(location = "", content = "", overwrite = false) {
-    if (typeof location !== "string") {throw Error(`Invalid location provided. Expected "string", got ${typeof location}`)}
-    if (typeof content !== "string") {throw Error(`Wrong content type provided! Expected "string", got ${typeof content}`)}
-    let parsedLoc = path.parse(location)
-    if (parsedLoc.dir === "") {
-        parsedLoc = path.parse(path.join(GetGlobalSwitchConfig()["TempMetadataFileLocation"], parsedLoc.base))
-    }
-    if (parsedLoc.ext === "") {
-        parsedLoc = path.parse(path.join(parsedLoc.dir, parsedLoc.base, GenerateNewName("tmp_generic_file", ".txt")))
+//Counts rows by their type, returns {error, warning, success, log}
+function CountRowTypes(rows) {
+    const counts = {error: 0, warning: 0, success: 0, log: 0};
+
+    for (let row of rows) {
+        counts[row.type]++
     }
 
-    if (!fs.existsSync(parsedLoc.dir)) {fs.mkdirSync(parsedLoc.dir)}
+    return counts
+}
 
-    let fullPath = path.join(parsedLoc.dir, parsedLoc.base);
+//Returns the message of a SwitchReport row as plain text
+function RowText(row) {
+    return row.html ? HtmlToText(row.message) : row.message
+}
 
-    for (;;) {
-        if (fs.existsSync(fullPath) && !overwrite) {
-            fullPath = path.join(parsedLoc.dir, `${GenerateDateString()}-${parsedLoc.base}`)
-            continue
-        }
+//Formats a single SwitchReport row as a line of the plain text report
+function TextReportLine(row, timestamp = row.timestamp) {
+    let line = `[${timestamp}] ${row.type.toUpperCase().padEnd(7)} ${RowText(row)}`
+    const fields = Object.keys(row.fields);
 
-        break
+    if (fields.length) {
+        line += ` (${fields.map(key => `${key}: ${row.fields[key]}`).join(", ")})`
     }
 
-    fs.writeFileSync(fullPath, content, "utf-8")
+    return line
+}
 
-    return fullPath
+//Escapes characters that have a special meaning in HTML, so the value is displayed as is
+function EscapeHtml(value) {
+    return `${value}`
+        .replaceAll("&", "&amp;")
+        .replaceAll("<", "&lt;")
+        .replaceAll(">", "&gt;")
+        .replaceAll(`"`, "&quot;")
+        .replaceAll("'", "&#39;")
 }
 
-//This is analogous to job.createDataset, except, this allows passing on json object
-//directly as a parameter which gets placed into the metadata. In order to do that,
-//internally, the function creates a temporary file and uses it as the metadata.
-async function CreateDataSet(job, datasetName, data, tmp_file_store, datasetModel = "JSON") {
-    let allowedDatasetModels = ["JSON", "Opaque"];
-    if (!allowedDatasetModels.includes(datasetModel)) {
-        throw Error(`Dataset Model "${datasetModel}" is not supported! Allowed dataset models are: "${allowedDatasetModels.join(`", "`)}".`)
-    }
-    if (!tmp_file_store) {
-        let key = `TempMetadataFileLocation`;
-        tmp_file_store = GetGlobalSwitchConfig()[key];
-        if (!tmp_file_store) {
-            throw Error(`Location where to store temporary created files could not been found in the global switch config file where key should be "${key}" for dataset name "${datasetName}"!`)
-        }
-    }
-    //Checking whether the right type of variables are supplied to the function
-    if (datasetModel === "JSON" && typeof data !== "object") {
-        throw Error(`When using "JSON" DatasetModel, expecting to receive data type "object", got "${typeof data}".`)
-    }
-    if (datasetModel === "Opaque" && typeof data !== "string") {
-        throw Error(`When using "Opaque" DatasetModel, expecting to receive data of type "string", got "${typeof data}".`)
-    }
-    if (typeof datasetName !== "string" || datasetName === "") {
-        throw Error(`Dataset name "${datasetName.toString()}" is invalid!`)
-    }
-    if (!tmp_file_store || !fs.existsSync(tmp_file_store)) {
-        throw Error(`Invalid location "${tmp_file_store}" for storing temporary metadata files!`)
-    }
+//Escapes characters that are not allowed in XML text and attribute values
+function EscapeXml(value) {
+    return `${value}`
+        .replaceAll("&", "&amp;")
+        .replaceAll("<", "&lt;")
+        .replaceAll(">", "&gt;")
+        .replaceAll(`"`, "&quot;")
+        .replaceAll("'", "&apos;")
+}
 
-    let location;
+//Strips HTML tags from the string and decodes the basic entities, so the messages can be used in plain formats
+function HtmlToText(value) {
+    return `${value}`
+        .replace(/<[^>]*>/g, "")
+        .replaceAll("&lt;", "<")
+        .replaceAll("&gt;", ">")
+        .replaceAll("&quot;", `"`)
+        .replaceAll("&#39;", "'")
+        .replaceAll("&amp;", "&")
+}
 
-    if (datasetModel === "JSON") {
-        for (;;) {
-            location = path.join(tmp_file_store, `${GenerateNewName("dataset")}.json`);
+//Global switch config keys the helpers rely on. Before a helper uses the global switch config, the config gets
+//validated against the keys it declared in ConfigSchemas, so a missing or wrong key is reported up front instead of
+//failing somewhere deep inside. Each key is defined as {type, required, default, mustExist, allowed, description},
+//where "type" is one of "string", "number", "boolean", "object", "array" or "path"
+const configKeys = {
+    TempMetadataFileLocation: {type: "path", required: true, mustExist: true, description: "Folder where temporary files such as datasets and reports are created"},
+    TempFileMaxAge: {type: "number", default: 86400000, description: "Milliseconds after which SweepTempFiles removes temporary files"},
+    LogLevel: {type: "string", default: "info", allowed: ["debug", "info", "warning", "error"], description: "Lowest level of messages logged by Logger"},
+    LogFile: {type: "string", default: "", description: "JSON-lines file Logger writes to, empty for none"},
+    LogFileMaxSize: {type: "number", default: 10485760, description: "Size in bytes after which the log file is rotated"},
+    LogFileMaxFiles: {type: "number", default: 5, description: "Number of rotated log files kept"},
+    FlowOverrides: {type: "object", description: "Values overriding the config for the flow named by the key"},
+}
 
-            if (fs.existsSync(location)) {continue}
+//Returns the definitions of the keys named from configKeys
+function ConfigKeys(...names) {
+    return Object.fromEntries(names.map(name => [name, configKeys[name]]))
+}
 
-            break
-        }
+//Keys of global switch config by what they configure ("TempFiles") and by the helper reading them
+const ConfigSchemas = {
+    TempFiles: ConfigKeys("TempMetadataFileLocation", "TempFileMaxAge"),
+    GetGlobalSwitchConfig: ConfigKeys("FlowOverrides"),
+    SwitchReport: ConfigKeys("TempMetadataFileLocation"),
+    CreateNewTmpFile: ConfigKeys("TempMetadataFileLocation"),
+    TempWorkspace: ConfigKeys("TempMetadataFileLocation"),
+    SweepTempFiles: ConfigKeys("TempMetadataFileLocation", "TempFileMaxAge"),
+    CreateDataSet: ConfigKeys("TempMetadataFileLocation"),
+    Logger: ConfigKeys("LogLevel", "LogFile", "LogFileMaxSize", "LogFileMaxFiles"),
+}
 
-        fs.writeFileSync(location, JSON.stringify(data))
+//Parsed config files by their location, so the files are only re-read when they change
+const configFileCache = {};
+
+//Reads environmental variable passed in (which is supposed to point to a Switch Config JSON file), reads
+//the file and returns as JSON object. The config is put together from the following layers, each one overriding
+//the previous:
+//  1. Base file - the file environmental variable "env_var" points to
+//  2. Server file - the file environmental variable "<env_var>Server" points to. If the variable is not set, a file
+//     next to the base file named "<base name>.<host name>.json" is used if it exists
+//  3. Flow overrides - values from "FlowOverrides.<flow name>" of the config if options.flow is provided
+//  4. Environmental variables - "SWITCHCFG_<Key>" sets a value for the key, "__" separates nested keys, e.g.
+//     "SWITCHCFG_LogLevel" or "SWITCHCFG_FlowOverrides__Prepress__LogLevel". Values are parsed as JSON when possible, otherwise used as strings
+//Files are cached and only re-read when they change. Options:
+//  flow: Name of the flow to apply the overrides of
+//  schema: Keys to validate the config against, see ConfigSchemas. Defaults from the schema are applied
+//  requiredBy: Name of the helper the config is validated for, used in the validation report
+//  envPrefix: Prefix of environmental variables overriding config values. Default - "SWITCHCFG_"
+function GetGlobalSwitchConfig(env_var = "SwitchConfig", options = {}) {
+    options = {
+        flow: options.flow,
+        schema: options.schema,
+        requiredBy: options.requiredBy || "",
+        envPrefix: options.envPrefix === undefined ? "SWITCHCFG_" : options.envPrefix,
     }
 
-    if (datasetModel === "Opaque") {
-        location = data
+    const loc = process.env[env_var]
+
+    if (!loc) {
+        throw new ConfigError(`Environmental variable "${env_var}" is not set!`, {code: "CONFIG_NOT_SET", values: {variable: env_var}})
     }
 
-    await job.createDataset(datasetName, location, datasetModel);
+    if (path.parse(loc).ext !== ".json") {
+        throw new ConfigError(`Path to global settings for switch "${loc}" defined in ENV variable "${env_var}" does not point to a JSON file!`, {code: "CONFIG_NOT_JSON", values: {variable: env_var, location: loc}})
+    }
 
-    return {
-        removeTmpFiles: function () {
-            try { fs.unlinkSync(location) } catch {}
-        }
+    let config = ReadConfigFile(loc, env_var);
+    const sources = [loc];
+
+    const parsedLoc = path.parse(loc);
+    const serverLoc = process.env[`${env_var}Server`] || path.join(parsedLoc.dir, `${parsedLoc.name}.${os.hostname()}.json`);
+
+    if (process.env[`${env_var}Server`] || fs.existsSync(serverLoc)) {
+        config = DeepMerge(config, ReadConfigFile(serverLoc, `${env_var}Server`))
+        sources.push(serverLoc)
     }
-}
 
-//Checking whether dataset exists
-async function DataSetExists(job, name) {
-    try {
-        for (let set of await job.listDatasets()) {
-            if (set["name"] !== name) {
-                continue
-            }
+    if (options.flow && config["FlowOverrides"] && config["FlowOverrides"][options.flow]) {
+        config = DeepMerge(config, config["FlowOverrides"][options.flow])
+        sources.push(`FlowOverrides.${options.flow}`)
+    }
 
-            return true
+    if (options.envPrefix) {
+        for (let variable of Object.keys(process.env).filter(v => v.startsWith(options.envPrefix)).sort()) {
+            const keys = variable.slice(options.envPrefix.length).split("__").filter(key => key !== "");
+            if (keys.length === 0) {continue}
+
+            let value = process.env[variable];
+            try { value = JSON.parse(value) } catch {}
+
+            config = ApplyJsonPointerOperations(config, [{op: "set", path: `/${keys.map(key => key.replaceAll("~", "~0").replaceAll("/", "~1")).join("/")}`, value: value}])
+            sources.push(variable)
         }
-    } catch (e) {
-        await job.log("warning", e.toString());
-        return false
     }
 
-    return false
+    return options.schema ? ValidateConfig(config, options.schema, {requiredBy: options.requiredBy, sources: sources}) : config
 }
 
-//Returns dataset as JSON object
-async function GetDataSet(job, name) {
-    try {
-        if (!await DataSetExists(job, name)) {
-            throw Error(`Dataset "${name}" does not exist!`)
-        }
+//Returns global switch config validated against the keys the helper declared in ConfigSchemas. If "flow" is provided,
+//the overrides of that flow are applied
+function GetGlobalSwitchConfigFor(schemaName, requiredBy, flow) {
+    return GetGlobalSwitchConfig(undefined, {flow: flow, schema: ConfigSchemas[schemaName], requiredBy: requiredBy || schemaName})
+}
 
-        return JSON.parse(fs.readFileSync(await job.getDataset(name, "readOnly"), "utf-8"));
-    } catch (e) {
-        await job.log("warning", e.toString());
-        throw e.toString()
-    }
+//Validates global switch config against the keys of all the helpers at once and returns it with the defaults
+//applied, e.g. to check the config when a flow starts instead of when a job arrives. Accepts the options of
+//GetGlobalSwitchConfig except "schema"
+function ValidateGlobalSwitchConfig(env_var = "SwitchConfig", options = {}) {
+    return GetGlobalSwitchConfig(env_var, {...options, schema: {...configKeys}, requiredBy: options.requiredBy || "all helpers"})
 }
 
-//Returns property value if name exist or undefined if it doesn't
-async function GetProperty(flowElement, name) {
-    try {
-        return await flowElement.hasProperty(name) ? await flowElement.getPropertyStringValue(name) : undefined
-    } catch (e) {
-        return undefined
+//Forgets all the cached config files, next GetGlobalSwitchConfig call will read them again
+function ClearGlobalSwitchConfigCache() {
+    for (let location of Object.keys(configFileCache)) {
+        delete configFileCache[location]
     }
 }
 
-//Converts Excel spreadsheet to separate json objects in a format: {sheet_name: sheet_as_csv_string}
-function ExcelToJsObject(excel_location, options = {}) {
-    options = {
-        ignore_hidden_sheets: options.ignore_hidden_sheets === undefined ? true : options.ignore_hidden_sheets,
-        skip_hidden_rows: options.skip_hidden_rows === undefined ? true : options.skip_hidden_rows,
-        include_blank_rows: options.include_blank_rows === undefined ? false : options.include_blank_rows,
-        min_no_of_rows: options.min_no_of_rows === undefined ? 1 : options.min_no_of_rows
-    };
+//Checks the config against the schema (see ConfigSchemas) and returns a copy of it with the defaults applied.
+//All the problems found are reported at once in a single error. Options:
+//  requiredBy: Name of the helper the config is validated for
+//  sources: List of where the config values came from, included in the error message
+function ValidateConfig(config, schema, options = {}) {
+    const allowedTypes = ["string", "number", "boolean", "object", "array", "path"];
+    const result = {...config};
+    const problems = [];
+
+    for (let key of Object.keys(schema)) {
+        const definition = schema[key];
+        const description = definition.description ? ` (${definition.description})` : "";
+        let value = result[key];
+
+        if (!allowedTypes.includes(definition.type)) {throw new ConfigError(`Config key "${key}" has invalid type "${definition.type}" in the schema! Allowed types are: "${allowedTypes.join(`", "`)}"`, {code: "CONFIG_SCHEMA_INVALID", values: {key: key, type: definition.type, allowed: allowedTypes}})}
+
+        if (value === undefined || value === null || value === "") {
+            if (definition.default !== undefined) {
+                result[key] = structuredClone(definition.default)
+            } else if (definition.required) {
+                problems.push(`Key "${key}" is missing${description}.`)
+            }
 
-    if (!fs.existsSync(excel_location)) {
-        throw Error(`Excel spreadsheet doesn't exist in the specified location "${excel_location}"!`)
-    }
-    let original = excel.readFile(excel_location)
+            continue
+        }
 
-    let result = {}
+        const actualType = Array.isArray(value) ? "array" : typeof value;
+        const expectedType = definition.type === "path" ? "string" : definition.type;
 
-    for (let sheet of original.Workbook["Sheets"]) {
-        if (options.ignore_hidden_sheets && sheet["Hidden"]) {
+        if (actualType !== expectedType) {
+            problems.push(`Key "${key}" must be of type "${definition.type}", got "${actualType}"${description}.`)
             continue
         }
 
-        const csv = excel.utils.sheet_to_csv(original.Sheets[sheet["name"]], {blankrows: options.include_blank_rows, skipHidden: options.skip_hidden_rows});
+        if (definition.allowed && !definition.allowed.includes(value)) {
+            problems.push(`Key "${key}" has value "${value}", allowed values are: "${definition.allowed.join(`", "`)}"${description}.`)
+        }
 
-        if ((csv.split(/\r\n|\r|\n/).length - 1) < options.min_no_of_rows) {
-            continue
+        if (definition.type === "path" && definition.mustExist && !fs.existsSync(value)) {
+            problems.push(`Key "${key}" points to location "${value}" which does not exist${description}.`)
         }
+    }
 
-        result[sheet["name"]] = csv
+    if (problems.length) {
+        const sources = options.sources && options.sources.length ? ` Config was read from: "${options.sources.join(`", "`)}".` : "";
+        throw new ConfigError(`Global switch config is invalid${options.requiredBy ? ` for "${options.requiredBy}"` : ""}!${sources}\n - ${problems.join("\n - ")}`, {code: "CONFIG_INVALID", values: {requiredBy: options.requiredBy, problems: problems}})
     }
 
     return result
 }
 
-//Introduces delay into the process
-function Delay(t) {
-    return new Promise(function(resolve) {
-        setTimeout(function() {
-            resolve();
-        }, t);
-    });
-}
+//Reads and parses a JSON config file. The parsed file is cached and only read again if its modification time or size
+//changes. A copy is returned each time, so the cache cannot be modified by the caller
+function ReadConfigFile(location, env_var) {
+    let stat;
 
-//CompareString compares two strings with options to make a case-insensitive compare as well as partial match
-function CompareStrings(matchToThis, matchThis, options = {}) {
-    options.case_sensitive = options.case_sensitive === undefined ? true : options.case_sensitive
-    options.match_partial = options.match_partial === undefined ? false : options.match_partial
+    try {
+        stat = fs.statSync(location)
+    } catch (e) {
+        throw new ConfigError(`Config file "${location}" referred from "${env_var}" environmental variable could not be read! Original error: "${e.toString()}"`, {code: "CONFIG_UNREADABLE", values: {variable: env_var, location: location}, cause: e})
+    }
 
-    if (!options.case_sensitive) {
-        matchThis = matchThis.toLowerCase()
-        matchToThis = matchToThis.toLowerCase()
+    const cached = configFileCache[location];
+
+    if (!cached || cached.mtimeMs !== stat.mtimeMs || cached.size !== stat.size) {
+        try {
+            configFileCache[location] = {mtimeMs: stat.mtimeMs, size: stat.size, data: JSON.parse(fs.readFileSync(location, "utf-8"))}
+        } catch (e) {
+            throw new ConfigError(`Invalid JSON file format referred from "${env_var}" environmental variable, location "${location}"! Original error: "${e.toString()}"`, {code: "CONFIG_INVALID_JSON", values: {variable: env_var, location: location}, cause: e})
+        }
     }
 
-    return options.match_partial ? matchToThis.includes(matchThis) : matchToThis === matchThis;
+    return structuredClone(configFileCache[location].data)
 }
 
-//This function allows to scan a system location and returns the results
-//needle - what to look for in the haystack.
-//haystack - root system location where to scan
-//options - {
-//  allowedExt,             //An array of extensions that are allowed to be returned. E.g. ".pdf", ".csv", etc.. If nothing
-//                          //is defined, all extensions will be allowed.
-//  partialMatch,           //true/false whether to match the name in full or just partially. Default - true
-//  caseSensitive,          //true/false whether matching is going to be case-sensitive
-//  returnType,             //Return types, needs to be an array with any number of following values: "full", "name", "nameProper". Default - ["full"]
-//  depth,                  //Folder hierarchy scan depth
-//  lookFor,                //What to look for. Allowed options are: "files", "folders", "both". Default - "files"
-//  ifHaystackNotFound,     //What to do if haystack location doesn't exist. Options: "returnEmptyResults", "throwError". Default = "returnEmptyResults"
-//}
-async function FindInLocation(needle, haystack, options) {
-    const startedTime = Date.now();
-    options = options || {}
-    if (typeof options !== "object") {throw Error(`Options must be of type "object", got "${typeof options}"!`)}
+//Log levels in the order of severity, messages below the level of the logger are dropped
+const logLevels = ["debug", "info", "warning", "error"];
+
+//SwitchReport row types the log levels are added as
+const logLevelRowTypes = {debug: "log", info: "log", warning: "warning", error: "error"};
+
+//Context keys Switch shows by itself, so they are not repeated in job.log messages
+const switchContextKeys = ["flow", "element", "job", "step"];
+
+//Logger writes every message to several sinks at once: Switch (job.log or flowElement.log), a SwitchReport and a
+//JSON-lines file which is rotated once it grows too large. Create one per job and pass it to the helpers through
+//their "logger" option, so everything ends up in the same places:
+//  const logger = new Logger({job: job, flowElement: flowElement, report: report, context: {step: "Matching"}})
+//  await logger.info("Order matched", {orderId: 42})
+//  await GetDataSet(job, "Order", {logger: logger})
+//Options:
+//  job: Switch job messages are logged to
+//  flowElement: Switch flow element, messages are logged to it if no job is provided. Used for the context as well
+//  report: SwitchReport messages are added to as rows. Debug and info messages are added as log rows
+//  reportLevel: Lowest level of messages added to the report. Default - "info"
+//  file: Location of the JSON-lines log file. If none is provided, global switch config "LogFile" is used if set
+//  maxFileSize: Size in bytes after which the log file is rotated. Default - global switch config "LogFileMaxSize"
+//  maxFiles: Number of rotated log files kept. Default - global switch config "LogFileMaxFiles"
+//  level: Lowest level of messages logged. If none is provided, global switch config "LogLevel" is used, which
+//  allows turning debug messages on without changing scripts. Default - "info"
+//  context: Fields added to every message, e.g. {step: "Matching"}. Flow, element and job names are added automatically
+//  flow: Name of the flow whose "FlowOverrides" of global switch config apply, e.g. flow: await flowElement.getFlowName()
+//Global switch config is only read if any of the values above is missing and "SwitchConfig" environmental variable is set
+function Logger(options = {}) {
+    let config = ConfigDefaults(ConfigSchemas.Logger);
+
+    const fileSettingsMissing = options.file === undefined || (options.file && (!options.maxFileSize || !options.maxFiles));
+    if ((!options.level || fileSettingsMissing) && process.env["SwitchConfig"]) {
+        config = GetGlobalSwitchConfigFor("Logger", undefined, options.flow)
+    }
+
     options = {
-        allowedExt: options.allowedExt || [],//empty array if nothing is defined
-        allowAllExt: true, //true if nothing is defined
-        partialMatch: options.partialMatch === undefined ? true : options.partialMatch, //true by default
-        caseSensitive: !!options.caseSensitive,
-        returnType: options.returnType && options.returnType.length ? options.returnType : ["full"],
-        depth: options.depth || 0,
-        lookFor: options.lookFor === undefined ? "files" : `${options.lookFor}`,
-        ifHaystackNotFound: options.ifHaystackNotFound || "returnEmptyResults"
+        job: options.job,
+        flowElement: options.flowElement,
+        flow: options.flow,
+        report: options.report,
+        reportLevel: options.reportLevel || "info",
+        file: options.file === undefined ? config["LogFile"] : options.file,
+        maxFileSize: options.maxFileSize || config["LogFileMaxSize"],
+        maxFiles: options.maxFiles || config["LogFileMaxFiles"],
+        level: options.level || config["LogLevel"],
+        context: {...(options.context || {})},
     }
-    let response = {results: {}, stats: {foldersScanned: 0, entitiesTested: 0, timeTaken: 0, resultsFound: 0}}
 
-    needle = options.caseSensitive ? needle : needle.toLowerCase()
+    for (let key of ["level", "reportLevel"]) {
+        if (!logLevels.includes(options[key])) {throw new ValidationError(`Option "${key}" is allowed to have values "${logLevels.join(`", "`)}", got "${options[key]}"`, {code: "INVALID_OPTION", values: {option: key, value: options[key], allowed: logLevels}})}
+    }
 
-    let parsedAllowedExtensions = [];
-    for (let ext of options.allowedExt) {
-        ext = `${ext}`.replaceAll(` `, ``).toLowerCase()
+    const thisLogger = this;
+    let context;
 
-        if (!ext) {continue}
+    //Flow, element and job names are only looked up once the first message is logged
+    async function Context() {
+        if (!context) {
+            context = {}
+            if (options.flowElement) {
+                context.flow = await options.flowElement.getFlowName()
+                context.element = await options.flowElement.getName()
+            }
+            if (options.job) {context.job = await options.job.getName()}
+        }
 
-        //Adding a dot (.) at the beginning if one doesn't exist
-        ext[0] === `.` || (ext = `.${ext}`)
+        return {...context, ...options.context}
+    }
 
-        if (parsedAllowedExtensions.includes(ext)) {
-            continue
-        }
+    this.getLevel = function () {
+        return options.level
+    }
 
-        options.allowAllExt = false
-        parsedAllowedExtensions.push(ext)
+    //Returns whether messages of the level would be logged, so building expensive debug messages can be skipped
+    this.isEnabled = function (level) {
+        return logLevels.indexOf(level) >= logLevels.indexOf(options.level)
     }
-    options.allowedExt = parsedAllowedExtensions;
 
-    const allowedReturnTypes = {full: "full", name: "name", nameProper: "nameProper"};
-    let allowedLookFor = {files: "files", folders: "folders", both: "both"};
-    let allowedIfHaystackNotFound = {returnEmptyResults: "returnEmptyResults", throwError: "throwError"};
-    if (!allowedIfHaystackNotFound[options.ifHaystackNotFound]) {throw `Option "${options.ifHaystackNotFound}" not allowed in field "ifHaystackNotFound". Allowed options are: "${Object.keys(allowedIfHaystackNotFound).join(`", "`)}"`}
-    if (typeof options.returnType !== "object") {throw `Option "returnType" must be an array! Got "${typeof options.returnType}"!`}
-    for (const returnType of options.returnType) {if (!Object.values(allowedReturnTypes).includes(returnType)) {throw `Wrong returnType entered! Entered: "${options.returnType}", allowed are: "${Object.values(allowedReturnTypes).join(`", "`)}"`}}
-    if (!Object.values(allowedLookFor).includes(options.lookFor)) {throw `Value "${options.lookFor}" passed to option "lookFor" is invalid! Allowed values are: "${Object.values(allowedLookFor).join(`", "`)}"`}
-    if (!fs.existsSync(haystack)) {
-        if (options.ifHaystackNotFound === allowedIfHaystackNotFound.throwError) {
-            throw `Haystack "${haystack}" provided does not exist!`
+    //Logs the message to all the sinks. "message" can also be an Error. "fields" are any values carried along
+    this.log = async function (level, message, fields = {}) {
+        if (!logLevels.includes(level)) {throw new ValidationError(`Log level "${level}" is not supported! Allowed levels are: "${logLevels.join(`", "`)}"`, {code: "INVALID_OPTION", values: {level: level, allowed: logLevels}})}
+        if (!thisLogger.isEnabled(level)) {return}
+
+        message = message instanceof Error ? message.message : `${message}`
+        const entryContext = await Context();
+        const extra = {...Object.fromEntries(Object.entries(entryContext).filter(([key]) => !switchContextKeys.includes(key))), ...fields};
+        const extraText = Object.keys(extra).length ? ` (${Object.entries(extra).map(([key, value]) => `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`).join(", ")})` : "";
+        const switchMessage = `${entryContext.step ? `[${entryContext.step}] ` : ""}${message}${extraText}`;
+
+        if (options.job) {
+            await options.job.log(level, switchMessage)
+        } else if (options.flowElement) {
+            await options.flowElement.log(level, switchMessage)
         }
 
-        if (options.ifHaystackNotFound === allowedIfHaystackNotFound.returnEmptyResults) {
-            return response
+        if (options.report && logLevels.indexOf(level) >= logLevels.indexOf(options.reportLevel)) {
+            options.report.addRow(logLevelRowTypes[level], {message: message, fields: {...entryContext, ...fields}})
         }
-    }
-
-    async function scanFolder(haystack, needle, depth) {
-        let newDepth = depth - 1;
-        response.stats.foldersScanned++
 
-        for (let dirent of fs.readdirSync(haystack, {withFileTypes: true, encoding: "utf-8"})) {
-            const hayOriginal = dirent.name;
-            response.stats.entitiesTested++
-            const hay = options.caseSensitive ? hayOriginal : hayOriginal.toLowerCase()
-            const fullPath = path.join(haystack, hayOriginal).replaceAll("\\", "/");
+        if (options.file) {
+            const line = JSON.stringify({time: new Date().toISOString(), level: level, message: message, ...entryContext, ...fields}) + "\n";
 
-            if (dirent.isDirectory() && newDepth >= 0) {
-                scanFolder(fullPath, needle, newDepth)
+            //Logging must not break the script, a log file that cannot be written to is reported to Switch instead
+            try {
+                WriteLogLine(options.file, line, options.maxFileSize, options.maxFiles)
+            } catch (e) {
+                const target = options.job || options.flowElement;
+                if (target) {await target.log("warning", `Could not write to the log file "${options.file}": ${e.message}`)}
             }
+        }
+    }
 
-            if (options.partialMatch && hay.search(needle) === -1) {
-                continue
-            } else if (!options.partialMatch && hay !== needle) {
-                continue
-            }
+    this.debug = async function (message, fields) {
+        await thisLogger.log("debug", message, fields)
+    }
+    this.info = async function (message, fields) {
+        await thisLogger.log("info", message, fields)
+    }
+    this.warning = async function (message, fields) {
+        await thisLogger.log("warning", message, fields)
+    }
+    this.error = async function (message, fields) {
+        await thisLogger.log("error", message, fields)
+    }
 
-            const parsedName = path.parse(hayOriginal);
+    //Returns a logger writing to the same sinks with additional context, e.g. logger.child({step: "Routing"})
+    this.child = function (childContext = {}) {
+        return new Logger({...options, context: {...options.context, ...childContext}})
+    }
+}
 
-            if (!options.allowAllExt && !options.allowedExt.includes(parsedName.ext.toLowerCase())) {
+//Returns the logger passed to a helper, or one logging to the job (or the flow element if there is no job) only if
+//none was passed. Its level is the global switch config "LogLevel", so debug messages of the helpers can be turned
+//on without changing scripts. "flow" selects the flow overrides of the config
+function HelperLogger(logger, job, flowElement, flow) {
+    if (logger) {return logger}
+
+    //A config which can't be read must not break the helper, which may be logging exactly that
+    try {
+        return new Logger({job: job, flowElement: flowElement, flow: flow, file: ""})
+    } catch (e) {
+        return new Logger({job: job, flowElement: flowElement, file: "", level: "info"})
+    }
+}
+
+//Returns the defaults of the config schema, used when there is no global switch config to read
+function ConfigDefaults(schema) {
+    return Object.fromEntries(Object.entries(schema).filter(([, definition]) => definition.default !== undefined).map(([key, definition]) => [key, structuredClone(definition.default)]))
+}
+
+//Appends the line to the log file. If the file would grow over "maxSize", it is renamed to "<file>.1" first, older
+//files are shifted to "<file>.2", etc. and only "maxFiles" of them are kept. Files which disappear while rotating
+//(e.g. rotated by another process writing to the same log) are skipped
+function WriteLogLine(file, line, maxSize, maxFiles) {
+    fs.mkdirSync(path.dirname(file), {recursive: true})
+
+    const ignoreMissing = operation => {
+        try {
+            operation()
+        } catch (e) {
+            if (e.code !== "ENOENT") {throw e}
+        }
+    };
+
+    ignoreMissing(() => {
+        if (fs.statSync(file).size + Buffer.byteLength(line) <= maxSize) {return}
+
+        fs.rmSync(`${file}.${maxFiles}`, {force: true})
+
+        for (let i = maxFiles - 1; i >= 1; i--) {
+            ignoreMissing(() => fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`))
+        }
+
+        if (maxFiles > 0) {
+            fs.renameSync(file, `${file}.1`)
+        } else {
+            fs.rmSync(file, {force: true})
+        }
+    })
+
+    fs.appendFileSync(file, line)
+}
+
+//Tokens understood by FormatDate and ParseDate. Text in square brackets is kept as it is, e.g. "YYYY[W]WW"
+const dateTokenPattern = /\[([^\]]*)\]|YYYY|GGGG|YY|MM|M|DDDD|DDD|DD|D|HH|H|hh|h|mm|m|ss|s|SSS|WW|W|E|A|ZZ|Z/g;
+const dateTimeFormats = new Map();
+
+//Formats the date with the pattern provided. Available tokens are as follows:
+//  YYYY - year, YY - two-digit year, MM/M - month, DD/D - day of month, HH/H - hours (0-23), hh/h - hours (1-12),
+//  A - AM/PM, mm/m - minutes, ss/s - seconds, SSS - milliseconds, DDDD/DDD - day of year, WW/W - ISO week,
+//  GGGG - ISO week year, E - ISO day of week (1 is Monday), Z - offset as "+01:00", ZZ - offset as "+0100"
+//Single letter tokens are not padded. Options:
+//  timeZone: "local", "UTC" or an IANA time zone name, e.g. "Europe/London". Default - "local"
+//E.g. FormatDate(new Date(), "YYYY-MM-DD HH:mm:ss") => "2024-03-01 10:35:52"
+function FormatDate(date = new Date(), pattern = "YYYY-MM-DDTHH:mm:ss.SSSZ", options = {}) {
+    date = date instanceof Date ? date : new Date(date)
+    if (Number.isNaN(date.getTime())) {throw new ValidationError(`Cannot format an invalid date!`, {code: "INVALID_DATE", values: {date: date}})}
+
+    const parts = DateParts(date, options.timeZone || "local");
+    const pad = (value, length = 2) => `${value}`.padStart(length, "0");
+    const offset = separator => `${parts.offset < 0 ? "-" : "+"}${pad(Math.floor(Math.abs(parts.offset) / 60))}${separator}${pad(Math.abs(parts.offset) % 60)}`;
+    const hours12 = parts.hour % 12 || 12;
+
+    const values = {
+        YYYY: pad(parts.year, 4), YY: pad(parts.year % 100), GGGG: pad(parts.weekYear, 4),
+        MM: pad(parts.month), M: parts.month,
+        DDDD: pad(parts.dayOfYear, 3), DDD: parts.dayOfYear, DD: pad(parts.day), D: parts.day,
+        HH: pad(parts.hour), H: parts.hour, hh: pad(hours12), h: hours12, A: parts.hour < 12 ? "AM" : "PM",
+        mm: pad(parts.minute), m: parts.minute, ss: pad(parts.second), s: parts.second, SSS: pad(parts.millisecond, 3),
+        WW: pad(parts.week), W: parts.week, E: parts.dayOfWeek,
+        Z: offset(":"), ZZ: offset(""),
+    };
+
+    return `${pattern}`.replace(dateTokenPattern, (token, literal) => literal !== undefined ? literal : `${values[token]}`)
+}
+
+//Parses the text written in the pattern (see FormatDate for the tokens) back into a date. Parts missing from the
+//pattern default to the start of the period, e.g. "YYYY-MM" is the first day of the month at midnight. If the pattern
+//contains an offset (Z or ZZ), it is used instead of the time zone. Hours of hh/h without A are taken as they are
+//written, i.e. "12" is noon. Options:
+//  timeZone: "local", "UTC" or an IANA time zone name the text is in. Default - "local"
+//Throws if the text doesn't match the pattern or describes a date that doesn't exist, local times skipped by a
+//daylight saving change included. Local times repeated by a daylight saving change resolve to the first of them
+function ParseDate(text, pattern = "YYYY-MM-DDTHH:mm:ss.SSSZ", options = {}) {
+    const timeZone = options.timeZone || "local";
+    const groups = [];
+    let source = "";
+    let lastIndex = 0;
+
+    const digits = {YYYY: 4, GGGG: 4, YY: 2, MM: 2, DD: 2, HH: 2, hh: 2, mm: 2, ss: 2, SSS: 3, DDDD: 3, WW: 2};
+    const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+    for (let match of `${pattern}`.matchAll(dateTokenPattern)) {
+        source += escape(pattern.slice(lastIndex, match.index))
+        lastIndex = match.index + match[0].length
+
+        if (match[1] !== undefined) {
+            source += escape(match[1])
+            continue
+        }
+
+        const token = match[0];
+        groups.push(token)
+
+        if (digits[token]) {source += `(\\d{${digits[token]}})`}
+        else if (token === "DDD") {source += `(\\d{1,3})`}
+        else if (token === "E") {source += `([1-7])`}
+        else if (token === "A") {source += `(AM|PM)`}
+        else if (token === "Z") {source += `(Z|[+-]\\d{2}:\\d{2})`}
+        else if (token === "ZZ") {source += `(Z|[+-]\\d{4})`}
+        else {source += `(\\d{1,2})`}
+    }
+    source += escape(`${pattern}`.slice(lastIndex))
+
+    const match = new RegExp(`^${source}$`, "i").exec(`${text}`.trim());
+    if (!match) {throw new ValidationError(`Date "${text}" does not match the pattern "${pattern}"!`, {code: "INVALID_DATE", values: {text: text, pattern: pattern}})}
+
+    const fields = {};
+    groups.forEach((token, i) => {fields[token] = match[i + 1]})
+    const number = (...tokens) => {
+        const token = tokens.find(t => fields[t] !== undefined);
+        return token === undefined ? undefined : Number(fields[token])
+    };
+
+    let year = number("YYYY");
+    if (year === undefined && fields.YY !== undefined) {year = 2000 + Number(fields.YY)}
+    if (year === undefined) {year = 1970}
+
+    const invalid = (what, value) => new ValidationError(`Date "${text}" has invalid ${what} "${value}"!`, {code: "INVALID_DATE", values: {text: text, pattern: pattern}});
+
+    let month = number("MM", "M");
+    let day = number("DD", "D");
+    let hour = number("HH", "H") ?? 0;
+
+    if (month === undefined) {month = 1} else if (month < 1 || month > 12) {throw invalid("month", month)}
+    if (day === undefined) {day = 1} else if (day < 1 || day > 31) {throw invalid("day", day)}
+
+    if (fields.hh !== undefined || fields.h !== undefined) {
+        const hours12 = number("hh", "h");
+        if (hours12 < 1 || hours12 > 12) {throw invalid("hours", hours12)}
+        //Without a meridiem the hours are read as written, so "12" is noon rather than midnight
+        hour = fields.A === undefined ? hours12 : hours12 % 12 + (fields.A.toUpperCase() === "PM" ? 12 : 0)
+    }
+
+    const minute = number("mm", "m") ?? 0;
+    const second = number("ss", "s") ?? 0;
+    const millisecond = number("SSS") ?? 0;
+
+    let resolved;
+
+    if (fields.WW !== undefined || fields.W !== undefined) {
+        //The Monday of ISO week 1 is the Monday of the week containing the 4th of January
+        const weekYear = number("GGGG") === undefined ? year : number("GGGG");
+        const week = number("WW", "W");
+        const dayOfWeek = number("E") ?? 1;
+        if (week < 1 || week > 53) {throw invalid("week", week)}
+        if (dayOfWeek < 1 || dayOfWeek > 7) {throw invalid("day of week", dayOfWeek)}
+
+        const january4 = UtcDate(weekYear, 1, 4);
+        const days = ((week - 1) * 7 + dayOfWeek - 1) - ((january4.getUTCDay() || 7) - 1);
+
+        resolved = new Date(january4.getTime() + days * 86400000)
+        //Only some years have 53 weeks, in the others week 53 is the first week of the next year
+        if (DateParts(resolved, "UTC").weekYear !== weekYear) {throw invalid("week", week)}
+    } else if (fields.DDDD !== undefined || fields.DDD !== undefined) {
+        resolved = new Date(UtcDate(year, 1, 1).getTime() + (number("DDDD", "DDD") - 1) * 86400000)
+        if (resolved.getUTCFullYear() !== year) {throw invalid("day of year", number("DDDD", "DDD"))}
+    }
+
+    if (resolved) {
+        year = resolved.getUTCFullYear()
+        month = resolved.getUTCMonth() + 1
+        day = resolved.getUTCDate()
+    }
+
+    const wall = UtcDate(year, month, day, hour, minute, second, millisecond);
+    if (wall.getUTCMonth() + 1 !== month || wall.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+        throw new ValidationError(`Date "${text}" does not exist!`, {code: "INVALID_DATE", values: {text: text, pattern: pattern}})
+    }
+
+    const offsetText = fields.Z !== undefined ? fields.Z : fields.ZZ;
+    if (offsetText !== undefined) {
+        const offset = offsetText.toUpperCase() === "Z" ? 0 : (offsetText[0] === "-" ? -1 : 1) * (Number(offsetText.slice(1, 3)) * 60 + Number(offsetText.slice(-2)));
+        return new Date(wall.getTime() - offset * 60000)
+    }
+
+    if (timeZone === "UTC") {return wall}
+
+    //The offset depends on the moment itself. The offsets used a day before and after are tried, a moment is only
+    //valid if the time zone uses that very offset at it. No valid moment means the local time was skipped by a
+    //daylight saving change, two of them mean it was repeated and the first one is used
+    const offsets = new Set([-86400000, 86400000].map(shift => DateParts(new Date(wall.getTime() + shift), timeZone).offset));
+    const moments = [...offsets]
+        .map(offset => wall.getTime() - offset * 60000)
+        .filter(time => DateParts(new Date(time), timeZone).offset * 60000 === wall.getTime() - time);
+
+    if (!moments.length) {
+        throw new ValidationError(`Date "${text}" does not exist in the time zone "${timeZone}", it was skipped by a daylight saving change!`, {code: "INVALID_DATE", values: {text: text, pattern: pattern, timeZone: timeZone}})
+    }
+
+    return new Date(Math.min(...moments))
+}
+
+//Returns a date at the UTC time provided. Works with years before 100 as well
+function UtcDate(year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0) {
+    const date = new Date(Date.UTC(2000, month - 1, day, hour, minute, second, millisecond));
+    date.setUTCFullYear(year, month - 1, day)
+    return date
+}
+
+//Returns the parts of the date as they are in the time zone provided, together with the offset from UTC in minutes,
+//day of year, ISO week, ISO week year and ISO day of week
+function DateParts(date, timeZone) {
+    let parts;
+
+    if (timeZone === "UTC") {
+        parts = {year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds(), offset: 0}
+    } else if (timeZone === "local") {
+        parts = {year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(), hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds(), offset: -date.getTimezoneOffset()}
+    } else {
+        if (!dateTimeFormats.has(timeZone)) {
+            try {
+                dateTimeFormats.set(timeZone, new Intl.DateTimeFormat("en-US", {timeZone: timeZone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric"}))
+            } catch (e) {
+                throw new ValidationError(`Time zone "${timeZone}" is not valid! Use "local", "UTC" or an IANA time zone name, e.g. "Europe/London".`, {code: "INVALID_OPTION", values: {timeZone: timeZone}, cause: e})
+            }
+        }
+
+        const values = {};
+        for (let part of dateTimeFormats.get(timeZone).formatToParts(date)) {values[part.type] = Number(part.value)}
+
+        parts = {year: values.year, month: values.month, day: values.day, hour: values.hour, minute: values.minute, second: values.second}
+        parts.offset = Math.round((UtcDate(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second).getTime() - (date.getTime() - date.getUTCMilliseconds())) / 60000)
+    }
+
+    parts.millisecond = date.getUTCMilliseconds()
+
+    const wallDay = UtcDate(parts.year, parts.month, parts.day);
+    parts.dayOfYear = Math.round((wallDay.getTime() - UtcDate(parts.year, 1, 1).getTime()) / 86400000) + 1
+    parts.dayOfWeek = wallDay.getUTCDay() || 7
+
+    //ISO week is the week of the Thursday of the same week
+    const thursday = new Date(wallDay.getTime() + (4 - parts.dayOfWeek) * 86400000);
+    parts.weekYear = thursday.getUTCFullYear()
+    parts.week = Math.ceil(((thursday.getTime() - UtcDate(parts.weekYear, 1, 1).getTime()) / 86400000 + 1) / 7)
+
+    return parts
+}
+
+//Generates a date string in the following format: 20221011103552333 (UTC). You can also define the separator.
+//If you chose ".", the date would look like this:  2022.10.11.10.35.52.333. You cal also omit the milliseconds
+//in which case it will look the same except without the segment. Use FormatDate for any other format
+function GenerateDateString(separator = "", includeMs = true) {
+    const date = new Date();
+    const tokens = ["YYYY", "MM", "DD", "HH", "mm", "ss"].concat(includeMs ? ["SSS"] : []);
+
+    return tokens.map(token => FormatDate(date, token, {timeZone: "UTC"})).join(separator)
+}
+
+//Generating a new name perfect for using with creation of random files. Note: there's a micro chance to produce a
+//duplicate name, use CreateUniqueFile to create the file itself. Options:
+//  datePattern: FormatDate pattern of the date part. Default - "YYYYMMDDHHmmssSSS"
+//  timeZone: Time zone of the date part. Default - "UTC"
+function GenerateNewName(prefix = "", suffix = "", separator = "_", options = {}) {
+    const date = FormatDate(new Date(), options.datePattern || "YYYYMMDDHHmmssSSS", {timeZone: options.timeZone || "UTC"});
+    return `${prefix ? prefix+separator : ""}${date}${separator}${Math.round(Math.random() * 1000000000000)}${suffix ? separator+suffix : ""}`
+}
+
+//Creates new temporary file. If nothing is provided, new random file is created at a location defined in the
+//global switch config file. Alternatively, you can provide either folder path only, file name only or full path.
+//Missing folders are created. If the file exists and "overwrite" is false, a timestamp is added to the name.
+//If a TempWorkspace is provided as the location, a random file is created in it and removed with the workspace.
+//After the file was created, full path to it is returned
+function CreateNewTmpFile(location = "", content = "", overwrite = false) {
+    if (location instanceof TempWorkspace) {return location.createFile("", content)}
+    if (typeof location !== "string") {throw new ValidationError(`Invalid location provided. Expected "string", got ${typeof location}`, {values: {location: location}})}
+    if (typeof content !== "string") {throw new ValidationError(`Wrong content type provided! Expected "string", got ${typeof content}`, {values: {type: typeof content}})}
+    let parsedLoc = path.parse(location)
+    if (parsedLoc.dir === "") {
+        parsedLoc = path.parse(path.join(GetGlobalSwitchConfigFor("CreateNewTmpFile")["TempMetadataFileLocation"], parsedLoc.base))
+    }
+    if (parsedLoc.ext === "") {
+        parsedLoc = path.parse(path.join(parsedLoc.dir, parsedLoc.base, GenerateNewName("tmp_generic_file", ".txt")))
+    }
+
+    const fullPath = path.join(parsedLoc.dir, parsedLoc.base);
+
+    if (!overwrite) {
+        return CreateUniqueFile(fullPath, content, {naming: "timestamp"})
+    }
+
+    fs.mkdirSync(parsedLoc.dir, {recursive: true})
+    fs.writeFileSync(fullPath, content, "utf-8")
+
+    return fullPath
+}
+
+//Naming schemes used by CreateUniqueFile and CreateUniqueDirectory when the name is taken
+const uniqueNamingSchemes = ["counter", "timestamp", "uuid"];
+let uniqueNameCounter = 0;
+
+//Returns the n-th alternative (starting from 1) to the location in the naming scheme:
+//  "counter" - "name (2).pdf", "name (3).pdf", etc.
+//  "timestamp" - "name_20240301103552333_1.pdf" (UTC timestamp and a counter unique within the process)
+//  "uuid" - "name_6f1c0f8e-0b0e-4c4e-9a39-8c3b3c5b1f1d.pdf"
+function UniqueNameCandidate(location, naming, n) {
+    const parsed = path.parse(location);
+
+    switch (naming) {
+        case "counter":
+            return path.join(parsed.dir, `${parsed.name} (${n + 1})${parsed.ext}`)
+        case "timestamp":
+            return path.join(parsed.dir, `${parsed.name}_${GenerateDateString()}_${++uniqueNameCounter}${parsed.ext}`)
+        default:
+            return path.join(parsed.dir, `${parsed.name}_${crypto.randomUUID()}${parsed.ext}`)
+    }
+}
+
+//Runs "create" with the location and then with the candidate names until it doesn't fail with "EEXIST"
+function CreateUnique(location, options, create) {
+    options = {
+        naming: options.naming || "counter",
+        keepName: options.keepName === undefined ? true : !!options.keepName,
+        attempts: options.attempts === undefined ? 100 : options.attempts,
+    }
+
+    if (typeof location !== "string" || !location) {throw new ValidationError(`Invalid location provided. Expected "string", got "${location}"`, {values: {location: location}})}
+    if (!uniqueNamingSchemes.includes(options.naming)) {throw new ValidationError(`Naming scheme "${options.naming}" is not allowed! Allowed schemes are: "${uniqueNamingSchemes.join(`", "`)}"`, {code: "INVALID_OPTION", values: {naming: options.naming, allowed: uniqueNamingSchemes}})}
+    if (!Number.isInteger(options.attempts) || options.attempts < 1) {throw new ValidationError(`Option "attempts" must be a positive integer, got "${options.attempts}"`, {code: "INVALID_OPTION", values: {attempts: options.attempts}})}
+
+    fs.mkdirSync(path.dirname(location), {recursive: true})
+
+    for (let attempt = 1; attempt <= options.attempts; attempt++) {
+        const candidate = options.keepName && attempt === 1 ? location : UniqueNameCandidate(location, options.naming, options.keepName ? attempt - 1 : attempt);
+
+        try {
+            create(candidate)
+            return candidate
+        } catch (e) {
+            if (e.code !== "EEXIST") {throw new FileSystemError(`Could not create "${candidate}": ${e.message}`, {values: {location: candidate}, cause: e})}
+        }
+    }
+
+    throw new FileSystemError(`Could not create a unique name for "${location}" in ${options.attempts} attempts!`, {code: "UNIQUE_NAME_EXHAUSTED", values: {location: location, attempts: options.attempts}})
+}
+
+//Creates a file that did not exist before and returns the full path to it. The file is created exclusively, so even
+//if several processes create the same name at the same time, each of them gets its own file. If the name is taken,
+//another one is generated with the naming scheme. Missing parent folders are created. Options:
+//  naming: "counter"|"timestamp"|"uuid". See UniqueNameCandidate. Default - "counter"
+//  keepName: true/false whether the location itself is tried first. Default - true
+//  attempts: How many names are tried before giving up. Default - 100
+//  encoding: Encoding of the content if it is a string. Default - "utf-8"
+function CreateUniqueFile(location, content = "", options = {}) {
+    if (typeof content !== "string" && !Buffer.isBuffer(content)) {throw new ValidationError(`Wrong content type provided! Expected "string" or "Buffer", got ${typeof content}`, {values: {type: typeof content}})}
+
+    return CreateUnique(location, options, candidate => fs.writeFileSync(candidate, content, {encoding: options.encoding || "utf-8", flag: "wx"}))
+}
+
+//Creates a folder that did not exist before and returns the full path to it. Accepts the same options as CreateUniqueFile
+function CreateUniqueDirectory(location, options = {}) {
+    return CreateUnique(location, options, candidate => fs.mkdirSync(candidate))
+}
+
+//TempWorkspace is a temporary folder scoped to one job. Files and folders created in it (or tracked by it) are
+//removed when the workspace is disposed. Helpers that take a temporary file location (CreateNewTmpFile,
+//CreateDataSet, UpdateDataSet, SwitchReport.generateReportAsFile, etc.) also accept a workspace and register the
+//files they create with it. OutgoingConnectionManager disposes the workspace once the job has been routed:
+//  const workspace = new TempWorkspace()
+//  await CreateDataSet(job, "Order", data, workspace)
+//  await new OutgoingConnectionManager(job, undefined, {workspace: workspace}).success(report.generateHtmlReportAsFile(workspace))
+//Options:
+//  location: Folder in which the workspace folder is created. If none is provided, global switch config is used
+//  name: Name of the workspace folder, a timestamp is added to it. Default - "workspace"
+//  flow: Name of the flow whose "FlowOverrides" of global switch config apply
+function TempWorkspace(options = {}) {
+    const parent = options.location || GetGlobalSwitchConfigFor("TempWorkspace", undefined, options.flow)["TempMetadataFileLocation"];
+    if (!fs.existsSync(parent)) {throw new FileSystemError(`Invalid location "${parent}" for creating a temporary workspace!`, {code: "LOCATION_NOT_FOUND", values: {location: parent}})}
+
+    const location = CreateUniqueDirectory(path.join(parent, `${options.name || "workspace"}`), {naming: "timestamp", keepName: false});
+    const tracked = [];
+    const thisWorkspace = this;
+    let disposed = false;
+
+    function CheckNotDisposed() {
+        if (disposed) {throw new ValidationError(`Temporary workspace "${location}" has already been disposed!`, {code: "WORKSPACE_DISPOSED", values: {location: location}})}
+    }
+
+    //Returns full path to the workspace folder
+    this.getLocation = function () {
+        CheckNotDisposed()
+        return location
+    }
+
+    //Registers a file or folder created elsewhere, so it is removed together with the workspace. Returns the location
+    this.track = function (item) {
+        CheckNotDisposed()
+        if (!tracked.includes(item)) {tracked.push(item)}
+        return item
+    }
+
+    //Returns the locations tracked in addition to the workspace folder
+    this.list = function () {
+        return [...tracked]
+    }
+
+    //Creates a file in the workspace and returns full path to it. If no name is provided, a random one is generated
+    this.createFile = function (name = "", content = "") {
+        CheckNotDisposed()
+        return CreateUniqueFile(path.join(location, name || GenerateNewName("tmp_generic_file", ".txt", "_")), content, {naming: "timestamp"})
+    }
+
+    //Creates a folder in the workspace and returns full path to it
+    this.createDirectory = function (name = "") {
+        CheckNotDisposed()
+        return CreateUniqueDirectory(path.join(location, name || GenerateNewName("tmp_folder")), {naming: "timestamp"})
+    }
+
+    this.isDisposed = function () {
+        return disposed
+    }
+
+    //Removes the workspace folder and everything tracked. Calling it again does nothing.
+    //Returns {removed: [locations], errors: [{location, message}]}
+    this.dispose = function () {
+        const result = {removed: [], errors: []};
+        if (disposed) {return result}
+
+        disposed = true
+
+        for (let item of [...tracked, location]) {
+            try {
+                if (!fs.existsSync(item)) {continue}
+                fs.rmSync(item, {recursive: true, force: true})
+                result.removed.push(item)
+            } catch (e) {
+                result.errors.push({location: item, message: e.message})
+            }
+        }
+
+        return result
+    }
+}
+
+//Returns the folder temporary files are created in. "tmpLocation" is either a folder or a TempWorkspace
+function TmpLocation(tmpLocation) {
+    return tmpLocation instanceof TempWorkspace ? tmpLocation.getLocation() : tmpLocation
+}
+
+//Registers the file with the workspace if the temporary location is a TempWorkspace. Returns the file location
+function TrackTmpFile(tmpLocation, file) {
+    return tmpLocation instanceof TempWorkspace ? tmpLocation.track(file) : file
+}
+
+//Removes files and folders from the temporary files location that were not modified for longer than "maxAge", e.g.
+//the ones left behind by jobs that crashed. Only the items directly in the location are checked, folders are removed
+//with everything in them. Options:
+//  location: Folder to clean. If none is provided, global switch config "TempMetadataFileLocation" is used
+//  maxAge: Age in milliseconds. If none is provided, global switch config "TempFileMaxAge" is used
+//  exclude: Glob patterns of the names that are never removed
+//  dryRun: true/false. If true, nothing is removed, the items are only listed. Default - false
+//  logger: Logger the items removed (debug) and the ones that could not be removed (warning) are logged to
+//  flow: Name of the flow whose "FlowOverrides" of global switch config apply
+//Returns {removed: [locations], errors: [{location, message}]}
+async function SweepTempFiles(options = {}) {
+    let location = options.location;
+    let maxAge = options.maxAge;
+
+    if (!location || maxAge === undefined) {
+        const config = GetGlobalSwitchConfigFor("SweepTempFiles", undefined, options.flow);
+        location = location || config["TempMetadataFileLocation"]
+        maxAge = maxAge === undefined ? config["TempFileMaxAge"] : maxAge
+    }
+
+    if (typeof maxAge !== "number" || maxAge < 0) {throw new ValidationError(`Option "maxAge" must be a positive number of milliseconds, got "${maxAge}"`, {code: "INVALID_OPTION", values: {maxAge: maxAge}})}
+    if (!await LocationExists(location)) {throw new FileSystemError(`Temporary files location "${location}" does not exist!`, {code: "LOCATION_NOT_FOUND", values: {location: location}})}
+
+    const exclude = (options.exclude || []).map(pattern => GlobToRegExp(`${pattern}`));
+    const olderThan = Date.now() - maxAge;
+    const result = {removed: [], errors: []};
+
+    for (let name of await fs.promises.readdir(location)) {
+        if (exclude.some(regex => regex.test(name))) {continue}
+
+        const item = path.join(location, name);
+
+        try {
+            const stat = await fs.promises.lstat(item);
+            if (stat.mtimeMs > olderThan) {continue}
+
+            if (!options.dryRun) {await fs.promises.rm(item, {recursive: true, force: true})}
+            result.removed.push(item)
+        } catch (e) {
+            result.errors.push({location: item, message: e.message})
+        }
+    }
+
+    if (options.logger) {
+        await options.logger.debug(`${options.dryRun ? "Would remove" : "Removed"} ${result.removed.length} temporary items from "${location}"`, {removed: result.removed})
+        for (let error of result.errors) {
+            await options.logger.warning(`Could not remove temporary "${error.location}": ${error.message}`)
+        }
+    }
+
+    return result
+}
+
+//Dataset models supported by the dataset helpers and the extension of the file used for each of them
+const datasetModels = {
+    JSON: {ext: ".json"},
+    XML: {ext: ".xml"},
+    XMP: {ext: ".xmp"},
+    Opaque: {ext: ""},
+}
+
+//This is analogous to job.createDataset, except, this allows passing on json object
+//directly as a parameter which gets placed into the metadata. In order to do that,
+//internally, the function creates a temporary file and uses it as the metadata.
+//"XML" and "XMP" models accept either an XML string or a js object in a format produced by XmlToJsObject.
+//"tmp_file_store" can also be a TempWorkspace, then the temporary file is removed together with the workspace.
+//Options:
+//  retry: Retry policy (see Retry) for attaching the dataset to the job
+//  logger: Logger the problems (failed attempts included) are logged to. If none is provided, they are logged to the job
+//  flow: Name of the flow whose "FlowOverrides" of global switch config apply
+async function CreateDataSet(job, datasetName, data, tmp_file_store, datasetModel = "JSON", options = {}) {
+    const logger = HelperLogger(options.logger, job, undefined, options.flow);
+    const prepared = PrepareDataSetFile(datasetName, data, tmp_file_store, datasetModel, options.flow);
+
+    try {
+        if (options.retry) {
+            await Retry(() => job.createDataset(datasetName, prepared.location, datasetModel), {logger: logger, ...options.retry})
+        } else {
+            await job.createDataset(datasetName, prepared.location, datasetModel);
+        }
+
+        await logger.debug(`Created dataset "${datasetName}" of model "${datasetModel}"`)
+    } catch (e) {
+        await logger.warning(`Dataset "${datasetName}" could not be created: ${e instanceof Error ? e.message : e}`, {code: e && e.code})
+        throw e
+    }
+
+    return {
+        removeTmpFiles: prepared.removeTmpFiles
+    }
+}
+
+//Checks the arguments of CreateDataSet and writes the temporary dataset file. Returns {location, removeTmpFiles}
+function PrepareDataSetFile(datasetName, data, tmp_file_store, datasetModel, flow) {
+    let allowedDatasetModels = Object.keys(datasetModels);
+    if (!allowedDatasetModels.includes(datasetModel)) {
+        throw new ValidationError(`Dataset Model "${datasetModel}" is not supported! Allowed dataset models are: "${allowedDatasetModels.join(`", "`)}".`, {code: "INVALID_OPTION", values: {model: datasetModel, allowed: allowedDatasetModels}})
+    }
+    const workspace = tmp_file_store instanceof TempWorkspace ? tmp_file_store : undefined;
+    tmp_file_store = TmpLocation(tmp_file_store)
+    if (!tmp_file_store) {
+        tmp_file_store = GetGlobalSwitchConfigFor("CreateDataSet", `CreateDataSet ("${datasetName}")`, flow)["TempMetadataFileLocation"];
+    }
+    //Checking whether the right type of variables are supplied to the function
+    if (datasetModel === "JSON" && typeof data !== "object") {
+        throw new ValidationError(`When using "JSON" DatasetModel, expecting to receive data type "object", got "${typeof data}".`, {code: "INVALID_DATA", values: {model: datasetModel, type: typeof data}})
+    }
+    if (["XML", "XMP"].includes(datasetModel) && (data === null || !["object", "string"].includes(typeof data))) {
+        throw new ValidationError(`When using "${datasetModel}" DatasetModel, expecting to receive data of type "string" or "object", got "${data === null ? "null" : typeof data}".`, {code: "INVALID_DATA", values: {model: datasetModel, type: data === null ? "null" : typeof data}})
+    }
+    if (datasetModel === "Opaque" && typeof data !== "string") {
+        throw new ValidationError(`When using "Opaque" DatasetModel, expecting to receive data of type "string", got "${typeof data}".`, {code: "INVALID_DATA", values: {model: datasetModel, type: typeof data}})
+    }
+    if (typeof datasetName !== "string" || datasetName === "") {
+        throw new ValidationError(`Dataset name "${datasetName.toString()}" is invalid!`, {values: {name: datasetName}})
+    }
+    if (!tmp_file_store || !fs.existsSync(tmp_file_store)) {
+        throw new FileSystemError(`Invalid location "${tmp_file_store}" for storing temporary metadata files!`, {code: "LOCATION_NOT_FOUND", values: {location: tmp_file_store}})
+    }
+
+    if (datasetModel === "Opaque") {
+        return {location: data, removeTmpFiles: function () {}}
+    }
+
+    const location = TrackTmpFile(workspace, CreateUniqueFile(path.join(tmp_file_store, `${GenerateNewName("dataset")}${datasetModels[datasetModel].ext}`), SerializeDataSet(data, datasetModel), {naming: "uuid"}));
+
+    return {
+        location: location,
+        removeTmpFiles: function () {
+            try { fs.unlinkSync(location) } catch {}
+        }
+    }
+}
+
+//Checking whether dataset exists. Options:
+//  logger: Logger the problems are logged to. If none is provided, they are logged to the job
+async function DataSetExists(job, name, options = {}) {
+    try {
+        for (let set of await job.listDatasets()) {
+            if (set["name"] !== name) {
+                continue
+            }
+
+            return true
+        }
+    } catch (e) {
+        await HelperLogger(options.logger, job).warning(e.toString());
+        return false
+    }
+
+    return false
+}
+
+//Returns dataset as JSON object. "XML" and "XMP" datasets are converted using XmlToJsObject, "Opaque" datasets are
+//returned as a string. Options:
+//  raw: true/false whether to return the contents of the dataset file as a string without parsing. Default - false
+//  logger: Logger the problems are logged to. If none is provided, they are logged to the job
+async function GetDataSet(job, name, options = {}) {
+    const logger = HelperLogger(options.logger, job);
+
+    try {
+        const model = await GetDataSetModel(job, name);
+
+        if (model === undefined) {
+            throw new DatasetNotFoundError(`Dataset "${name}" does not exist!`, {values: {name: name}})
+        }
+
+        const contents = fs.readFileSync(await job.getDataset(name, "readOnly"), "utf-8");
+
+        await logger.debug(`Read dataset "${name}" of model "${model}"`)
+
+        return options.raw ? contents : ParseDataSet(contents, model)
+    } catch (e) {
+        const error = WrapError(e, DatasetError, `Dataset "${name}" could not be read`, {name: name});
+        await logger.warning(error, {code: error.code});
+        throw error
+    }
+}
+
+//Returns a list of datasets attached to the job in a format [{name, model}]. Options:
+//  logger: Logger the problems are logged to. If none is provided, they are logged to the job
+async function ListDataSets(job, options = {}) {
+    try {
+        return (await job.listDatasets()).map(set => ({name: set["name"], model: set["model"]}))
+    } catch (e) {
+        const error = WrapError(e, DatasetError, `Datasets could not be listed`);
+        await HelperLogger(options.logger, job).warning(error, {code: error.code});
+        throw error
+    }
+}
+
+//Removes the dataset from the job. Options:
+//  ifNotFound: What to do if the dataset doesn't exist. Options: "ignore", "throwError". Default - "throwError"
+//  logger: Logger the problems are logged to. If none is provided, they are logged to the job
+async function RemoveDataSet(job, name, options = {}) {
+    options = {
+        ifNotFound: options.ifNotFound || "throwError",
+        logger: HelperLogger(options.logger, job),
+    }
+
+    const allowedIfNotFound = ["ignore", "throwError"];
+    if (!allowedIfNotFound.includes(options.ifNotFound)) {throw new ValidationError(`Option "ifNotFound" is allowed to have values "${allowedIfNotFound.join(`" or "`)}", got "${options.ifNotFound}"`, {code: "INVALID_OPTION", values: {ifNotFound: options.ifNotFound, allowed: allowedIfNotFound}})}
+
+    try {
+        if (!await DataSetExists(job, name, {logger: options.logger})) {
+            if (options.ifNotFound === "ignore") {return false}
+
+            throw new DatasetNotFoundError(`Dataset "${name}" does not exist!`, {values: {name: name}})
+        }
+
+        await job.removeDataset(name);
+        await options.logger.debug(`Removed dataset "${name}"`)
+
+        return true
+    } catch (e) {
+        const error = WrapError(e, DatasetError, `Dataset "${name}" could not be removed`, {name: name});
+        await options.logger.warning(error, {code: error.code});
+        throw error
+    }
+}
+
+//Reads the existing dataset, applies the changes and writes it back under the same name and model.
+//"changes" can either be:
+//  - a function which receives the current dataset and returns the new one
+//  - an array of JSON-pointer style operations: [{op: "set", path: "/order/items/0/qty", value: 2}, {op: "delete", path: "/tmp"}]
+//"JSON" and "XML" datasets can be updated. "XML" datasets are written back from the object XmlToJsObject returns, so
+//comments and processing instructions are dropped and repeated elements are grouped together. "XMP" datasets are
+//refused, their packets are only ever written as a whole with CreateDataSet
+//Options:
+//  tmpFileStore: Location or TempWorkspace where the temporary file is created. If none is provided, global switch config is used
+//  createIfMissing: true/false whether to start from an empty object if the dataset doesn't exist. Default - false
+//  model: Dataset model used when the dataset gets created, "JSON" or "XML". Default - "JSON"
+//  logger: Logger the problems are logged to. If none is provided, they are logged to the job
+//  retry: Retry policy (see Retry) for attaching the updated dataset to the job
+//  flow: Name of the flow whose "FlowOverrides" of global switch config apply
+//Returns the updated dataset
+async function UpdateDataSet(job, name, changes, options = {}) {
+    options = {
+        tmpFileStore: options.tmpFileStore,
+        createIfMissing: !!options.createIfMissing,
+        model: options.model || "JSON",
+        logger: HelperLogger(options.logger, job, undefined, options.flow),
+        retry: options.retry,
+        flow: options.flow,
+    }
+
+    if (typeof changes !== "function" && !Array.isArray(changes)) {
+        throw new ValidationError(`Changes must be either a function or an array of operations, got "${typeof changes}"!`, {values: {type: typeof changes}})
+    }
+
+    let model = await GetDataSetModel(job, name);
+    let data = {};
+    let previous;
+
+    if (model === undefined) {
+        if (!options.createIfMissing) {
+            const error = new DatasetNotFoundError(`Dataset "${name}" does not exist!`, {values: {name: name}});
+            await options.logger.warning(error, {code: error.code});
+            throw error
+        }
+
+        model = options.model
+    } else {
+        previous = await GetDataSet(job, name, {logger: options.logger, raw: true})
+    }
+
+    if (model === "XMP") {throw new DatasetError(`Dataset "${name}" of model "XMP" cannot be updated! Writing it back would drop the xpacket processing instructions, the comments and the order of the elements.`, {code: "DATASET_NOT_UPDATABLE", values: {name: name, model: model}})}
+    if (!["JSON", "XML"].includes(model)) {throw new DatasetError(`Dataset "${name}" of model "${model}" cannot be updated! Only "JSON" and "XML" datasets can.`, {code: "DATASET_NOT_UPDATABLE", values: {name: name, model: model}})}
+
+    if (previous !== undefined) {data = ParseDataSet(previous, model)}
+    data = typeof changes === "function" ? await changes(data) : ApplyJsonPointerOperations(data, changes)
+
+    //The new dataset file is written (and the data checked) before the existing dataset is touched
+    const prepared = PrepareDataSetFile(name, data, options.tmpFileStore, model, options.flow);
+
+    try {
+        if (previous !== undefined) {
+            await RemoveDataSet(job, name, {logger: options.logger})
+        }
+
+        if (options.retry) {
+            await Retry(() => job.createDataset(name, prepared.location, model), {logger: options.logger, ...options.retry})
+        } else {
+            await job.createDataset(name, prepared.location, model)
+        }
+    } catch (e) {
+        if (previous !== undefined) {await RestoreDataSet(job, name, previous, model, options)}
+        throw e
+    } finally {
+        prepared.removeTmpFiles()
+    }
+
+    return data
+}
+
+//Puts back the contents of a dataset UpdateDataSet failed to replace, unless the job still has the dataset
+async function RestoreDataSet(job, name, contents, model, options) {
+    if (await DataSetExists(job, name, {logger: options.logger})) {return}
+
+    try {
+        const created = await CreateDataSet(job, name, model === "JSON" ? JSON.parse(contents) : contents, options.tmpFileStore, model, {logger: options.logger, flow: options.flow});
+        created.removeTmpFiles()
+        await options.logger.warning(`Dataset "${name}" could not be updated, the previous version was restored`)
+    } catch (e) {
+        await options.logger.error(`Dataset "${name}" could not be updated and the previous version could not be restored: ${e instanceof Error ? e.message : e}`)
+    }
+}
+
+//Deep merges the object provided into the existing dataset and writes it back. Objects are merged key by key,
+//any other values (including arrays) replace the existing ones. Accepts the same options as UpdateDataSet.
+//Returns the merged dataset
+async function MergeDataSet(job, name, patch, options = {}) {
+    if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+        throw new ValidationError(`Patch to merge into dataset "${name}" must be an object, got "${Array.isArray(patch) ? "array" : typeof patch}"!`, {values: {name: name, type: Array.isArray(patch) ? "array" : typeof patch}})
+    }
+
+    return await UpdateDataSet(job, name, data => DeepMerge(data, patch), options)
+}
+
+//Returns the model of the dataset or undefined if the dataset doesn't exist
+async function GetDataSetModel(job, name) {
+    for (let set of await job.listDatasets()) {
+        if (set["name"] === name) {
+            return set["model"]
+        }
+    }
+
+    return undefined
+}
+
+//Converts dataset contents read from a file into a js value according to the model
+function ParseDataSet(contents, model) {
+    if (model === "XML" || model === "XMP") {
+        return XmlToJsObject(contents)
+    }
+
+    if (model === "Opaque") {
+        return contents
+    }
+
+    return JSON.parse(contents)
+}
+
+//Converts a js value into dataset file contents according to the model
+function SerializeDataSet(data, model) {
+    if (model === "JSON") {
+        return JSON.stringify(data)
+    }
+
+    const xml = typeof data === "string" ? data : JsObjectToXml(data);
+
+    if (model === "XMP" && !xml.includes("<?xpacket")) {
+        return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n${xml.replace(/^<\?xml[^>]*\?>\s*/, "")}\n<?xpacket end="w"?>`
+    }
+
+    return xml
+}
+
+//Keys which would reach the prototype of an object, they are refused when merging or setting values by path
+const unsafeObjectKeys = ["__proto__", "constructor", "prototype"];
+
+//Throws if the key is one of unsafeObjectKeys
+function CheckObjectKey(key, values = {}) {
+    if (unsafeObjectKeys.includes(key)) {throw new ValidationError(`Key "${key}" is not allowed!`, {code: "UNSAFE_KEY", values: {key: key, ...values}})}
+}
+
+//Merges "source" into "target" returning a new object. Neither of the objects passed in is modified
+function DeepMerge(target, source) {
+    const isPlainObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+    if (!isPlainObject(target) || !isPlainObject(source)) {
+        return source
+    }
+
+    const result = {...target};
+
+    for (let key of Object.keys(source)) {
+        CheckObjectKey(key)
+        result[key] = isPlainObject(result[key]) && isPlainObject(source[key]) ? DeepMerge(result[key], source[key]) : source[key]
+    }
+
+    return result
+}
+
+//Splits JSON pointer (e.g. "/order/items/0") into its tokens. Tokens reaching the prototype are refused
+function ParseJsonPointer(pointer) {
+    if (pointer === "") {return []}
+    if (typeof pointer !== "string" || pointer[0] !== "/") {throw new ValidationError(`Invalid JSON pointer "${pointer}"! Pointer must start with "/".`, {code: "INVALID_POINTER", values: {pointer: pointer}})}
+
+    const tokens = pointer.slice(1).split("/").map(token => token.replaceAll("~1", "/").replaceAll("~0", "~"));
+    tokens.forEach(token => CheckObjectKey(token, {pointer: pointer}))
+
+    return tokens
+}
+
+//Applies the operations [{op: "set"|"delete", path, value}] to a copy of the data and returns it. Missing parents
+//are created when setting a value, "-" as the last token of the path appends to an array
+function ApplyJsonPointerOperations(data, operations) {
+    const allowedOperations = ["set", "delete"];
+    data = JSON.parse(JSON.stringify(data === undefined ? {} : data))
+
+    for (let operation of operations) {
+        if (!operation || !allowedOperations.includes(operation.op)) {throw new ValidationError(`Invalid operation "${operation && operation.op}"! Allowed operations are: "${allowedOperations.join(`", "`)}"`, {code: "INVALID_OPERATION", values: {operation: operation, allowed: allowedOperations}})}
+
+        const tokens = ParseJsonPointer(operation.path);
+
+        if (tokens.length === 0) {
+            if (operation.op === "set") {data = operation.value} else {data = {}}
+            continue
+        }
+
+        let parent = data;
+
+        for (let token of tokens.slice(0, -1)) {
+            if (parent[token] === undefined || parent[token] === null || typeof parent[token] !== "object") {
+                if (operation.op === "delete") {parent = undefined; break}
+                parent[token] = {}
+            }
+
+            parent = parent[token]
+        }
+
+        const last = tokens[tokens.length - 1];
+
+        if (operation.op === "set") {
+            if (Array.isArray(parent) && last === "-") {
+                parent.push(operation.value)
+            } else {
+                parent[last] = operation.value
+            }
+
+            continue
+        }
+
+        if (parent === undefined) {continue}
+
+        if (Array.isArray(parent)) {
+            parent.splice(Number(last), 1)
+        } else {
+            delete parent[last]
+        }
+    }
+
+    return data
+}
+
+//Converts XML string into a js object. Attributes are placed under "@attributeName" keys, text of elements that
+//also have attributes or children under "#text". Elements that only contain text become strings, elements that
+//appear more than once under the same parent become arrays. Comments, processing instructions and DOCTYPE are ignored
+function XmlToJsObject(xml) {
+    const tokenizer = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    const attributeTokenizer = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const root = {node: {}, text: ""};
+    const stack = [root];
+
+    function addChild(parent, name, value) {
+        if (parent.node[name] === undefined) {
+            parent.node[name] = value
+        } else if (Array.isArray(parent.node[name])) {
+            parent.node[name].push(value)
+        } else {
+            parent.node[name] = [parent.node[name], value]
+        }
+    }
+
+    function finalize(frame) {
+        if (Object.keys(frame.node).length === 0) {return frame.text}
+        if (frame.text.trim()) {frame.node["#text"] = frame.text.trim()}
+        return frame.node
+    }
+
+    let match;
+    while ((match = tokenizer.exec(`${xml}`)) !== null) {
+        const [token, cdata, closingName, openingName, attributes, selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            current.text += cdata
+        } else if (text !== undefined) {
+            current.text += DecodeXmlEntities(text)
+        } else if (openingName !== undefined) {
+            const frame = {name: openingName, node: {}, text: ""};
+            let attribute;
+
+            while ((attribute = attributeTokenizer.exec(attributes)) !== null) {
+                frame.node[`@${attribute[1]}`] = DecodeXmlEntities(attribute[2] !== undefined ? attribute[2] : attribute[3])
+            }
+
+            if (selfClosing) {
+                addChild(current, openingName, finalize(frame))
+            } else {
+                stack.push(frame)
+            }
+        } else if (closingName !== undefined) {
+            if (stack.length < 2 || current.name !== closingName) {
+                throw new ValidationError(`Invalid XML! Unexpected closing tag "</${closingName}>"${current.name ? `, expected "</${current.name}>"` : ""}.`, {code: "INVALID_XML", values: {tag: closingName}})
+            }
+
+            stack.pop()
+            addChild(stack[stack.length - 1], closingName, finalize(current))
+        } else if (token.startsWith("<") && !/^<(!--|\?|!DOCTYPE)/.test(token)) {
+            throw new ValidationError(`Invalid XML! Could not parse "${token}".`, {code: "INVALID_XML", values: {token: token}})
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new ValidationError(`Invalid XML! Element "<${stack[stack.length - 1].name}>" is not closed.`, {code: "INVALID_XML", values: {tag: stack[stack.length - 1].name}})
+    }
+
+    return root.node
+}
+
+//Converts js object in a format produced by XmlToJsObject back into an XML string
+function JsObjectToXml(data, addDeclaration = true) {
+    function element(name, value, indent) {
+        if (Array.isArray(value)) {
+            return value.map(v => element(name, v, indent)).join("")
+        }
+
+        if (value === null || value === undefined) {
+            return `${indent}<${name}/>\n`
+        }
+
+        if (typeof value !== "object") {
+            return `${indent}<${name}>${EscapeXml(value)}</${name}>\n`
+        }
+
+        const keys = Object.keys(value);
+        const attributes = keys.filter(key => key[0] === "@").map(key => ` ${key.slice(1)}="${EscapeXml(value[key])}"`).join("");
+        const children = keys.filter(key => key[0] !== "@" && key !== "#text");
+        const text = value["#text"] === undefined ? "" : EscapeXml(value["#text"]);
+
+        if (children.length === 0) {
+            return text ? `${indent}<${name}${attributes}>${text}</${name}>\n` : `${indent}<${name}${attributes}/>\n`
+        }
+
+        return `${indent}<${name}${attributes}>${text ? `\n${indent}  ${text}` : ""}\n${children.map(key => element(key, value[key], `${indent}  `)).join("")}${indent}</${name}>\n`
+    }
+
+    if (!data || typeof data !== "object" || Array.isArray(data)) {throw new ValidationError(`Expected an object to convert to XML, got "${Array.isArray(data) ? "array" : typeof data}"!`, {values: {type: Array.isArray(data) ? "array" : typeof data}})}
+
+    const body = Object.keys(data).map(key => element(key, data[key], "")).join("");
+
+    return `${addDeclaration ? `<?xml version="1.0" encoding="UTF-8"?>\n` : ""}${body}`
+}
+
+//Decodes the predefined XML entities as well as numeric character references
+function DecodeXmlEntities(value) {
+    return `${value}`
+        .replace(/&#x([0-9a-fA-F]+);/g, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replaceAll("&lt;", "<")
+        .replaceAll("&gt;", ">")
+        .replaceAll("&quot;", `"`)
+        .replaceAll("&apos;", "'")
+        .replaceAll("&amp;", "&")
+}
+
+//Types private data values can be read as
+const privateDataTypes = ["auto", "string", "number", "boolean", "date", "json"];
+
+//PrivateData provides typed access to job's private data, optionally under a namespace
+//  const data = new PrivateData(job, "myFlow.step1")
+//  await data.set("pages", 12)                              //Stored as "myFlow.step1.pages" = "12"
+//  await data.get("pages", {type: "number", default: 0})    //12
+//  await data.setAll({approved: true, due: new Date()})
+//  await data.getAll({approved: "boolean", due: {type: "date"}})
+//Values are serialised to strings: objects and arrays as JSON, dates as ISO strings, numbers and booleans as text.
+//Empty values are treated as missing, as that is what Switch returns for private data that was never set
+function PrivateData(job, namespace = "") {
+    if (!job) {throw new ValidationError(`"job" is not provided as an argument to "PrivateData"!`)}
+
+    namespace = `${namespace}`.replace(/\.+$/, "")
+    const prefix = namespace ? `${namespace}.` : "";
+    const thisFunc = this;
+
+    //Returns the full private data key including the namespace
+    this.key = function (key) {
+        if (key === undefined || key === null || `${key}` === "") {throw new ValidationError(`Private data key must be a non-empty string, got "${key}"!`, {values: {key: key}})}
+        return `${prefix}${key}`
+    }
+
+    //Returns the value of the key. Options:
+    //  type: "auto"|"string"|"number"|"boolean"|"date"|"json". "auto" converts JSON objects and arrays and the numbers
+    //        that are stored exactly as "set" writes them, so "0042" or "12345678901234567890" stay strings. Everything
+    //        else, "true"/"false" included, is returned as a string. Default - "string"
+    //  default: Value returned if the key is missing. Default - undefined
+    //Throws if the value cannot be converted to the type requested
+    this.get = async function (key, options = {}) {
+        const type = options.type || "string";
+        if (!privateDataTypes.includes(type)) {throw new ValidationError(`Private data type "${type}" is not allowed! Allowed types are: "${privateDataTypes.join(`", "`)}"`, {code: "INVALID_OPTION", values: {type: type, allowed: privateDataTypes}})}
+
+        const value = await job.getPrivateData(thisFunc.key(key));
+
+        if (value === undefined || value === null || value === "") {return options.default}
+
+        return ParsePrivateData(thisFunc.key(key), `${value}`, type)
+    }
+
+    //Sets the value of the key. Objects and arrays are stored as JSON, dates as ISO strings
+    this.set = async function (key, value) {
+        await job.setPrivateData(thisFunc.key(key), SerializePrivateData(thisFunc.key(key), value))
+        return thisFunc
+    }
+
+    //Returns the values of multiple keys in a format {key: value}. "keys" is either an array of keys (read as strings)
+    //or an object in a format {key: type} or {key: {type, default}}
+    this.getAll = async function (keys) {
+        const result = {};
+
+        if (Array.isArray(keys)) {
+            for (let key of keys) {result[key] = await thisFunc.get(key)}
+            return result
+        }
+
+        for (let key of Object.keys(keys || {})) {
+            const options = typeof keys[key] === "string" ? {type: keys[key]} : keys[key] || {};
+            result[key] = await thisFunc.get(key, options)
+        }
+
+        return result
+    }
+
+    //Sets multiple keys from an object in a format {key: value}
+    this.setAll = async function (values) {
+        for (let key of Object.keys(values || {})) {
+            await thisFunc.set(key, values[key])
+        }
+
+        return thisFunc
+    }
+
+    //Returns the keys within the namespace, without the namespace prefix
+    this.list = async function () {
+        return (await job.listPrivateData()).filter(key => key.startsWith(prefix)).map(key => key.slice(prefix.length))
+    }
+
+    //Removes the key. Missing keys are ignored
+    this.remove = async function (key) {
+        await job.removePrivateData(thisFunc.key(key))
+        return thisFunc
+    }
+
+    //Removes all the keys within the namespace
+    this.removeAll = async function () {
+        for (let key of await thisFunc.list()) {
+            await thisFunc.remove(key)
+        }
+
+        return thisFunc
+    }
+}
+
+function SerializePrivateData(key, value) {
+    if (value === undefined) {throw new ValidationError(`Cannot set private data "${key}" to undefined! Use "remove" instead.`, {values: {key: key}})}
+    if (typeof value === "string") {return value}
+    if (typeof value === "boolean") {return `${value}`}
+
+    if (typeof value === "number") {
+        if (!Number.isFinite(value)) {throw new ValidationError(`Cannot set private data "${key}" to "${value}", only finite numbers can be stored!`, {values: {key: key, value: value}})}
+        return `${value}`
+    }
+
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) {throw new ValidationError(`Cannot set private data "${key}" to an invalid date!`, {values: {key: key, value: value}})}
+        return value.toISOString()
+    }
+
+    return JSON.stringify(value)
+}
+
+function ParsePrivateData(key, value, type) {
+    if (type === "string") {return value}
+
+    if (type === "json" || (type === "auto" && /^\s*[{[]/.test(value))) {
+        try {
+            return JSON.parse(value)
+        } catch (e) {
+            if (type === "json") {throw new ValidationError(`Private data "${key}" is not valid JSON! Original error: "${e.toString()}"`, {code: "INVALID_PRIVATE_DATA", values: {key: key, value: value, type: type}, cause: e})}
+            return value
+        }
+    }
+
+    //Only the numbers that read back exactly the same are converted, anything else could lose leading zeros or digits
+    if (type === "auto") {
+        const number = Number(value);
+        return Number.isFinite(number) && `${number}` === value ? number : value
+    }
+
+    const converted = CoerceCsvCell(value.trim(), type, {parseNumbers: true, parseBooleans: true});
+    if (converted === undefined) {throw new ValidationError(`Private data "${key}" with value "${value}" cannot be converted to "${type}"!`, {code: "INVALID_PRIVATE_DATA", values: {key: key, value: value, type: type}})}
+
+    return converted
+}
+
+//Copies private data and datasets from one job to another, e.g. from a parent onto its child. Options:
+//  privateData: Private data keys to copy. An array of keys or glob patterns, e.g. ["myFlow.step1.*"], or true to copy
+//               all of them. Default - []
+//  datasets: Names of the datasets to copy or true to copy all of them. Datasets that already exist on the target
+//            get replaced. Default - []
+//  logger: Logger the data copied (debug) and the problems are logged to. If none is provided, they are logged to the job
+//Returns {privateData: [keys copied], datasets: [names copied]}
+async function CopyJobData(fromJob, toJob, options = {}) {
+    return await WriteJobData(fromJob, toJob, await SelectJobData(fromJob, options), options)
+}
+
+//Checks the CopyJobData options and finds the private data keys and the datasets to copy, before anything gets
+//written, so a missing dataset doesn't leave the target with only a part of the data.
+//Returns {privateData: [keys], datasets: [{name, model}]}
+async function SelectJobData(fromJob, options = {}) {
+    const selection = {privateData: [], datasets: []};
+    const selectPrivateData = options.privateData === true ? ["*"] : options.privateData || [];
+    const selectDatasets = options.datasets || [];
+
+    if (!Array.isArray(selectPrivateData)) {throw new ValidationError(`Option "privateData" must be an array of keys or true, got "${typeof options.privateData}"`, {code: "INVALID_OPTION", values: {privateData: options.privateData}})}
+    if (selectDatasets !== true && !Array.isArray(selectDatasets)) {throw new ValidationError(`Option "datasets" must be an array of names or true, got "${typeof options.datasets}"`, {code: "INVALID_OPTION", values: {datasets: options.datasets}})}
+
+    if (selectPrivateData.length) {
+        const patterns = selectPrivateData.map(pattern => GlobToRegExp(`${pattern}`, {caseSensitive: true, anchored: true}));
+        selection.privateData = (await fromJob.listPrivateData()).filter(key => patterns.some(regex => regex.test(key)))
+    }
+
+    const datasets = await ListDataSets(fromJob);
+
+    for (let name of selectDatasets === true ? datasets.map(set => set.name) : selectDatasets) {
+        const dataset = datasets.find(set => set.name === name);
+
+        if (!dataset) {
+            const error = new DatasetNotFoundError(`Dataset "${name}" does not exist on the job, it cannot be copied!`, {values: {name: name}});
+            await HelperLogger(options.logger, fromJob).warning(error, {code: error.code})
+            throw error
+        }
+
+        selection.datasets.push(dataset)
+    }
+
+    return selection
+}
+
+//Copies the private data and datasets selected by SelectJobData. Returns {privateData: [keys copied], datasets: [names copied]}
+async function WriteJobData(fromJob, toJob, selection, options = {}) {
+    const result = {privateData: [], datasets: []};
+
+    for (let key of selection.privateData) {
+        await toJob.setPrivateData(key, await fromJob.getPrivateData(key))
+        result.privateData.push(key)
+    }
+
+    for (let dataset of selection.datasets) {
+        await RemoveDataSet(toJob, dataset.name, {ifNotFound: "ignore", logger: options.logger})
+        await toJob.createDataset(dataset.name, await fromJob.getDataset(dataset.name, "readOnly"), dataset.model)
+        result.datasets.push(dataset.name)
+    }
+
+    await HelperLogger(options.logger, fromJob).debug(`Copied ${result.privateData.length} private data keys and ${result.datasets.length} datasets`, result)
+
+    return result
+}
+
+//Creates a child job with "job.createChild" and copies the private data and datasets selected onto it.
+//Accepts the same options as CopyJobData. The options are checked before the child job is created
+async function CreateChildJob(job, location, options = {}) {
+    const selection = await SelectJobData(job, options);
+    const child = await job.createChild(location);
+    await WriteJobData(job, child, selection, options)
+
+    return child
+}
+
+//Returns property value if name exist or undefined if it doesn't. Options:
+//  logger: Logger a property that could not be read is logged to. If none is provided, it is logged to the flow element
+async function GetProperty(flowElement, name, options = {}) {
+    try {
+        return await flowElement.hasProperty(name) ? await flowElement.getPropertyStringValue(name) : undefined
+    } catch (e) {
+        await HelperLogger(options.logger, undefined, flowElement).warning(`Property "${name}" could not be read: ${e instanceof Error ? e.message : e}`)
+        return undefined
+    }
+}
+
+//Types the flow element properties can be read as
+const propertyTypes = ["string", "number", "boolean", "enum", "list", "regex", "path", "date"];
+
+//Reads the flow element properties defined in the schema and returns them as a typed config object in a format
+//{property_tag: value}. Every property is checked and all the problems found are reported at once:
+//  const config = await GetProperties(flowElement, {
+//      Folder: {type: "path", required: true, mustExist: true, kind: "folder", writable: true},
+//      Mode: {type: "enum", allowed: ["copy", "move"], default: "copy"},
+//      Retries: {type: "number", default: 3, validator: value => value >= 0 || "must not be negative"},
+//  })
+//Every property in the schema can have the following:
+//  type: "string"|"number"|"boolean"|"enum"|"list"|"regex"|"path"|"date". Default - "string"
+//  required: true/false whether the property must have a value. Default - false
+//  default: Value used if the property is missing or empty
+//  description: Included in the problem messages
+//  validator: Function receiving the typed value and the config read so far. Returning false or a string (the
+//             reason) marks the value invalid. Can be async
+//  allowed: Allowed values of "enum" type
+//  separator: Separator of "list" type values given as a single string. Default - ","
+//  flags: Flags of "regex" type, e.g. "i"
+//  mustExist: true/false whether the location of "path" type must exist. Default - false
+//  kind: "file"|"folder". What the location of "path" type must be if it exists
+//  writable: true/false whether the folder of "path" type (or the folder of the file) must be writable. A "folder"
+//            kind location must exist then as well. Default - false
+//Options:
+//  report: SwitchReport the problems are added to as error rows. If not provided, a single error listing all the
+//          problems is thrown instead. Properties with problems are left undefined in the returned config
+//  logger: Logger the properties read (debug) and the problems found (error) are logged to
+async function GetProperties(flowElement, schema, options = {}) {
+    if (!flowElement) {throw new ValidationError(`"flowElement" is not provided as an argument to "GetProperties"!`)}
+    if (!schema || typeof schema !== "object") {throw new ValidationError(`Property schema must be an object in a format {property_tag: definition}, got "${typeof schema}"`, {code: "INVALID_SCHEMA", values: {type: typeof schema}})}
+
+    const config = {};
+    const problems = [];
+
+    for (let tag of Object.keys(schema)) {
+        const definition = {type: "string", ...schema[tag]};
+        const description = definition.description ? ` (${definition.description})` : "";
+
+        if (!propertyTypes.includes(definition.type)) {throw new ValidationError(`Property "${tag}" has invalid type "${definition.type}" in the schema! Allowed types are: "${propertyTypes.join(`", "`)}"`, {code: "INVALID_SCHEMA", values: {tag: tag, type: definition.type, allowed: propertyTypes}})}
+        if (definition.type === "enum" && !Array.isArray(definition.allowed)) {throw new ValidationError(`Property "${tag}" of type "enum" requires "allowed" values in the schema!`, {code: "INVALID_SCHEMA", values: {tag: tag}})}
+
+        let raw;
+
+        try {
+            raw = await flowElement.hasProperty(tag) ? await flowElement.getPropertyStringValue(tag) : undefined
+        } catch (e) {
+            problems.push(`Property "${tag}" could not be read: ${e instanceof Error ? e.message : e}${description}.`)
+            continue
+        }
+
+        if (raw === undefined || raw === null || raw === "" || (Array.isArray(raw) && !raw.length)) {
+            if (definition.default !== undefined) {
+                config[tag] = definition.default
+            } else if (definition.required) {
+                problems.push(`Property "${tag}" is required but has no value${description}.`)
+            }
+
+            continue
+        }
+
+        let value;
+
+        try {
+            value = ParsePropertyValue(raw, definition)
+        } catch (e) {
+            problems.push(`Property "${tag}" ${e.message}${description}.`)
+            continue
+        }
+
+        const problem = definition.type === "path" ? CheckPropertyPath(value, definition) : undefined;
+        if (problem) {
+            problems.push(`Property "${tag}" ${problem}${description}.`)
+            continue
+        }
+
+        if (definition.validator) {
+            let valid;
+
+            try {
+                valid = await definition.validator(value, config)
+            } catch (e) {
+                valid = e instanceof Error ? e.message : `${e}`
+            }
+
+            if (valid === false || typeof valid === "string") {
+                problems.push(`Property "${tag}" has invalid value "${raw}"${typeof valid === "string" ? `: ${valid}` : ""}${description}.`)
+                continue
+            }
+        }
+
+        config[tag] = value
+    }
+
+    if (options.logger) {
+        await options.logger.debug(`Read ${Object.keys(config).length} of ${Object.keys(schema).length} properties`, {properties: Object.keys(config)})
+        for (let problem of problems) {await options.logger.error(problem)}
+    }
+
+    if (problems.length) {
+        const elementName = await flowElement.getName().catch(() => "");
+
+        if (options.report) {
+            for (let problem of problems) {options.report.addErrorRow(problem)}
+        } else {
+            throw new ConfigError(`Flow element${elementName ? ` "${elementName}"` : ""} is not configured correctly!\n - ${problems.join("\n - ")}`, {code: "PROPERTIES_INVALID", values: {element: elementName, problems: problems}})
+        }
+    }
+
+    return config
+}
+
+//Converts the property string value to the type of the definition. Throws an error with the reason if it cannot
+function ParsePropertyValue(raw, definition) {
+    const text = Array.isArray(raw) ? raw.join(definition.separator || ",") : `${raw}`.trim();
+
+    switch (definition.type) {
+        case "list":
+            return (Array.isArray(raw) ? raw : `${raw}`.split(definition.separator || ",")).map(item => `${item}`.trim()).filter(item => item !== "")
+        case "enum":
+            if (!definition.allowed.includes(text)) {throw new ValidationError(`has value "${text}", allowed values are: "${definition.allowed.join(`", "`)}"`, {code: "PROPERTY_INVALID", values: {value: text, allowed: definition.allowed}})}
+            return text
+        case "regex":
+            try {
+                return new RegExp(text, definition.flags || "")
+            } catch (e) {
+                throw new ValidationError(`is not a valid regular expression "${text}"`, {code: "PROPERTY_INVALID", values: {value: text}, cause: e})
+            }
+        case "number":
+        case "boolean":
+        case "date": {
+            const converted = CoerceCsvCell(text, definition.type, {});
+            if (converted === undefined) {throw new ValidationError(`must be of type "${definition.type}", got "${text}"`, {code: "PROPERTY_INVALID", values: {value: text, type: definition.type}})}
+            return converted
+        }
+        default:
+            return text
+    }
+}
+
+//Checks the location of "path" type property. Returns the problem or undefined if there is none
+function CheckPropertyPath(location, definition) {
+    let stat;
+
+    try {
+        stat = fs.statSync(location)
+    } catch (e) {
+        //A writable folder has to be there already, otherwise only the folder it would be created in gets checked
+        if (definition.mustExist || (definition.kind === "folder" && definition.writable)) {return `points to location "${location}" which does not exist`}
+    }
+
+    if (stat && definition.kind === "file" && !stat.isFile()) {return `must point to a file, "${location}" is a folder`}
+    if (stat && definition.kind === "folder" && !stat.isDirectory()) {return `must point to a folder, "${location}" is a file`}
+
+    if (definition.writable) {
+        const folder = stat && stat.isDirectory() ? location : path.dirname(location);
+
+        try {
+            fs.accessSync(folder, fs.constants.W_OK)
+        } catch (e) {
+            return `points to folder "${folder}" which is not writable`
+        }
+    }
+}
+
+//Converts Excel spreadsheet to separate json objects in a format: {sheet_name: sheet_data}. Available options are as follows:
+//  ignore_hidden_sheets: true/false. Default - true
+//  skip_hidden_rows: true/false. Default - true
+//  include_blank_rows: true/false. Default - false
+//  min_no_of_rows: Sheets with fewer rows are left out. Default - 1
+//  output: What the sheet data looks like. Options:
+//          "csv" - sheet as csv string
+//          "objects" - array of row objects keyed by the header row, e.g. [{Order: "A1", Qty: 2}]
+//          "arrays" - 2D array of typed cells
+//          Default - "csv"
+//  header_row: Which row of the range contains the headers when the output is "objects". Either a number (1 being the
+//              first row of the range) or "auto" to use the first row that only contains distinct text values. Default - "auto"
+//  range: Cell range to read, e.g. "B3:H200". Prefix it with the sheet name, e.g. "Orders!B3:H200" to only read that sheet
+//  named_range: Name of a range defined in the workbook. Only the sheet the range refers to is returned
+//  sheets: An array of sheet names to read. If nothing is defined, all sheets are read
+//  expand_merged: true/false whether the value of merged cells is copied into every cell of the merge. Does not apply
+//                 to "csv" output. Default - true
+//  logger: Logger the sheets read or left out are logged to (debug). The conversion doesn't wait for the logger
+//Typed cells are numbers, booleans, strings, dates as ISO strings ("2024-03-01" or "2024-03-01T10:30:00") or the
+//result of the formula. Empty cells are null
+function ExcelToJsObject(excel_location, options = {}) {
+    options = {
+        ignore_hidden_sheets: options.ignore_hidden_sheets === undefined ? true : options.ignore_hidden_sheets,
+        skip_hidden_rows: options.skip_hidden_rows === undefined ? true : options.skip_hidden_rows,
+        include_blank_rows: options.include_blank_rows === undefined ? false : options.include_blank_rows,
+        min_no_of_rows: options.min_no_of_rows === undefined ? 1 : options.min_no_of_rows,
+        output: options.output || "csv",
+        header_row: options.header_row === undefined ? "auto" : options.header_row,
+        range: options.range,
+        named_range: options.named_range,
+        sheets: options.sheets,
+        expand_merged: options.expand_merged === undefined ? true : !!options.expand_merged,
+        logger: options.logger,
+    };
+
+    //ExcelToJsObject is synchronous, so the messages are logged in the background and logging problems are ignored
+    const debug = message => {
+        if (options.logger) {options.logger.debug(message, {location: excel_location}).catch(() => {})}
+    };
+
+    const allowedOutputs = ["csv", "objects", "arrays"];
+    if (!allowedOutputs.includes(options.output)) {throw new ValidationError(`Output "${options.output}" is not supported! Allowed outputs are: "${allowedOutputs.join(`", "`)}"`, {code: "INVALID_OPTION", values: {output: options.output, allowed: allowedOutputs}})}
+    if (options.header_row !== "auto" && (!Number.isInteger(options.header_row) || options.header_row < 1)) {throw new ValidationError(`Option "header_row" must be "auto" or a row number starting from 1, got "${options.header_row}"`, {code: "INVALID_OPTION", values: {header_row: options.header_row}})}
+    if (options.range && options.named_range) {throw new ValidationError(`Options "range" and "named_range" cannot be used together!`, {code: "INVALID_OPTION", values: {range: options.range, named_range: options.named_range}})}
+
+    if (!fs.existsSync(excel_location)) {
+        throw new FileSystemError(`Excel spreadsheet doesn't exist in the specified location "${excel_location}"!`, {code: "LOCATION_NOT_FOUND", values: {location: excel_location}})
+    }
+    let original = excel.readFile(excel_location, {cellNF: true})
+    const workbook = original.Workbook || {};
+    const date1904 = !!(workbook.WBProps && workbook.WBProps.date1904);
+
+    let rangeSheet;
+    let range;
+
+    if (options.named_range) {
+        const name = (workbook.Names || []).find(n => n.Name === options.named_range);
+        if (!name) {throw new ValidationError(`Named range "${options.named_range}" is not defined in the workbook "${excel_location}"!`, {code: "RANGE_NOT_FOUND", values: {named_range: options.named_range, location: excel_location}})}
+        ({sheet: rangeSheet, range: range} = SplitSheetRange(name.Ref))
+    } else if (options.range) {
+        ({sheet: rangeSheet, range: range} = SplitSheetRange(options.range))
+    }
+
+    let result = {}
+
+    for (let i = 0; i < original.SheetNames.length; i++) {
+        const name = original.SheetNames[i];
+        const sheetInfo = (workbook.Sheets || [])[i] || {};
+
+        if (options.ignore_hidden_sheets && sheetInfo["Hidden"]) {
+            debug(`Left out hidden sheet "${name}"`)
+            continue
+        }
+        if (options.sheets && !options.sheets.includes(name)) {
+            continue
+        }
+        if (rangeSheet !== undefined && rangeSheet !== name) {
+            continue
+        }
+
+        let sheet = original.Sheets[name];
+        if (range) {
+            sheet = {...sheet, "!ref": range}
+        }
+
+        if (options.output === "csv") {
+            const csv = excel.utils.sheet_to_csv(sheet, {blankrows: options.include_blank_rows, skipHidden: options.skip_hidden_rows});
+
+            if ((csv.split(/\r\n|\r|\n/).length - 1) < options.min_no_of_rows) {
+                debug(`Left out sheet "${name}" with fewer than ${options.min_no_of_rows} rows`)
+                continue
+            }
+
+            debug(`Read sheet "${name}"`)
+            result[name] = csv
+            continue
+        }
+
+        let rows = SheetToTypedRows(sheet, {
+            skipHiddenRows: options.skip_hidden_rows,
+            includeBlankRows: options.include_blank_rows,
+            expandMerged: options.expand_merged,
+            date1904: date1904,
+        });
+
+        if (options.output === "objects") {
+            rows = TypedRowsToObjects(rows, options.header_row, sheet)
+        }
+
+        if (rows.length < options.min_no_of_rows) {
+            debug(`Left out sheet "${name}" with fewer than ${options.min_no_of_rows} rows`)
+            continue
+        }
+
+        debug(`Read sheet "${name}" with ${rows.length} rows`)
+        result[name] = rows
+    }
+
+    return result
+}
+
+//Splits a reference like "'My Sheet'!$B$3:$H$200" into {sheet: "My Sheet", range: "B3:H200"}. Sheet is undefined if not present
+function SplitSheetRange(reference) {
+    reference = `${reference}`
+    const separator = reference.lastIndexOf("!");
+    let sheet = separator === -1 ? undefined : reference.slice(0, separator);
+    const range = (separator === -1 ? reference : reference.slice(separator + 1)).replaceAll("$", "");
+
+    if (sheet && sheet[0] === "'" && sheet[sheet.length - 1] === "'") {
+        sheet = sheet.slice(1, -1).replaceAll("''", "'")
+    }
+
+    if (!/^[A-Z]+\d+(:[A-Z]+\d+)?$/i.test(range)) {throw new ValidationError(`Invalid cell range "${reference}"! Expected a range like "B3:H200".`, {code: "INVALID_RANGE", values: {range: reference}})}
+
+    return {sheet: sheet, range: range.toUpperCase()}
+}
+
+//Reads the cells of the sheet's "!ref" range into a 2D array of typed values
+function SheetToTypedRows(sheet, options) {
+    if (!sheet["!ref"]) {return []}
+
+    const range = excel.utils.decode_range(sheet["!ref"]);
+    const merged = {};
+
+    if (options.expandMerged) {
+        for (let merge of sheet["!merges"] || []) {
+            const value = ExcelCellValue(sheet[excel.utils.encode_cell(merge.s)], options.date1904);
+
+            for (let r = merge.s.r; r <= merge.e.r; r++) {
+                for (let c = merge.s.c; c <= merge.e.c; c++) {
+                    merged[excel.utils.encode_cell({r: r, c: c})] = value
+                }
+            }
+        }
+    }
+
+    const rows = [];
+
+    for (let r = range.s.r; r <= range.e.r; r++) {
+        if (options.skipHiddenRows && sheet["!rows"] && sheet["!rows"][r] && sheet["!rows"][r].hidden) {
+            continue
+        }
+
+        const row = [];
+
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            const address = excel.utils.encode_cell({r: r, c: c});
+            row.push(merged[address] !== undefined ? merged[address] : ExcelCellValue(sheet[address], options.date1904))
+        }
+
+        if (!options.includeBlankRows && row.every(value => value === null)) {
+            continue
+        }
+
+        rows.push(row)
+    }
+
+    return rows
+}
+
+//Converts a 2D array of typed cells into row objects using the header row. Empty headers are named after the column
+//letter, duplicate headers get renamed to "Name (2)", "Name (3)", etc.
+function TypedRowsToObjects(rows, headerRow, sheet) {
+    let headerIndex = headerRow === "auto" ? DetectHeaderRow(rows) : headerRow - 1;
+
+    if (headerIndex < 0 || headerIndex >= rows.length) {return []}
+
+    const firstColumn = sheet["!ref"] ? excel.utils.decode_range(sheet["!ref"]).s.c : 0;
+    const headers = HandleDuplicateHeaders(rows[headerIndex].map((header, i) => header === null || header === "" ? excel.utils.encode_col(firstColumn + i) : `${header}`), "rename");
+
+    return rows.slice(headerIndex + 1).map(row => Object.fromEntries(headers.map((header, i) => [header, row[i] === undefined ? null : row[i]])))
+}
+
+//Returns the index of the first of the first 10 rows that only contains distinct text values and is at least half as
+//wide as the widest of them. Falls back to the first row
+function DetectHeaderRow(rows) {
+    const sample = rows.slice(0, 10);
+    const filled = row => row.filter(value => value !== null && value !== "");
+    const widest = Math.max(0, ...sample.map(row => filled(row).length));
+
+    const index = sample.findIndex(row => {
+        const values = filled(row);
+        return values.length > 0 && values.length * 2 >= widest && values.every(value => typeof value === "string") && new Set(values).size === values.length
+    });
+
+    return index === -1 ? 0 : index
+}
+
+//Converts the xlsx cell to a typed value. Dates are returned as ISO strings
+function ExcelCellValue(cell, date1904 = false) {
+    if (!cell || cell.t === "z" || cell.v === undefined) {return null}
+
+    if (cell.t === "e") {return cell.w || null}
+    if (cell.t === "b") {return !!cell.v}
+    if (cell.t === "d") {return ExcelDateToIso(cell.v)}
+
+    if (cell.t === "n") {
+        if (cell.z && excel.SSF.is_date(cell.z)) {
+            const date = excel.SSF.parse_date_code(cell.v, {date1904: date1904});
+            const pad = (value, length = 2) => `${value}`.padStart(length, "0");
+            const day = `${pad(date.y, 4)}-${pad(date.m)}-${pad(date.d)}`;
+
+            return date.H || date.M || date.S ? `${day}T${pad(date.H)}:${pad(date.M)}:${pad(date.S)}` : day
+        }
+
+        return cell.v
+    }
+
+    return `${cell.v}`
+}
+
+//Converts a Date to ISO string, only keeping the date part if there is no time
+function ExcelDateToIso(date) {
+    const iso = date.toISOString();
+    return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso.slice(0, 19)
+}
+
+//Writes a multi-sheet .xlsx workbook. "sheets" is an object in a format {sheet_name: sheet_data} where sheet_data is
+//either an array of objects, an array of arrays (first one being the headers), csv text, a CsvProcessor or
+//{headers, rows}. Returns the location of the workbook. Available options are as follows:
+//  headerStyle: Style of the header row in a format {bold, color, fill} with colors as hex "RRGGBB" or false for no
+//               styling. Default - {bold: true, fill: "D9E1F2"}
+//  columnWidths: "auto" to fit the content, an array of widths or an object in a format {header: width}. Default - "auto"
+//  maxColumnWidth: The widest a column can get when "columnWidths" is "auto". Default - 60
+//  freezeHeader: true/false whether the header row stays visible while scrolling. Default - true
+//  autoFilter: true/false whether to add filters to the header row. Default - true
+//  hyperlinks: Which cells become links to the files they contain. "auto" - every cell that looks like an absolute
+//              file path, an array of header names - all the cells in those columns, false - none. Default - "auto"
+//  csv: Dialect of the csv text provided as sheet data in a format {delimiter, quote}. Default - {delimiter: ",", quote: '"'}
+async function JsObjectToExcel(location, sheets, options = {}) {
+    options = {
+        headerStyle: options.headerStyle === undefined ? {bold: true, fill: "D9E1F2"} : options.headerStyle,
+        columnWidths: options.columnWidths === undefined ? "auto" : options.columnWidths,
+        maxColumnWidth: options.maxColumnWidth === undefined ? 60 : options.maxColumnWidth,
+        freezeHeader: options.freezeHeader === undefined ? true : !!options.freezeHeader,
+        autoFilter: options.autoFilter === undefined ? true : !!options.autoFilter,
+        hyperlinks: options.hyperlinks === undefined ? "auto" : options.hyperlinks,
+        csv: {delimiter: ",", quote: `"`, ...(options.csv || {})},
+    }
+
+    if (!location || path.extname(location).toLowerCase() !== ".xlsx") {throw new ValidationError(`Workbook can only be saved as ".xlsx", got "${location}"`, {code: "UNSUPPORTED_EXTENSION", values: {location: location}})}
+    if (!sheets || typeof sheets !== "object" || !Object.keys(sheets).length) {throw new ValidationError(`Expected at least one sheet in a format {sheet_name: sheet_data}!`)}
+    if (options.hyperlinks !== "auto" && options.hyperlinks !== false && !Array.isArray(options.hyperlinks)) {throw new ValidationError(`Option "hyperlinks" is allowed to be "auto", false or an array of header names, got "${options.hyperlinks}"`, {code: "INVALID_OPTION", values: {hyperlinks: options.hyperlinks}})}
+
+    const workbook = excel.utils.book_new();
+    const styled = [];
+
+    for (let name of Object.keys(sheets)) {
+        const table = await ToHeadersAndRows(sheets[name], options.csv);
+        const sheet = {};
+        const links = [];
+
+        [table.headers, ...table.rows].forEach((row, r) => {
+            row.forEach((value, c) => {
+                const cell = ExcelCell(value);
+                if (!cell) {return}
+
+                const address = excel.utils.encode_cell({r: r, c: c});
+                if (r > 0 && typeof value === "string" && IsHyperlinkCell(value, table.headers[c], options.hyperlinks)) {
+                    cell.l = {Target: value}
+                    links.push(address)
+                }
+
+                sheet[address] = cell
+            })
+        })
+
+        const columnCount = table.rows.reduce((max, row) => Math.max(max, row.length), Math.max(table.headers.length, 1));
+        const lastCell = excel.utils.encode_cell({r: table.rows.length, c: columnCount - 1});
+        sheet["!ref"] = `A1:${lastCell}`
+        sheet["!cols"] = ColumnWidths(table, columnCount, options)
+
+        if (options.autoFilter && table.headers.length) {
+            sheet["!autofilter"] = {ref: `A1:${lastCell}`}
+        }
+
+        excel.utils.book_append_sheet(workbook, sheet, name)
+        styled.push({headerCells: table.headers.map((h, c) => excel.utils.encode_cell({r: 0, c: c})), links: links})
+    }
+
+    const buffer = StyleWorkbook(excel.write(workbook, {type: "buffer", bookType: "xlsx"}), styled, options);
+
+    await fs.promises.mkdir(path.dirname(location), {recursive: true})
+    await fs.promises.writeFile(location, buffer)
+
+    return location
+}
+
+//Brings all the sheet data formats JsObjectToExcel accepts down to {headers, rows}
+async function ToHeadersAndRows(data, csvDialect) {
+    if (typeof data === "string") {
+        const rows = await ParseCsvText(data, csvDialect);
+        const headers = rows.shift() || [];
+        return {headers: headers, rows: rows.map(row => row.map(cell => CoerceCsvCell(cell, "auto", {parseNumbers: true, parseBooleans: true})))}
+    }
+
+    if (data && typeof data.getHeaders === "function" && typeof data.getRows === "function") {
+        return {headers: [...data.getHeaders()], rows: data.getRows()}
+    }
+
+    if (data && !Array.isArray(data) && Array.isArray(data.rows)) {
+        return {headers: [...(data.headers || [])], rows: data.rows}
+    }
+
+    if (!Array.isArray(data)) {throw new ValidationError(`Sheet data must be an array of objects, an array of arrays, csv text, a CsvProcessor or {headers, rows}, got "${typeof data}"`, {code: "INVALID_DATA", values: {type: typeof data}})}
+
+    if (data.every(row => Array.isArray(row))) {
+        return {headers: [...(data[0] || [])], rows: data.slice(1)}
+    }
+
+    const headers = [];
+    for (let object of data) {
+        for (let key of Object.keys(object)) {
+            if (!headers.includes(key)) {headers.push(key)}
+        }
+    }
+
+    return {headers: headers, rows: data.map(object => headers.map(header => object[header]))}
+}
+
+//Converts a value to an xlsx cell. Dates are stored as Excel dates, only showing the time if there is one
+function ExcelCell(value) {
+    if (value === undefined || value === null || value === "") {return undefined}
+    if (typeof value === "number") {return {t: "n", v: value}}
+    if (typeof value === "boolean") {return {t: "b", v: value}}
+
+    if (value instanceof Date) {
+        const dateOnly = value.toISOString().endsWith("T00:00:00.000Z");
+        return {t: "n", v: value.getTime() / 86400000 + 25569, z: dateOnly ? "yyyy-mm-dd" : "yyyy-mm-dd hh:mm:ss"}
+    }
+
+    return {t: "s", v: `${value}`}
+}
+
+//Whether the value should become a link to the file
+function IsHyperlinkCell(value, header, hyperlinks) {
+    if (hyperlinks === false) {return false}
+    if (Array.isArray(hyperlinks)) {return hyperlinks.includes(header)}
+
+    return /^(\/[^/]|[a-zA-Z]:[\\/]|\\\\[^\\])/.test(value) && !/[\r\n]/.test(value)
+}
+
+function ColumnWidths(table, columnCount, options) {
+    const widths = [];
+
+    for (let c = 0; c < columnCount; c++) {
+        let width;
+
+        if (Array.isArray(options.columnWidths)) {
+            width = options.columnWidths[c]
+        } else if (options.columnWidths && typeof options.columnWidths === "object") {
+            width = options.columnWidths[table.headers[c]]
+        } else if (options.columnWidths === "auto") {
+            const length = value => {
+                if (value === undefined || value === null) {return 0}
+                if (value instanceof Date) {return 19}
+                return `${value}`.split(/\r\n|\r|\n/).reduce((max, line) => Math.max(max, line.length), 0)
+            };
+            const widest = table.rows.reduce((max, row) => Math.max(max, length(row[c])), Math.max(8, length(table.headers[c])));
+            width = Math.min(widest + 2, options.maxColumnWidth)
+        }
+
+        widths.push(width === undefined ? {} : {wch: width})
+    }
+
+    return widths
+}
+
+//The community version of xlsx does not write cell styles or frozen panes, so they are added to the xml of the
+//written workbook: header style, link style and the frozen header row
+function StyleWorkbook(buffer, sheets, options) {
+    const zip = excel.CFB.read(buffer, {type: "buffer"});
+    const readEntry = name => Buffer.from(excel.CFB.find(zip, name).content).toString("utf-8");
+    const writeEntry = (name, xml) => {excel.CFB.find(zip, name).content = Buffer.from(xml, "utf-8")};
+    const color = value => `FF${`${value}`.replace(/^#/, "").toUpperCase()}`;
+
+    let styles = readEntry("/xl/styles.xml");
+
+    //Appends an element to a list like <fonts count="1">...</fonts> and returns its index
+    const append = (list, element) => {
+        let index;
+        styles = styles.replace(new RegExp(`<${list} count="(\\d+)">([\\s\\S]*?)</${list}>`), (all, count, items) => {
+            index = Number(count)
+            return `<${list} count="${index + 1}">${items}${element}</${list}>`
+        })
+        return index
+    }
+
+    let headerXf;
+    if (options.headerStyle) {
+        const style = options.headerStyle;
+        const fontId = append("fonts", `<font>${style.bold === false ? "" : "<b/>"}<sz val="12"/>${style.color ? `<color rgb="${color(style.color)}"/>` : `<color theme="1"/>`}<name val="Calibri"/><family val="2"/><scheme val="minor"/></font>`);
+        const fillId = style.fill ? append("fills", `<fill><patternFill patternType="solid"><fgColor rgb="${color(style.fill)}"/><bgColor indexed="64"/></patternFill></fill>`) : 0;
+        headerXf = append("cellXfs", `<xf numFmtId="0" fontId="${fontId}" fillId="${fillId}" borderId="0" xfId="0" applyFont="1" applyFill="${fillId ? 1 : 0}"/>`)
+    }
+
+    let linkXf;
+    if (sheets.some(sheet => sheet.links.length)) {
+        const fontId = append("fonts", `<font><u/><sz val="12"/><color rgb="FF0563C1"/><name val="Calibri"/><family val="2"/><scheme val="minor"/></font>`);
+        linkXf = append("cellXfs", `<xf numFmtId="0" fontId="${fontId}" fillId="0" borderId="0" xfId="0" applyFont="1"/>`)
+    }
+
+    writeEntry("/xl/styles.xml", styles)
+
+    const worksheets = WorksheetEntries(readEntry);
+
+    sheets.forEach((sheet, i) => {
+        const name = worksheets[i];
+        let xml = readEntry(name);
+
+        const setStyle = (addresses, xf) => {
+            const wanted = new Set(addresses);
+            xml = xml.replace(/<c r="([A-Z]+\d+)"(?![^>]* s=")/g, (all, address) => wanted.has(address) ? `<c r="${address}" s="${xf}"` : all)
+        }
+
+        if (headerXf !== undefined) {setStyle(sheet.headerCells, headerXf)}
+        if (linkXf !== undefined) {setStyle(sheet.links, linkXf)}
+
+        if (options.freezeHeader && sheet.headerCells.length) {
+            xml = xml.replace(/<sheetView([^>]*?)\/>/, `<sheetView$1><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/></sheetView>`)
+        }
+
+        writeEntry(name, xml)
+    })
+
+    return excel.CFB.write(zip, {fileType: "zip", type: "buffer"})
+}
+
+//Returns the locations of the worksheets inside the .xlsx zip in the order of the sheets, as listed by the workbook
+//and its relationships
+function WorksheetEntries(readEntry) {
+    const targets = {};
+
+    for (let [, attributes] of readEntry("/xl/_rels/workbook.xml.rels").matchAll(/<Relationship\b([^>]*)>/g)) {
+        const id = /\bId="([^"]*)"/.exec(attributes);
+        const target = /\bTarget="([^"]*)"/.exec(attributes);
+        if (id && target) {targets[id[1]] = target[1]}
+    }
+
+    return [...readEntry("/xl/workbook.xml").matchAll(/<sheet\b[^>]*?\br:id="([^"]*)"/g)].map(([, id]) => {
+        const target = targets[id];
+        if (target === undefined) {throw new FileSystemError(`Workbook written has no worksheet for relationship "${id}"!`, {code: "INVALID_WORKBOOK", values: {id: id}})}
+
+        return target.startsWith("/") ? target : path.posix.join("/xl", target)
+    })
+}
+
+//Introduces delay into the process. Options:
+//  signal: AbortSignal, aborting it ends the delay early by rejecting with the abort reason
+function Delay(t, options = {}) {
+    const signal = options.signal;
+
+    return new Promise(function(resolve, reject) {
+        if (signal && signal.aborted) {return reject(signal.reason)}
+
+        const onAbort = () => {
+            clearTimeout(timer)
+            reject(signal.reason)
+        };
+        const timer = setTimeout(function() {
+            if (signal) {signal.removeEventListener("abort", onAbort)}
+            resolve();
+        }, t);
+
+        if (signal) {signal.addEventListener("abort", onAbort, {once: true})}
+    });
+}
+
+//Backoff strategies of Retry, each returns the delay before the next attempt for the base delay and the attempt that failed
+const backoffStrategies = {
+    fixed: (delay) => delay,
+    linear: (delay, attempt) => delay * attempt,
+    exponential: (delay, attempt) => delay * 2 ** (attempt - 1),
+}
+
+//Calls "fn" until it succeeds or runs out of attempts and returns its result. "fn" receives the attempt number
+//(starting from 1) and an AbortSignal. If all the attempts fail, the error of the last one is thrown:
+//  const location = await Retry(() => job.getDataset("Order", "readOnly"), {attempts: 5, delay: 500})
+//Options (also known as a retry policy, accepted by the helpers through their "retry" option):
+//  attempts: How many times "fn" is called at most. Default - 3
+//  delay: Milliseconds to wait after the first failed attempt. Default - 1000
+//  backoff: How the delay grows with the attempts. "fixed", "linear", "exponential" or a function (delay, attempt) => ms.
+//           Default - "exponential"
+//  maxDelay: The delay never grows over this many milliseconds. Default - 30000
+//  jitter: Part of the delay (0 - 1) which is randomised, so processes retrying at the same time spread out. true is
+//          the same as 1. Default - 0
+//  retryOn: Which errors are retried. A function (error, attempt) => true/false or an array of error codes, e.g.
+//           ["EBUSY", "ECONNRESET"]. Default - all errors except ValidationError and ConfigError
+//  onRetry: Function (error, attempt, delay) called before waiting for the next attempt
+//  logger: Logger every failed attempt is logged to as a warning
+//  signal: AbortSignal, aborting it stops waiting and no more attempts are made. The abort reason is thrown
+async function Retry(fn, options = {}) {
+    const policy = RetryPolicy(options);
+    const signal = options.signal;
+
+    for (let attempt = 1; ; attempt++) {
+        if (signal && signal.aborted) {throw signal.reason}
+
+        try {
+            return await fn(attempt, signal)
+        } catch (e) {
+            if (signal && signal.aborted) {throw signal.reason}
+            if (attempt >= policy.attempts || !policy.retryOn(e, attempt)) {throw e}
+
+            const base = Math.min(policy.backoff(policy.delay, attempt), policy.maxDelay);
+            const wait = Math.round(base * (1 - policy.jitter * Math.random()));
+
+            if (policy.onRetry) {await policy.onRetry(e, attempt, wait)}
+            if (policy.logger) {await policy.logger.warning(`Attempt ${attempt} of ${policy.attempts} failed, retrying in ${wait}ms: ${e instanceof Error ? e.message : e}`, {code: e && e.code})}
+
+            await Delay(wait, {signal: signal})
+        }
+    }
+}
+
+//Validates the options of Retry and fills in the defaults
+function RetryPolicy(options = {}) {
+    const policy = {
+        attempts: options.attempts === undefined ? 3 : options.attempts,
+        delay: options.delay === undefined ? 1000 : options.delay,
+        backoff: options.backoff || "exponential",
+        maxDelay: options.maxDelay === undefined ? 30000 : options.maxDelay,
+        jitter: options.jitter === true ? 1 : options.jitter || 0,
+        retryOn: options.retryOn,
+        onRetry: options.onRetry,
+        logger: options.logger,
+    }
+
+    if (!Number.isInteger(policy.attempts) || policy.attempts < 1) {throw new ValidationError(`Option "attempts" must be a positive integer, got "${policy.attempts}"`, {code: "INVALID_OPTION", values: {attempts: policy.attempts}})}
+    for (let key of ["delay", "maxDelay"]) {
+        if (typeof policy[key] !== "number" || policy[key] < 0) {throw new ValidationError(`Option "${key}" must be a positive number of milliseconds, got "${policy[key]}"`, {code: "INVALID_OPTION", values: {option: key, value: policy[key]}})}
+    }
+    if (typeof policy.jitter !== "number" || policy.jitter < 0 || policy.jitter > 1) {throw new ValidationError(`Option "jitter" must be true, false or a number between 0 and 1, got "${options.jitter}"`, {code: "INVALID_OPTION", values: {jitter: options.jitter}})}
+
+    if (typeof policy.backoff !== "function") {
+        if (!backoffStrategies[policy.backoff]) {throw new ValidationError(`Option "backoff" is allowed to have values "${Object.keys(backoffStrategies).join(`", "`)}" or a function, got "${policy.backoff}"`, {code: "INVALID_OPTION", values: {backoff: policy.backoff, allowed: Object.keys(backoffStrategies)}})}
+        policy.backoff = backoffStrategies[policy.backoff]
+    }
+
+    if (Array.isArray(policy.retryOn)) {
+        const codes = policy.retryOn;
+        policy.retryOn = error => !!error && codes.includes(error.code)
+    } else if (policy.retryOn === undefined) {
+        policy.retryOn = error => !(error instanceof ValidationError || error instanceof ConfigError)
+    } else if (typeof policy.retryOn !== "function") {
+        throw new ValidationError(`Option "retryOn" must be a function or an array of error codes, got "${typeof policy.retryOn}"`, {code: "INVALID_OPTION", values: {retryOn: policy.retryOn}})
+    }
+
+    return policy
+}
+
+//Waits for the promise, but for no longer than "ms" milliseconds, after which TimeoutError is thrown. Instead of a
+//promise, a function can be passed which receives an AbortSignal that is aborted once the time is up, so the
+//operation can be cancelled:
+//  await WithTimeout(signal => FindInLocation("ORD-1", "/archive", {depth: Infinity, signal: signal}), 60000)
+//Options:
+//  signal: AbortSignal, aborting it rejects straight away with the abort reason
+//  message: Message of the TimeoutError. Default - "Operation timed out after <ms>ms!"
+async function WithTimeout(promise, ms, options = {}) {
+    if (typeof ms !== "number" || ms < 0) {throw new ValidationError(`Timeout must be a positive number of milliseconds, got "${ms}"`, {code: "INVALID_OPTION", values: {timeout: ms}})}
+
+    const controller = new AbortController();
+    const signal = options.signal;
+    const timeoutError = new TimeoutError(options.message || `Operation timed out after ${ms}ms!`, {values: {timeout: ms}});
+    let timer;
+    let onAbort;
+
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort(timeoutError)
+            reject(timeoutError)
+        }, ms)
+
+        if (signal) {
+            onAbort = () => {
+                controller.abort(signal.reason)
+                reject(signal.reason)
+            }
+            if (signal.aborted) {onAbort()} else {signal.addEventListener("abort", onAbort, {once: true})}
+        }
+    });
+
+    try {
+        const operation = typeof promise === "function" ? Promise.resolve().then(() => promise(controller.signal)) : promise;
+        return await Promise.race([operation, expired])
+    } finally {
+        clearTimeout(timer)
+        if (signal && onAbort) {signal.removeEventListener("abort", onAbort)}
+    }
+}
+
+//Runs the tasks added to it with no more than "limit" of them at the same time, e.g. to copy many files without
+//overloading the file server:
+//  const pool = new TaskPool(4)
+//  for (let file of files) {pool.add(() => fs.promises.copyFile(file, path.join(target, path.basename(file))))}
+//  await pool.onIdle()
+//Options:
+//  signal: AbortSignal, aborting it stops starting new tasks, those waiting reject with the abort reason. Tasks receive
+//          the signal as their argument
+function TaskPool(limit, options = {}) {
+    if (!Number.isInteger(limit) || limit < 1) {throw new ValidationError(`Task pool limit must be a positive integer, got "${limit}"`, {code: "INVALID_OPTION", values: {limit: limit}})}
+
+    const signal = options.signal;
+    const queue = [];
+    const idleWaiters = [];
+    let active = 0;
+
+    function next() {
+        while (active < limit && queue.length) {
+            const task = queue.shift();
+
+            if (signal && signal.aborted) {
+                task.reject(signal.reason)
+                continue
+            }
+
+            active++
+            Promise.resolve().then(() => task.fn(signal)).then(task.resolve, task.reject).finally(() => {
+                active--
+                next()
+            })
+        }
+
+        if (active === 0 && queue.length === 0) {
+            for (let resolve of idleWaiters.splice(0)) {resolve()}
+        }
+    }
+
+    //Adds a task (a function returning a promise). Returns a promise of the task's result
+    this.add = function (fn) {
+        if (typeof fn !== "function") {throw new ValidationError(`Task must be a function, got "${typeof fn}"`, {values: {type: typeof fn}})}
+
+        return new Promise((resolve, reject) => {
+            queue.push({fn: fn, resolve: resolve, reject: reject})
+            next()
+        })
+    }
+
+    //Resolves once all the tasks added so far have finished, successfully or not
+    this.onIdle = function () {
+        if (active === 0 && queue.length === 0) {return Promise.resolve()}
+
+        return new Promise(resolve => idleWaiters.push(resolve))
+    }
+
+    this.getActiveCount = function () {
+        return active
+    }
+    this.getPendingCount = function () {
+        return queue.length
+    }
+}
+
+//Calls "fn" (item, index, signal) for every item with no more than "limit" calls running at the same time and returns
+//the results in the order of the items. If any of the calls fails, no new calls are started and the error is thrown
+//once the running ones have finished. Options:
+//  signal: AbortSignal, aborting it stops starting new calls and the abort reason is thrown
+//  settle: true/false. If true, all the items are processed regardless of failures and the results are returned in a
+//          format {status: "fulfilled", value} or {status: "rejected", reason}, like Promise.allSettled. Default - false
+async function MapLimit(items, limit, fn, options = {}) {
+    if (typeof fn !== "function") {throw new ValidationError(`Mapper must be a function, got "${typeof fn}"`, {values: {type: typeof fn}})}
+
+    const controller = new AbortController();
+    const signal = options.signal;
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal) {
+        if (signal.aborted) {throw signal.reason}
+        signal.addEventListener("abort", onAbort, {once: true})
+    }
+
+    const pool = new TaskPool(limit, {signal: controller.signal});
+    let failure;
+
+    const tasks = Array.from(items, (item, index) => pool.add(taskSignal => fn(item, index, taskSignal)).then(
+        value => ({status: "fulfilled", value: value}),
+        reason => {
+            if (!options.settle && failure === undefined) {
+                failure = {reason: reason}
+                controller.abort(reason)
+            }
+            return {status: "rejected", reason: reason}
+        },
+    ));
+
+    try {
+        const results = await Promise.all(tasks);
+
+        if (signal && signal.aborted) {throw signal.reason}
+        if (failure) {throw failure.reason}
+
+        return options.settle ? results : results.map(result => result.value)
+    } finally {
+        if (signal) {signal.removeEventListener("abort", onAbort)}
+    }
+}
+
+//Modes supported by CompareStrings and MatchStrings
+const stringMatchModes = ["exact", "contains", "prefix", "suffix", "wildcard", "regex", "fuzzy"];
+
+//CompareString compares two strings with options to make a case-insensitive compare as well as partial match.
+//Returns true/false, use MatchStrings to get the similarity score as well. Options are described at MatchStrings
+function CompareStrings(matchToThis, matchThis, options = {}) {
+    return MatchStrings(matchToThis, matchThis, options).match
+}
+
+//Matches "matchThis" (the pattern) against "matchToThis" (the subject) and returns
+//{match: true/false, score: 0-1, subject: normalised subject, pattern: normalised pattern}.
+//Score is the similarity of both values in "fuzzy" mode, in all other modes it is 1 for a match and 0 otherwise.
+//  CompareStrings("ORD-0042", "ord 42", {normalise: true})  //true
+//  MatchStrings("Müller GmbH", "muler gmbh", {mode: "fuzzy", normalise: true})  //{match: true, score: 0.9, ...}
+//Options:
+//  mode: "exact", "contains", "prefix", "suffix", "wildcard" ("*" and "?"), "regex" or "fuzzy". Default - "exact"
+//  case_sensitive: true/false. Default - true, unless "normalise" is used
+//  match_partial: true/false, the same as mode "contains". Kept for backwards compatibility. Default - false
+//  threshold: Minimum score for "fuzzy" mode to be considered a match. Default - 0.8
+//  normalise: true to turn all of the options below on (and "case_sensitive" off). Each of them can still be switched off
+//  strip_accents: Unicode NFKD decomposition with accents removed, "Crème" becomes "Creme". Default - false
+//  ignore_punctuation: Punctuation is replaced with a space, "ORD-42" becomes "ORD 42". Default - false
+//  collapse_whitespace: Whitespace is trimmed and runs of it are replaced with a single space. Default - false
+//  ignore_separators: All whitespace (and punctuation if ignored) is removed, "ORD 42" becomes "ORD42". Default - false
+//  trim_leading_zeros: Leading zeros are removed from numbers, "0042" becomes "42". Default - false
+//Normalisation is applied to both values, except to the pattern in "regex" mode. In "wildcard" mode "*" and "?" are kept.
+//With "trim_leading_zeros" a number continued by "*" matches with or without its leading zeros, "?" counts the
+//characters of the trimmed number, so "ORD-00??" doesn't match "ORD-0042" (use "ORD-00*" or "ORD-??" instead)
+function MatchStrings(matchToThis, matchThis, options = {}) {
+    const all = !!options.normalise;
+    const setting = (name, fallback) => options[name] === undefined ? fallback : !!options[name];
+    const settings = {
+        mode: options.mode || (options.match_partial ? "contains" : "exact"),
+        caseSensitive: setting("case_sensitive", !all),
+        threshold: options.threshold === undefined ? 0.8 : options.threshold,
+        stripAccents: setting("strip_accents", all),
+        ignorePunctuation: setting("ignore_punctuation", all),
+        collapseWhitespace: setting("collapse_whitespace", all),
+        ignoreSeparators: setting("ignore_separators", all),
+        trimLeadingZeros: setting("trim_leading_zeros", all),
+    };
+
+    if (!stringMatchModes.includes(settings.mode)) {throw new ValidationError(`Option "mode" is allowed to have values "${stringMatchModes.join(`", "`)}", got "${settings.mode}"`, {code: "INVALID_OPTION", values: {mode: settings.mode, allowed: stringMatchModes}})}
+    if (typeof settings.threshold !== "number" || settings.threshold < 0 || settings.threshold > 1) {throw new ValidationError(`Option "threshold" must be a number between 0 and 1, got "${settings.threshold}"`, {code: "INVALID_OPTION", values: {threshold: settings.threshold}})}
+
+    const subject = NormaliseString(`${matchToThis}`, settings);
+    let pattern;
+    let match;
+    let score;
+
+    switch (settings.mode) {
+        case "regex": {
+            const source = matchThis instanceof RegExp ? matchThis.source : `${matchThis}`;
+            let flags = matchThis instanceof RegExp ? matchThis.flags.replace(/[gy]/g, "") : "";
+            if (!settings.caseSensitive && !flags.includes("i")) {flags += "i"}
+
+            pattern = source
+            match = new RegExp(source, flags).test(subject)
+            break
+        }
+        case "wildcard": {
+            //Wildcards are cut out before normalising, so punctuation rules do not remove them
+            const parts = `${matchThis}`.split(/([*?])/).map(part => part === "*" || part === "?" ? part : NormaliseString(part, settings));
+            const source = parts.map((part, i) => {
+                if (part === "*") {return "[\\s\\S]*"}
+                if (part === "?") {return "[\\s\\S]"}
+
+                const escaped = part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+                //A number continued by "*" is only a start of the number, e.g. "ORD-00*" has to match "ORD-0042" which
+                //is trimmed to "ORD-42", so the leading zeros of the trailing digits are optional
+                return settings.trimLeadingZeros && parts[i + 1] === "*" ? escaped.replace(/0*(\d*)$/, "0*$1") : escaped
+            }).join("");
+            pattern = parts.join("")
+            match = new RegExp(`^${source}$`).test(subject)
+            break
+        }
+        case "fuzzy":
+            pattern = NormaliseString(`${matchThis}`, settings)
+            score = StringSimilarity(subject, pattern)
+            match = score >= settings.threshold
+            break
+        default:
+            pattern = NormaliseString(`${matchThis}`, settings)
+            match = {
+                exact: () => subject === pattern,
+                contains: () => subject.includes(pattern),
+                prefix: () => subject.startsWith(pattern),
+                suffix: () => subject.endsWith(pattern),
+            }[settings.mode]()
+    }
+
+    return {match: match, score: score === undefined ? Number(match) : score, subject: subject, pattern: pattern}
+}
+
+//Applies the normalisation settings prepared by MatchStrings to the value
+function NormaliseString(value, settings) {
+    if (settings.stripAccents) {value = value.normalize("NFKD").replace(/[\u0300-\u036f]/g, "")}
+    if (!settings.caseSensitive) {value = value.toLowerCase()}
+    if (settings.ignorePunctuation) {value = value.replace(/[\p{P}\p{S}]+/gu, " ")}
+    if (settings.trimLeadingZeros) {value = value.replace(/\d+/g, digits => digits.replace(/^0+(?=\d)/, ""))}
+    if (settings.ignoreSeparators) {return value.replace(/\s+/g, "")}
+    if (settings.collapseWhitespace) {value = value.replace(/\s+/g, " ").trim()}
+
+    return value
+}
+
+//Returns similarity of two strings between 0 (nothing in common) and 1 (equal), based on the Levenshtein distance
+function StringSimilarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) {return 1}
+
+    let previous = Array.from({length: b.length + 1}, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+        }
+
+        previous = current
+    }
+
+    return 1 - previous[b.length] / longest
+}
+
+//This function allows to scan a system location and returns the results
+//needle - what to look for in the haystack. Can also be a RegExp in which case "needleMode" is set to "regex"
+//haystack - root system location where to scan
+//options - {
+//  needleMode,             //How the needle is matched against the names. Options: "literal", "glob", "regex". Default - "literal".
+//                          //"glob" supports "*", "?", "[abc]" and "{a,b}"
+//  allowedExt,             //An array of extensions that are allowed to be returned. E.g. ".pdf", ".csv", etc.. If nothing
+//                          //is defined, all extensions will be allowed.
+//  partialMatch,           //true/false whether to match the name in full or just partially. Default - true
+//  caseSensitive,          //true/false whether matching is going to be case-sensitive
+//  returnType,             //Return types, needs to be an array with any number of following values: "full", "name", "nameProper". Default - ["full"]
+//  depth,                  //Folder hierarchy scan depth. Use Infinity to scan all the way down. Default - 0
+//  lookFor,                //What to look for. Allowed options are: "files", "folders", "both". Default - "files"
+//  ifHaystackNotFound,     //What to do if haystack location doesn't exist. Options: "returnEmptyResults", "throwError". Default = "returnEmptyResults"
+//  exclude,                //An array of glob patterns (or RegExps) matched against names. Matching files are skipped, matching folders are not scanned
+//  minSize, maxSize,       //File size limits in bytes. Folders are not affected
+//  modifiedAfter,          //Only entities modified after this time (Date, timestamp or date string)
+//  modifiedBefore,         //Only entities modified before this time (Date, timestamp or date string)
+//  hidden,                 //What to do with names starting with ".". Options: "include", "exclude", "only". Default - "include".
+//                          //Excluded hidden folders are not scanned
+//  followSymlinks,         //true/false whether to follow symbolic links. If false, symbolic links are skipped. Default - true
+//  concurrency,            //How many folders are read at the same time. Default - 8
+//  retry,                  //Retry policy (see Retry) for reading folders, e.g. on flaky network shares. Unless the policy
+//                          //has "retryOn", only the transient errors are retried (EBUSY, EAGAIN, ETIMEDOUT, ECONNRESET, etc.)
+//  logger,                 //Logger the scan statistics (debug) and the folders that could not be read (warning) are logged to
+//}
+//Returns {results: {full: [], name: [], nameProper: []}, stats: {foldersScanned, entitiesTested, timeTaken, resultsFound, errors}, errors: [{location, message}]}.
+//Folders that cannot be read do not stop the scan, they are listed in "errors" instead
+async function FindInLocation(needle, haystack, options) {
+    const startedTime = Date.now();
+    const search = PrepareSearch(needle, options);
+    let response = {results: {}, stats: {foldersScanned: 0, entitiesTested: 0, timeTaken: 0, resultsFound: 0, errors: 0}, errors: []}
+
+    if (!await LocationExists(haystack)) {
+        if (search.ifHaystackNotFound === "throwError") {
+            throw new FileSystemError(`Haystack "${haystack}" provided does not exist!`, {code: "LOCATION_NOT_FOUND", values: {location: haystack}})
+        }
+
+        return response
+    }
+
+    await WalkLocation(haystack, search, response, entry => {
+        for (const returnType of search.returnType) {
+            response.results[returnType] = response.results[returnType] || []
+            response.results[returnType].push(entry[returnType])
+        }
+    })
+
+    response.stats.timeTaken = Date.now() - startedTime
+
+    if (options && options.logger) {
+        await options.logger.debug(`Scanned "${haystack}"`, response.stats)
+        for (let error of response.errors) {
+            await options.logger.warning(`Could not read "${error.location}": ${error.message}`)
+        }
+    }
+
+    return response
+}
+
+//Streaming variant of FindInLocation for very large locations. Instead of collecting all the results, returns an async
+//iterator which yields every match as soon as it is found, in a format {full, name, nameProper, isDirectory, size, mtime}:
+//
+//  const matches = FindInLocationStream("ORD-", "/archive", {depth: Infinity, limit: 1})
+//  for await (const match of matches) {...}
+//  matches.stats //{foldersScanned, entitiesTested, timeTaken, resultsFound, errors}
+//
+//Accepts the same options as FindInLocation (except "returnType") plus:
+//  limit,                  //Stop scanning after this many matches. Default - no limit
+//  signal,                 //AbortSignal, aborting it stops the scan and the loop throws the abort reason
+//  timeout,                //Time in ms after which the scan is aborted with a TimeoutError
+//  onProgress,             //Function called with the running stats after every folder scanned
+//Breaking out of the loop stops the scan as well. Running stats and folders that could not be read are available
+//through "stats" and "errors" properties of the returned iterator at any time
+function FindInLocationStream(needle, haystack, options = {}) {
+    const startedTime = Date.now();
+    const search = PrepareSearch(needle, options);
+    const limit = options.limit === undefined ? Infinity : options.limit;
+    const onProgress = options.onProgress;
+
+    if (typeof limit !== "number" || limit < 0) {throw new ValidationError(`Option "limit" must be a positive number, got "${limit}"!`, {code: "INVALID_OPTION", values: {limit: limit}})}
+    if (options.timeout !== undefined && (typeof options.timeout !== "number" || options.timeout < 0)) {throw new ValidationError(`Option "timeout" must be a positive number of milliseconds, got "${options.timeout}"!`, {code: "INVALID_OPTION", values: {timeout: options.timeout}})}
+    if (onProgress !== undefined && typeof onProgress !== "function") {throw new ValidationError(`Option "onProgress" must be a function, got "${typeof onProgress}"!`, {code: "INVALID_OPTION", values: {type: typeof onProgress}})}
+
+    const response = {stats: {foldersScanned: 0, entitiesTested: 0, timeTaken: 0, resultsFound: 0, errors: 0}, errors: []};
+    const buffer = [];
+    let stopped = false;
+    let finished = false;
+    let failure;
+    let wake = () => {};
+
+    function notify() {
+        const w = wake;
+        wake = () => {}
+        w()
+    }
+
+    function stop(reason) {
+        if (reason !== undefined && failure === undefined) {failure = reason}
+        stopped = true
+        for (let item of buffer.splice(0)) {item.taken()}
+        notify()
+    }
+
+    const onAbort = event => stop(event.target.reason);
+
+    async function* iterate() {
+        const signals = options.signal ? [options.signal] : [];
+        let timer;
+
+        //The timeout starts once the iteration does
+        if (options.timeout !== undefined) {
+            const controller = new AbortController();
+            timer = setTimeout(() => controller.abort(new TimeoutError(`Scanning "${haystack}" timed out after ${options.timeout}ms!`, {values: {timeout: options.timeout}})), options.timeout)
+            signals.push(controller.signal)
+        }
+
+        try {
+            for (let signal of signals) {
+                if (signal.aborted) {throw signal.reason}
+                signal.addEventListener("abort", onAbort, {once: true})
+            }
+
+            if (!await LocationExists(haystack)) {
+                if (search.ifHaystackNotFound === "throwError") {
+                    throw new FileSystemError(`Haystack "${haystack}" provided does not exist!`, {code: "LOCATION_NOT_FOUND", values: {location: haystack}})
+                }
+
+                return
+            }
+
+            let yielded = 0;
+
+            WalkLocation(haystack, search, response, entry => new Promise(taken => {
+                if (stopped) {return taken()}
+
+                buffer.push({entry: entry, taken: taken})
+                notify()
+            }), {
+                shouldStop: () => stopped,
+                onFolderScanned: () => onProgress && onProgress({...response.stats, timeTaken: Date.now() - startedTime}),
+            }).then(() => {
+                finished = true
+                notify()
+            }, e => stop(e))
+
+            while (yielded < limit) {
+                if (failure !== undefined) {throw failure}
+
+                if (buffer.length) {
+                    const item = buffer.shift();
+                    yielded++
+                    item.taken()
+                    yield item.entry
+                    continue
+                }
+
+                if (finished || stopped) {break}
+
+                await new Promise(resolve => {wake = resolve})
+            }
+
+            if (failure !== undefined) {throw failure}
+        } finally {
+            clearTimeout(timer)
+            stop()
+            for (let signal of signals) {signal.removeEventListener("abort", onAbort)}
+            response.stats.timeTaken = Date.now() - startedTime
+        }
+    }
+
+    const iterator = iterate();
+    iterator.stats = response.stats
+    iterator.errors = response.errors
+
+    return iterator
+}
+
+//Error codes of the file system operations which may succeed if tried again, e.g. on busy network shares
+const transientFileSystemErrors = ["EBUSY", "EAGAIN", "EMFILE", "ENFILE", "ETIMEDOUT", "ECONNRESET", "ESTALE", "EIO"];
+
+//Validates FindInLocation options and prepares everything needed for the scan
+function PrepareSearch(needle, options) {
+    options = options || {}
+    if (typeof options !== "object") {throw new ValidationError(`Options must be of type "object", got "${typeof options}"!`, {values: {type: typeof options}})}
+
+    const allowedReturnTypes = ["full", "name", "nameProper"];
+    const allowedLookFor = ["files", "folders", "both"];
+    const allowedIfHaystackNotFound = ["returnEmptyResults", "throwError"];
+    const allowedNeedleModes = ["literal", "glob", "regex"];
+    const allowedHidden = ["include", "exclude", "only"];
+
+    const search = {
+        needleMode: needle instanceof RegExp ? "regex" : options.needleMode || "literal",
+        allowedExt: [],
+        partialMatch: options.partialMatch === undefined ? true : !!options.partialMatch, //true by default
+        caseSensitive: !!options.caseSensitive,
+        returnType: options.returnType && options.returnType.length ? options.returnType : ["full"],
+        depth: options.depth || 0,
+        lookFor: options.lookFor === undefined ? "files" : `${options.lookFor}`,
+        ifHaystackNotFound: options.ifHaystackNotFound || "returnEmptyResults",
+        exclude: [],
+        minSize: options.minSize,
+        maxSize: options.maxSize,
+        modifiedAfter: ParseTimeOption(options.modifiedAfter, "modifiedAfter"),
+        modifiedBefore: ParseTimeOption(options.modifiedBefore, "modifiedBefore"),
+        hidden: options.hidden || "include",
+        followSymlinks: options.followSymlinks === undefined ? true : !!options.followSymlinks,
+        concurrency: options.concurrency || 8,
+        retry: options.retry ? {retryOn: transientFileSystemErrors, ...options.retry} : undefined,
+    }
+
+    if (search.retry) {RetryPolicy(search.retry)}
+
+    if (!allowedIfHaystackNotFound.includes(search.ifHaystackNotFound)) {throw new ValidationError(`Option "${search.ifHaystackNotFound}" not allowed in field "ifHaystackNotFound". Allowed options are: "${allowedIfHaystackNotFound.join(`", "`)}"`, {code: "INVALID_OPTION", values: {ifHaystackNotFound: search.ifHaystackNotFound, allowed: allowedIfHaystackNotFound}})}
+    if (!Array.isArray(search.returnType)) {throw new ValidationError(`Option "returnType" must be an array! Got "${typeof search.returnType}"!`, {code: "INVALID_OPTION", values: {returnType: search.returnType}})}
+    for (const returnType of search.returnType) {if (!allowedReturnTypes.includes(returnType)) {throw new ValidationError(`Wrong returnType entered! Entered: "${search.returnType}", allowed are: "${allowedReturnTypes.join(`", "`)}"`, {code: "INVALID_OPTION", values: {returnType: search.returnType, allowed: allowedReturnTypes}})}}
+    if (!allowedLookFor.includes(search.lookFor)) {throw new ValidationError(`Value "${search.lookFor}" passed to option "lookFor" is invalid! Allowed values are: "${allowedLookFor.join(`", "`)}"`, {code: "INVALID_OPTION", values: {lookFor: search.lookFor, allowed: allowedLookFor}})}
+    if (!allowedNeedleModes.includes(search.needleMode)) {throw new ValidationError(`Value "${search.needleMode}" passed to option "needleMode" is invalid! Allowed values are: "${allowedNeedleModes.join(`", "`)}"`, {code: "INVALID_OPTION", values: {needleMode: search.needleMode, allowed: allowedNeedleModes}})}
+    if (!allowedHidden.includes(search.hidden)) {throw new ValidationError(`Value "${search.hidden}" passed to option "hidden" is invalid! Allowed values are: "${allowedHidden.join(`", "`)}"`, {code: "INVALID_OPTION", values: {hidden: search.hidden, allowed: allowedHidden}})}
+    if (typeof search.depth !== "number" || search.depth < 0) {throw new ValidationError(`Option "depth" must be a positive number, got "${search.depth}"!`, {code: "INVALID_OPTION", values: {depth: search.depth}})}
+    if (!Number.isInteger(search.concurrency) || search.concurrency < 1) {throw new ValidationError(`Option "concurrency" must be a positive integer, got "${search.concurrency}"!`, {code: "INVALID_OPTION", values: {concurrency: search.concurrency}})}
+    for (const key of ["minSize", "maxSize"]) {
+        if (search[key] !== undefined && (typeof search[key] !== "number" || search[key] < 0)) {throw new ValidationError(`Option "${key}" must be a positive number of bytes, got "${search[key]}"!`, {code: "INVALID_OPTION", values: {option: key, value: search[key]}})}
+    }
+
+    for (let ext of options.allowedExt || []) {
+        ext = `${ext}`.replaceAll(` `, ``).toLowerCase()
+
+        if (!ext) {continue}
+
+        //Adding a dot (.) at the beginning if one doesn't exist
+        ext[0] === `.` || (ext = `.${ext}`)
+
+        if (search.allowedExt.includes(ext)) {
+            continue
+        }
+
+        search.allowedExt.push(ext)
+    }
+
+    for (let pattern of options.exclude || []) {
+        search.exclude.push(pattern instanceof RegExp ? pattern : GlobToRegExp(`${pattern}`, {caseSensitive: search.caseSensitive}))
+    }
+
+    search.matchesNeedle = CreateNeedleMatcher(needle, search)
+
+    return search
+}
+
+//Returns a function which tells whether the name matches the needle according to the search options
+function CreateNeedleMatcher(needle, search) {
+    if (search.needleMode === "regex") {
+        let regex;
+
+        try {
+            regex = needle instanceof RegExp ? needle : new RegExp(`${needle}`, search.caseSensitive ? "" : "i")
+        } catch (e) {
+            throw new ValidationError(`Needle "${needle}" is not a valid regular expression! Original error: "${e.toString()}"`, {code: "INVALID_REGEX", values: {needle: needle}, cause: e})
+        }
+
+        if (!search.partialMatch) {
+            regex = new RegExp(`^(?:${regex.source})$`, regex.flags)
+        }
+
+        return name => {
+            regex.lastIndex = 0
+            return regex.test(name)
+        }
+    }
+
+    if (search.needleMode === "glob") {
+        const regex = GlobToRegExp(`${needle}`, {caseSensitive: search.caseSensitive, anchored: !search.partialMatch});
+        return name => regex.test(name)
+    }
+
+    needle = search.caseSensitive ? `${needle}` : `${needle}`.toLowerCase()
+
+    return name => {
+        const hay = search.caseSensitive ? name : name.toLowerCase();
+        return search.partialMatch ? hay.includes(needle) : hay === needle
+    }
+}
+
+//Converts a glob pattern into a regular expression. Supports "*", "?", "[abc]", "[!abc]" and "{a,b}". Options:
+//  caseSensitive: true/false. Default - false
+//  anchored: true/false whether the whole name has to match the pattern. Default - true
+function GlobToRegExp(glob, options = {}) {
+    const anchored = options.anchored === undefined ? true : !!options.anchored;
+    let source = "";
+    let inGroup = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+
+        if (c === "*") {
+            source += ".*"
+        } else if (c === "?") {
+            source += "."
+        } else if (c === "[") {
+            const end = glob.indexOf("]", i + 1);
+
+            if (end === -1) {
+                source += "\\["
+                continue
+            }
+
+            let set = glob.slice(i + 1, end).replaceAll("\\", "\\\\");
+            if (set[0] === "!") {set = `^${set.slice(1)}`}
+            source += `[${set}]`
+            i = end
+        } else if (c === "{") {
+            inGroup++
+            source += "(?:"
+        } else if (c === "}" && inGroup) {
+            inGroup--
+            source += ")"
+        } else if (c === "," && inGroup) {
+            source += "|"
+        } else {
+            source += c.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&")
+        }
+    }
+
+    source += ")".repeat(inGroup)
+
+    return new RegExp(anchored ? `^${source}$` : source, options.caseSensitive ? "" : "i")
+}
+
+//Converts Date, timestamp or date string into a timestamp. Returns undefined if nothing is provided
+function ParseTimeOption(value, name) {
+    if (value === undefined || value === null) {return undefined}
+
+    const time = value instanceof Date ? value.getTime() : typeof value === "number" ? value : Date.parse(value);
+
+    if (Number.isNaN(time)) {throw new ValidationError(`Option "${name}" must be a Date, timestamp or a valid date string, got "${value}"!`, {code: "INVALID_OPTION", values: {option: name, value: value}})}
+
+    return time
+}
+
+//Names of the files other applications are still writing, e.g. browser downloads, Office lock files or copies in progress
+const partialFilePatterns = ["*.part", "*.partial", "*.crdownload", "*.tmp", "~$*"];
+
+//Waits until the file stops changing, e.g. while another system is still copying it into a hot folder. The file is
+//considered stable once its size and modification time stay the same for "stableChecks" checks in a row. A file that
+//does not exist yet is waited for, so a file written under a temporary name and renamed once finished is handled too:
+//  await WaitForFileStable("/hotfolder/order.pdf", {interval: 2000, timeout: 10 * 60 * 1000})
+//Options:
+//  interval: Milliseconds between the checks. Default - 1000
+//  stableChecks: How many checks in a row the file has to stay the same for. Default - 3
+//  timeout: Milliseconds after which TimeoutError with code "NOT_STABLE" is thrown. Default - 300000
+//  exclusive: true/false. If true, the file also has to be possible to open for writing, which fails while another
+//             process holds it open on Windows. It has no effect on systems without mandatory file locks, nor on the
+//             files the process is not allowed to write. Default - false
+//  allowEmpty: true/false whether an empty file can be stable, some systems create it before writing. Default - false
+//  ignorePartial: true/false. If true and the name looks like a file still being written ("partialPatterns"),
+//                 ValidationError with code "PARTIAL_FILE" is thrown straight away. Default - false
+//  partialPatterns: Glob patterns of such names. Default - "*.part", "*.partial", "*.crdownload", "*.tmp", "~$*"
+//  signal: AbortSignal, aborting it stops waiting and the abort reason is thrown
+//  logger: Logger the checks (debug) and the timeout (warning) are logged to
+//Returns {location, size, mtime, checks, waited}
+async function WaitForFileStable(location, options = {}) {
+    const settings = StabilitySettings(options);
+
+    if (settings.ignorePartial && settings.isPartial(path.basename(location))) {
+        throw new ValidationError(`File "${location}" is still being written (its name looks like a partial file)!`, {code: "PARTIAL_FILE", values: {location: location}})
+    }
+
+    const result = await WaitForStable(location, settings, async () => {
+        let stat;
+
+        try {
+            stat = await fs.promises.stat(location)
+        } catch (e) {
+            if (e.code === "ENOENT") {return undefined}
+            throw new FileSystemError(`File "${location}" could not be read: ${e.message}`, {values: {location: location}, cause: e})
+        }
+
+        if (!stat.isFile()) {throw new FileSystemError(`Location "${location}" is not a file!`, {code: "NOT_A_FILE", values: {location: location}})}
+        if (!stat.size && !settings.allowEmpty) {return undefined}
+
+        return {key: `${stat.size}|${stat.mtimeMs}`, size: stat.size, mtime: stat.mtime, files: [location]}
+    });
+
+    return {location: location, size: result.snapshot.size, mtime: result.snapshot.mtime, checks: result.checks, waited: result.waited}
+}
+
+//Folder variant of WaitForFileStable, waits until nothing in the folder (e.g. a job folder being copied) changes. The
+//folder is stable once no file is added, removed or changed for "stableChecks" checks in a row. Accepts the same
+//options as WaitForFileStable, except for these:
+//  ignorePartial: true/false. If true, the files matching "partialPatterns" are left out of the checks, so an Office
+//                 lock file or a leftover ".tmp" file does not hold the folder back. Default - true
+//  allowEmpty: true/false whether a folder without any files can be stable. Default - false
+//  depth: Folder hierarchy depth checked. Default - Infinity
+//Returns {location, files, size, mtime, checks, waited} where "size" is the size of all the files and "mtime" the
+//latest modification time among them
+async function WaitForFolderStable(location, options = {}) {
+    const settings = StabilitySettings({ignorePartial: true, ...options});
+    const depth = options.depth === undefined ? Infinity : options.depth;
+
+    if (typeof depth !== "number" || depth < 0) {throw new ValidationError(`Option "depth" must be a positive number, got "${depth}"!`, {code: "INVALID_OPTION", values: {depth: depth}})}
+
+    const result = await WaitForStable(location, settings, async () => {
+        if (!await LocationExists(location)) {return undefined}
+
+        const files = [];
+        await CollectFileStats(location, depth, settings, files)
+        if (!files.length && !settings.allowEmpty) {return undefined}
+
+        files.sort((a, b) => a.location < b.location ? -1 : 1)
+
+        return {
+            key: files.map(file => `${file.location}|${file.size}|${file.mtimeMs}`).join("\n"),
+            size: files.reduce((total, file) => total + file.size, 0),
+            mtime: new Date(files.reduce((latest, file) => Math.max(latest, file.mtimeMs), 0)),
+            files: files.map(file => file.location),
+        }
+    });
+
+    return {location: location, files: result.snapshot.files.length, size: result.snapshot.size, mtime: result.snapshot.mtime, checks: result.checks, waited: result.waited}
+}
+
+//Validates the options shared by WaitForFileStable and WaitForFolderStable and fills in the defaults
+function StabilitySettings(options) {
+    const settings = {
+        interval: options.interval === undefined ? 1000 : options.interval,
+        stableChecks: options.stableChecks === undefined ? 3 : options.stableChecks,
+        timeout: options.timeout === undefined ? 300000 : options.timeout,
+        exclusive: !!options.exclusive,
+        allowEmpty: !!options.allowEmpty,
+        ignorePartial: !!options.ignorePartial,
+        partialPatterns: (options.partialPatterns || partialFilePatterns).map(pattern => GlobToRegExp(`${pattern}`)),
+        signal: options.signal,
+        logger: options.logger,
+    }
+
+    for (let key of ["interval", "timeout"]) {
+        if (typeof settings[key] !== "number" || settings[key] < 0) {throw new ValidationError(`Option "${key}" must be a positive number of milliseconds, got "${settings[key]}"!`, {code: "INVALID_OPTION", values: {option: key, value: settings[key]}})}
+    }
+    if (!Number.isInteger(settings.stableChecks) || settings.stableChecks < 1) {throw new ValidationError(`Option "stableChecks" must be a positive integer, got "${settings.stableChecks}"!`, {code: "INVALID_OPTION", values: {stableChecks: settings.stableChecks}})}
+
+    settings.isPartial = name => settings.partialPatterns.some(regex => regex.test(name))
+
+    return settings
+}
+
+//Takes snapshots of the location every "settings.interval" until the same snapshot is seen "settings.stableChecks"
+//times in a row after the first one. "takeSnapshot" returns {key, files, ...} where equal keys mean nothing has
+//changed, or undefined if the location is not ready yet. Returns {snapshot, checks, waited}
+async function WaitForStable(location, settings, takeSnapshot) {
+    const startedTime = Date.now();
+    let previous;
+    let sameChecks = 0;
+    let checks = 0;
+
+    for (;;) {
+        if (settings.signal && settings.signal.aborted) {throw settings.signal.reason}
+
+        const snapshot = await takeSnapshot();
+        checks++
+
+        if (snapshot && previous && snapshot.key === previous.key) {
+            sameChecks++
+        } else {
+            sameChecks = 0
+        }
+        previous = snapshot
+
+        if (snapshot && sameChecks >= settings.stableChecks && (!settings.exclusive || await CanOpenExclusively(snapshot.files))) {
+            if (settings.logger) {await settings.logger.debug(`"${location}" is stable`, {checks: checks, waited: Date.now() - startedTime})}
+            return {snapshot: snapshot, checks: checks, waited: Date.now() - startedTime}
+        }
+
+        if (settings.logger) {await settings.logger.debug(`"${location}" is ${snapshot ? `unchanged for ${sameChecks} of ${settings.stableChecks} checks` : "not ready yet"}`, {checks: checks})}
+
+        if (Date.now() - startedTime + settings.interval > settings.timeout) {
+            const error = new TimeoutError(`"${location}" did not become stable within ${settings.timeout}ms!`, {code: "NOT_STABLE", values: {location: location, timeout: settings.timeout, checks: checks}});
+            if (settings.logger) {await settings.logger.warning(error, {code: error.code})}
+            throw error
+        }
+
+        await Delay(settings.interval, {signal: settings.signal})
+    }
+}
+
+//Checks whether every file can be opened for writing, which Windows refuses while another process is writing it.
+//Files the process is not allowed to write (e.g. read-only files) cannot be checked this way, their size and
+//modification time staying the same is all that counts for them
+async function CanOpenExclusively(files) {
+    for (let file of files) {
+        try {
+            const handle = await fs.promises.open(file, "r+");
+            await handle.close()
+        } catch (e) {
+            if (["EACCES", "EPERM"].includes(e.code)) {continue}
+            if (["EBUSY", "ETXTBSY", "ENOENT"].includes(e.code)) {return false}
+            throw new FileSystemError(`File "${file}" could not be opened: ${e.message}`, {values: {location: file}, cause: e})
+        }
+    }
+
+    return true
+}
+
+//Adds {location, size, mtimeMs} of every file in the folder to "files", leaving out partial files if they are ignored
+async function CollectFileStats(folder, depth, settings, files) {
+    let dirents;
+
+    try {
+        dirents = await fs.promises.readdir(folder, {withFileTypes: true})
+    } catch (e) {
+        //The folder was removed or renamed while being checked, the next check will tell
+        if (e.code === "ENOENT") {return}
+        throw new FileSystemError(`Folder "${folder}" could not be read: ${e.message}`, {values: {location: folder}, cause: e})
+    }
+
+    for (let dirent of dirents) {
+        const location = path.join(folder, dirent.name);
+
+        if (dirent.isDirectory()) {
+            if (depth > 0) {await CollectFileStats(location, depth - 1, settings, files)}
+            continue
+        }
+
+        if (settings.ignorePartial && settings.isPartial(dirent.name)) {continue}
+
+        try {
+            const stat = await fs.promises.stat(location);
+            files.push({location: location, size: stat.size, mtimeMs: stat.mtimeMs})
+        } catch (e) {
+            if (e.code !== "ENOENT") {throw new FileSystemError(`File "${location}" could not be read: ${e.message}`, {values: {location: location}, cause: e})}
+        }
+    }
+}
+
+//Checks whether the location exists without throwing
+async function LocationExists(location) {
+    try {
+        await fs.promises.access(location)
+        return true
+    } catch {
+        return false
+    }
+}
+
+//Scans the location as prepared by PrepareSearch and calls "onMatch" with every matching entity in a format
+//{full, name, nameProper, isDirectory, size, mtime}. Up to "search.concurrency" folders are read at the same time.
+//"response" must contain {stats, errors} which get updated while scanning. Hooks:
+//  shouldStop: Function, the scan stops early when it returns true
+//  onFolderScanned: Function called after every folder read
+async function WalkLocation(haystack, search, response, onMatch, hooks = {}) {
+    const shouldStop = hooks.shouldStop || (() => false);
+    const needsStat = search.minSize !== undefined || search.maxSize !== undefined || search.modifiedAfter !== undefined || search.modifiedBefore !== undefined;
+    const visited = new Set();
+    const queue = [{location: haystack, depth: search.depth}];
+    let active = 0;
+
+    if (search.followSymlinks) {
+        visited.add(await fs.promises.realpath(haystack))
+    }
+
+    async function scanFolder(folder) {
+        let dirents;
+
+        try {
+            const read = () => fs.promises.readdir(folder.location, {withFileTypes: true, encoding: "utf-8"});
+            dirents = search.retry ? await Retry(read, search.retry) : await read()
+        } catch (e) {
+            response.stats.errors++
+            response.errors.push({location: folder.location, message: e.toString()})
+            return
+        }
+
+        response.stats.foldersScanned++
+
+        for (let dirent of dirents) {
+            if (shouldStop()) {return}
+
+            const name = dirent.name;
+            const fullPath = path.join(folder.location, name).replaceAll("\\", "/");
+            response.stats.entitiesTested++
+
+            const isHidden = name[0] === ".";
+            if (search.hidden === "exclude" && isHidden) {continue}
+            if (search.exclude.some(regex => regex.test(name))) {continue}
+
+            let isDirectory = dirent.isDirectory();
+            let isFile = dirent.isFile();
+            let stat;
+            let realPath = fullPath;
+
+            try {
+                if (dirent.isSymbolicLink()) {
+                    if (!search.followSymlinks) {continue}
+
+                    stat = await fs.promises.stat(fullPath)
+                    isDirectory = stat.isDirectory()
+                    isFile = stat.isFile()
+                } else if (needsStat) {
+                    stat = await fs.promises.stat(fullPath)
+                }
+
+                if (search.followSymlinks && isDirectory && folder.depth > 0) {
+                    realPath = await fs.promises.realpath(fullPath)
+                }
+            } catch (e) {
+                response.stats.errors++
+                response.errors.push({location: fullPath, message: e.toString()})
+                continue
+            }
+
+            if (isDirectory && folder.depth > 0 && !visited.has(realPath)) {
+                if (search.followSymlinks) {visited.add(realPath)}
+                queue.push({location: fullPath, depth: folder.depth - 1})
+            }
+
+            if (search.hidden === "only" && !isHidden) {continue}
+            if (search.lookFor === "files" && !isFile) {continue}
+            if (search.lookFor === "folders" && !isDirectory) {continue}
+            if (!search.matchesNeedle(name)) {continue}
+
+            const parsedName = path.parse(name);
+
+            if (search.allowedExt.length && !search.allowedExt.includes(parsedName.ext.toLowerCase())) {continue}
+
+            if (stat) {
+                if (isFile && search.minSize !== undefined && stat.size < search.minSize) {continue}
+                if (isFile && search.maxSize !== undefined && stat.size > search.maxSize) {continue}
+                if (search.modifiedAfter !== undefined && stat.mtimeMs <= search.modifiedAfter) {continue}
+                if (search.modifiedBefore !== undefined && stat.mtimeMs >= search.modifiedBefore) {continue}
+            }
+
+            response.stats.resultsFound++
+
+            await onMatch({
+                full: fullPath,
+                name: name,
+                nameProper: parsedName.name,
+                isDirectory: isDirectory,
+                size: stat ? stat.size : undefined,
+                mtime: stat ? stat.mtime : undefined,
+            })
+        }
+
+        if (hooks.onFolderScanned) {hooks.onFolderScanned()}
+    }
+
+    await new Promise((resolve, reject) => {
+        let failed = false;
+
+        function next() {
+            if (failed) {return}
+
+            while (active < search.concurrency && queue.length && !shouldStop()) {
+                active++
+                scanFolder(queue.shift()).then(() => {
+                    active--
+                    next()
+                }, e => {
+                    failed = true
+                    reject(e)
+                })
+            }
+
+            if (active === 0) {resolve()}
+        }
+
+        next()
+    })
+}
+
+//ParseCsvFile takes in .csv file, places its contents into an object for manipulation and can save it back to .csv
+//A sheet of an .xlsx workbook can be read the same way and saved either as .csv or .xlsx
+//Available options are as follows:
+//  firstRowContainsHeaders: true/false. Default - true
+//  duplicateHeaders: "keep"|"rename"|"error". See below. Default - "keep"
+//  delimiter: Character separating the cells or "auto" to detect it from the file. Default - "\t" for .tsv files, "," otherwise
+//  quote: Character wrapping the cells. Empty string disables quoting. Default - '"'
+//  encoding: "utf-8", "utf-16le", "utf-16be", "windows-1252", "latin1" or "auto" to detect it from the BOM. Default - "auto"
+//  bom: Whether saveTo writes a byte order mark. true/false or "preserve" to write it only if the file read had one. Default - "preserve"
+//  parseNumbers: true/false whether to convert the cells that look like numbers to numbers. Default - true
+//  parseBooleans: true/false whether to convert "true" and "false" cells to booleans. Default - true
+//  columnTypes: Type rules by header name (or column index) overriding the above, e.g. {OrderNo: "string", Due: "date"}.
+//               Allowed types are: "string", "number", "boolean", "date", "auto". Cells that cannot be converted are kept
+//               as they are and listed by getCoercionErrors
+//  allowedExtensions: Extensions of the files allowed to be read. Default - [".csv", ".xlsx"]
+//  sheet: Name of the sheet (or its index starting from 0) to read from .xlsx files. Default - the first visible sheet
+//  logger: Logger the file read and saved (debug) and the cells that could not be converted (warning) are logged to
+function CsvProcessor(location, options) {
+    //What to do if more than one column has the same header name. "keep" - headers are kept as they are, such
+    //columns can only be referred to by index. "rename" - duplicates get renamed to "Name (2)", "Name (3)", etc.
+    //"error" - an error is thrown while reading the file
+    options = CsvReadingOptions(location, options || {}, {allowedExtensions: [".csv", ".xlsx"], duplicateHeaders: ["keep", "rename", "error"]})
+    const parsedLocation = path.parse(location);
+    const isWorkbook = parsedLocation.ext.toLowerCase() === ".xlsx";
+
+    let data = {
+        headers:[],
+        rows:[],
+        rowsStartIndex: 0 //Do not delete this.
+    }
+
+    //Dialect and encoding the file was read with. Used by saveTo unless told otherwise
+    let dialect = {
+        delimiter: options.delimiter,
+        quote: options.quote,
+        encoding: options.encoding,
+        bom: false,
+        recordDelimiter: "\n",
+    }
+
+    let coercionErrors = [];
+
+    //Names of all the sheets of the workbook read
+    let workbookSheets = [];
+
+    //Returns the dialect and encoding the file was read with in a format {delimiter, quote, encoding, bom, recordDelimiter}.
+    //For .xlsx files it also contains the name of the sheet read
+    this.getDialect = function() {
+        return {...dialect}
+    }
+
+    //Returns the cells that could not be converted to the type defined in "columnTypes" in a format [{row, column, value, type}]
+    this.getCoercionErrors = function() {
+        return coercionErrors
+    }
+
+    //Returns the whole file as js object
+    this.getReference = function() {
+        return data;
+    }
+
+    //Returns headers if there were any
+    this.getHeaders = function() {
+        return data.headers
+    }
+
+    //Returns rows excluding headers
+    this.getRows = function() {
+        return data.rows
+    }
+
+    //Returns an array of values about the headers that match the keyword
+    this.findAllHeaders = function(keyword) {
+        keyword = keyword.toLowerCase()
+        let results = [];
+
+        for (let i = 0; i < data.headers.length; i++) {
+            let header = data.headers[i];
+
+            if (header.toLowerCase() !== keyword) {
+                continue
+            }
+
+            results.push({
+                index: i,
+                value: header
+            })
+        }
+
+        return results
+    }
+
+    //Returns the index of the column. Column can either be referred to by its header name or by its index.
+    //Throws if the column doesn't exist or if more than one column has the same header name
+    this.columnIndex = function(column) {
+        if (typeof column === "number") {
+            if (!Number.isInteger(column) || column < 0 || column >= ColumnCount()) {throw new ValidationError(`Column index "${column}" is out of range! There are ${ColumnCount()} columns.`, {code: "OUT_OF_RANGE", values: {column: column, columns: ColumnCount()}})}
+            return column
+        }
+
+        const indexes = [];
+        data.headers.forEach((header, i) => {if (header === `${column}`) {indexes.push(i)}})
+
+        if (indexes.length < 1) {throw new ValidationError(`Column "${column}" does not exist! Available columns are: "${data.headers.join(`", "`)}"`, {code: "COLUMN_NOT_FOUND", values: {column: column, available: data.headers}})}
+        if (indexes.length > 1) {throw new ValidationError(`Column name "${column}" is ambiguous, it is used by columns at indexes ${indexes.join(", ")}. Refer to the column by its index or use the "duplicateHeaders" option.`, {code: "COLUMN_AMBIGUOUS", values: {column: column, indexes: indexes}})}
+
+        return indexes[0]
+    }
+
+    //Returns all the values of the column
+    this.getColumn = function(column) {
+        const index = thisFunc.columnIndex(column);
+        return data.rows.map(row => CellValue(row, index))
+    }
+
+    //Returns the value of a single cell. "row" is the index of the row (excluding headers)
+    this.getCell = function(row, column) {
+        return CellValue(RowAt(row), thisFunc.columnIndex(column))
+    }
+
+    //Sets the value of a single cell. "row" is the index of the row (excluding headers)
+    this.setCell = function(row, column, value) {
+        const cells = RowAt(row);
+        const index = thisFunc.columnIndex(column);
+
+        while (cells.length < index) {cells.push("")}
+        cells[index] = value
+
+        return thisFunc
+    }
+
+    //Adds a new column. "value" is either the value placed in every row or a function which receives
+    //(rowObject, rowIndex) and returns the value. Options:
+    //  position: Index where the column is inserted. Default - after the last column
+    this.addColumn = function(name, value = "", options = {}) {
+        name = `${name}`
+        if (!name) {throw new ValidationError(`Column name must be a non-empty string!`)}
+        if (data.headers.includes(name)) {throw new ValidationError(`Column "${name}" already exists!`, {code: "COLUMN_EXISTS", values: {column: name}})}
+
+        const position = options.position === undefined ? ColumnCount() : options.position;
+        if (!Number.isInteger(position) || position < 0 || position > ColumnCount()) {throw new ValidationError(`Column position "${position}" is out of range! There are ${ColumnCount()} columns.`, {code: "OUT_OF_RANGE", values: {position: position, columns: ColumnCount()}})}
+
+        const toObject = typeof value === "function" ? RowConverter() : undefined;
+        const values = data.rows.map((row, i) => toObject ? value(toObject(row), i) : value);
+
+        data.headers.splice(position, 0, name)
+        data.rows.forEach((row, i) => {
+            while (row.length < position) {row.push("")}
+            row.splice(position, 0, values[i])
+        })
+
+        return thisFunc
+    }
+
+    this.removeColumn = function(column) {
+        const index = thisFunc.columnIndex(column);
+
+        data.headers.splice(index, 1)
+        data.rows.forEach(row => row.splice(index, 1))
+
+        return thisFunc
+    }
+
+    this.renameColumn = function(column, newName) {
+        const index = thisFunc.columnIndex(column);
+        newName = `${newName}`
+
+        if (!newName) {throw new ValidationError(`Column name must be a non-empty string!`)}
+        if (data.headers.some((header, i) => header === newName && i !== index)) {throw new ValidationError(`Cannot rename column "${data.headers[index]}" to "${newName}", column with such name already exists!`, {code: "COLUMN_EXISTS", values: {column: data.headers[index], newName: newName}})}
+
+        data.headers[index] = newName
+
+        return thisFunc
+    }
+
+    //Moves the columns listed to the front in the order provided. Columns not listed keep their order after them
+    this.reorderColumns = function(order) {
+        if (!Array.isArray(order)) {throw new ValidationError(`Column order must be an array, got "${typeof order}"!`, {values: {type: typeof order}})}
+
+        const listed = order.map(column => thisFunc.columnIndex(column));
+        if (new Set(listed).size !== listed.length) {throw new ValidationError(`The same column is listed more than once in the column order!`, {values: {order: order}})}
+
+        const indexes = listed.concat([...Array(ColumnCount()).keys()].filter(i => !listed.includes(i)));
+
+        data.headers = indexes.map(i => data.headers[i])
+        data.rows = data.rows.map(row => indexes.map(i => CellValue(row, i)))
+
+        return thisFunc
+    }
+
+    //Keeps only the rows for which "predicate" returns true. Predicate receives (rowObject, rowIndex, rowArray)
+    this.filterRows = function(predicate) {
+        if (typeof predicate !== "function") {throw new ValidationError(`Predicate must be a function, got "${typeof predicate}"!`, {values: {type: typeof predicate}})}
+
+        const toObject = RowConverter();
+        data.rows = data.rows.filter((row, i) => predicate(toObject(row), i, row))
+
+        return thisFunc
+    }
+
+    //Sorts the rows by one or more columns. "columns" can be a column, an array of columns or an array of
+    //{column, direction: "asc"|"desc"}. Numbers are compared as numbers, everything else as text with numeric awareness
+    this.sortBy = function(columns) {
+        const sorting = (Array.isArray(columns) ? columns : [columns]).map(column => {
+            const definition = column !== null && typeof column === "object" ? column : {column: column};
+            const direction = definition.direction || "asc";
+
+            if (!["asc", "desc"].includes(direction)) {throw new ValidationError(`Sort direction "${direction}" is invalid! Allowed directions are: "asc", "desc"`, {code: "INVALID_OPTION", values: {direction: direction}})}
+
+            return {index: thisFunc.columnIndex(definition.column), multiplier: direction === "asc" ? 1 : -1}
+        });
+
+        data.rows.sort((a, b) => {
+            for (let sort of sorting) {
+                const result = CompareCells(CellValue(a, sort.index), CellValue(b, sort.index));
+                if (result !== 0) {return result * sort.multiplier}
+            }
+
+            return 0
+        })
+
+        return thisFunc
+    }
+
+    //Removes rows that have the same values in all the columns provided. Options:
+    //  keep: "first"|"last" which one of the duplicate rows to keep. Default - "first"
+    this.dedupeBy = function(columns, options = {}) {
+        const keep = options.keep || "first";
+        if (!["first", "last"].includes(keep)) {throw new ValidationError(`Option "keep" is allowed to have values "first" or "last", got "${keep}"`, {code: "INVALID_OPTION", values: {keep: keep}})}
+
+        const indexes = (Array.isArray(columns) ? columns : [columns]).map(column => thisFunc.columnIndex(column));
+        const seen = new Set();
+        const rows = keep === "first" ? data.rows : [...data.rows].reverse();
+
+        const kept = rows.filter(row => {
+            const key = JSON.stringify(indexes.map(i => CellValue(row, i)));
+            if (seen.has(key)) {return false}
+            seen.add(key)
+            return true
+        });
+
+        data.rows = keep === "first" ? kept : kept.reverse()
+
+        return thisFunc
+    }
+
+    //Converts the row array to an object in a format {header: value}
+    this.rowToObject = function(row) {
+        return RowConverter()(row)
+    }
+
+    //Returns all the rows as an array of objects in a format {header: value}
+    this.toObjects = function() {
+        return data.rows.map(RowConverter())
+    }
+
+    //Replaces headers and rows with the data from an array of objects. If "headers" are not provided, all the keys
+    //found in the objects are used in the order they first appear
+    this.fromObjects = function(objects, headers) {
+        if (!Array.isArray(objects)) {throw new ValidationError(`Expected an array of objects, got "${typeof objects}"!`, {values: {type: typeof objects}})}
+
+        if (!headers) {
+            headers = []
+            for (let object of objects) {
+                for (let key of Object.keys(object)) {
+                    if (!headers.includes(key)) {headers.push(key)}
+                }
+            }
+        }
+
+        data.headers = [...headers]
+        data.rows = objects.map(object => headers.map(header => object[header] === undefined ? "" : object[header]))
+
+        return thisFunc
+    }
+
+    function ColumnCount() {
+        return data.rows.reduce((max, row) => Math.max(max, row.length), data.headers.length)
+    }
+
+    //Checks the headers can be used as object keys and returns a function converting row arrays to objects
+    function RowConverter() {
+        const seen = new Set();
+        const duplicates = new Set();
+        for (let header of data.headers) {
+            if (seen.has(header)) {duplicates.add(header)}
+            seen.add(header)
+        }
+        if (duplicates.size) {throw new ValidationError(`Cannot convert rows to objects, header names "${[...duplicates].join(`", "`)}" are used by more than one column! Use the "duplicateHeaders" option.`, {code: "DUPLICATE_HEADERS", values: {headers: [...duplicates]}})}
+
+        const headers = [...data.headers];
+
+        return row => {
+            const result = {};
+            headers.forEach((header, i) => {result[header] = CellValue(row, i)})
+            return result
+        }
+    }
+
+    function RowAt(row) {
+        if (!Number.isInteger(row) || row < 0 || row >= data.rows.length) {throw new ValidationError(`Row index "${row}" is out of range! There are ${data.rows.length} rows.`, {code: "OUT_OF_RANGE", values: {row: row, rows: data.rows.length}})}
+        return data.rows[row]
+    }
+
+    //Returns a line number at which rows start (excluding headers)
+    this.rowsStartIndex = function() {
+        return data.rowsStartIndex
+    }
+
+    //Generates a new .csv file in the location provided.
+    //If full path provided (including file name), the csv is saved to that location with that name
+    //If only system location is provided (no name), file will be saved there with original name
+    //If nothing is provided, original file gets replaced
+    //The file is written with the same dialect and encoding it was read with. Any of them can be overridden
+    //with saveOptions: {delimiter, quote, encoding, bom, recordDelimiter}
+    //If the location ends with .xlsx, a workbook with a single sheet is written instead. The sheet is named after the
+    //sheet read (or "Sheet1") unless saveOptions.sheet is provided. All the other saveOptions are passed to JsObjectToExcel
+    //The workbook read is never replaced if it has other sheets than the one read, as they would be lost
+    this.saveTo = async function(location, saveOptions = {}) {
+        if (!location) {location = path.join(parsedLocation.dir, parsedLocation.base)}
+        let pLoc = path.parse(location);
+        if (!pLoc.ext) {
+            location = path.join(location, parsedLocation.base)
+            pLoc = path.parse(location)
+        }
+
+        const otherSheets = workbookSheets.filter(name => name !== dialect.sheet);
+        if (isWorkbook && otherSheets.length && path.resolve(location) === path.resolve(parsedLocation.dir, parsedLocation.base)) {
+            throw new ValidationError(`Saving to "${location}" would replace the workbook read with a single sheet, dropping sheets "${otherSheets.join(`", "`)}"! Save it to another location.`, {code: "WORKBOOK_OVERWRITE", values: {location: location, sheets: otherSheets}})
+        }
+        if (!fs.existsSync(pLoc.dir)) {fs.mkdirSync(pLoc.dir, {recursive: true})}
+
+        if (pLoc.ext.toLowerCase() === ".xlsx") {
+            const {sheet, ...excelOptions} = saveOptions;
+            await JsObjectToExcel(location, {[sheet || dialect.sheet || "Sheet1"]: {headers: data.headers, rows: data.rows}}, excelOptions)
+            return
+        }
+
+        const saveDialect = {
+            delimiter: saveOptions.delimiter === undefined ? dialect.delimiter : `${saveOptions.delimiter}`,
+            quote: saveOptions.quote === undefined ? dialect.quote : `${saveOptions.quote}`,
+            encoding: NormalizeEncoding(saveOptions.encoding || dialect.encoding),
+            recordDelimiter: saveOptions.recordDelimiter || dialect.recordDelimiter,
+        }
+        const bom = saveOptions.bom === undefined ? options.bom : saveOptions.bom;
+        saveDialect.bom = bom === "preserve" ? dialect.bom : !!bom
+
+        if (saveDialect.encoding === "auto") {saveDialect.encoding = "utf-8"}
+
+        const records = data.headers.length > 0 ? [data.headers].concat(data.rows) : data.rows;
+
+        await fs.promises.writeFile(location, EncodeText(StringifyCsvRecords(records, saveDialect), saveDialect.encoding, saveDialect.bom))
+        await Log("debug", `Saved ${data.rows.length} rows to "${location}"`)
+    }
+
+    //Logs the message if a logger was provided
+    async function Log(level, message, fields) {
+        if (options.logger) {await options.logger.log(level, message, {location: location, ...fields})}
+    }
+
+    //Logs what was read once the file has been read
+    async function LogRead() {
+        await Log("debug", `Read ${data.rows.length} rows`, {...thisFunc.getDialect(), headers: data.headers.length})
+        if (coercionErrors.length) {await Log("warning", `${coercionErrors.length} cells could not be converted to the type of their column`, {first: coercionErrors[0]})}
+    }
+
+    let thisFunc = this;
+    return (async () => {
+        if (isWorkbook) {
+            ReadWorkbookSheet()
+            await LogRead()
+            return thisFunc
+        }
+
+        dialect = await DetectCsvDialect(location, options)
+
+        //The file is streamed, reading it in one go overflows the stack of csv-reader on large files
+        const rows = ReadCsvRows(location, dialect);
+        let headersRead = !options.firstRowContainsHeaders;
+        let columnTypes = headersRead ? ResolveColumnTypes(options.columnTypes, data.headers) : undefined;
+
+        try {
+            for await (let row of rows) {
+                if (!headersRead) {
+                    headersRead = true
+                    data.headers = HandleDuplicateHeaders(row, options.duplicateHeaders)
+                    columnTypes = ResolveColumnTypes(options.columnTypes, data.headers)
+                    continue
+                }
+
+                AddRawRow(row, columnTypes)
+            }
+        } finally {
+            rows.destroy()
+        }
+
+        if (columnTypes === undefined) {ResolveColumnTypes(options.columnTypes, data.headers)}
+        data.rowsStartIndex = data.rows.length ? (options.firstRowContainsHeaders ? 2 : 1) : 0
+
+        await LogRead()
+        return thisFunc
+    })()
+
+    function AddRawRow(row, columnTypes) {
+        const i = data.rows.length;
+
+        data.rows.push(row.map((cell, column) => {
+            const type = columnTypes[column] || "auto";
+            //Spreadsheet cells are already typed, they only get converted if the column has a type rule
+            if (typeof cell !== "string" && columnTypes[column] === undefined) {return cell}
+
+            const converted = CoerceCsvCell(`${cell}`, type, options);
+
+            if (converted === undefined) {
+                coercionErrors.push({row: i, column: data.headers[column] === undefined ? column : data.headers[column], value: cell, type: type})
+                return cell
+            }
+
+            return converted
+        }))
+    }
+
+    //Reads the sheet requested from the .xlsx workbook. Empty cells become empty strings, dates ISO strings
+    function ReadWorkbookSheet() {
+        const workbook = excel.readFile(location, {cellNF: true});
+        const hidden = (workbook.Workbook && workbook.Workbook.Sheets) || [];
+        let sheetName;
+
+        if (options.sheet === undefined) {
+            sheetName = workbook.SheetNames.find((name, i) => !(hidden[i] && hidden[i].Hidden))
+        } else if (typeof options.sheet === "number") {
+            sheetName = workbook.SheetNames[options.sheet]
+        } else {
+            sheetName = workbook.SheetNames.find(name => name === `${options.sheet}`)
+        }
+
+        if (sheetName === undefined) {throw new ValidationError(`Sheet "${options.sheet === undefined ? "" : options.sheet}" does not exist in the workbook "${location}"! Available sheets are: "${workbook.SheetNames.join(`", "`)}"`, {code: "SHEET_NOT_FOUND", values: {sheet: options.sheet, available: workbook.SheetNames}})}
+
+        dialect.sheet = sheetName
+        workbookSheets = [...workbook.SheetNames]
+        if (dialect.delimiter === "auto") {dialect.delimiter = ","}
+        if (dialect.encoding === "auto") {dialect.encoding = "utf-8"}
+
+        const date1904 = !!(workbook.Workbook && workbook.Workbook.WBProps && workbook.Workbook.WBProps.date1904);
+        const rawRows = SheetToTypedRows(workbook.Sheets[sheetName], {skipHiddenRows: false, includeBlankRows: false, expandMerged: false, date1904: date1904})
+            .map(row => row.map(cell => cell === null ? "" : cell));
+
+        if (options.firstRowContainsHeaders && rawRows.length) {
+            data.headers = HandleDuplicateHeaders(rawRows.shift().map(cell => `${cell}`), options.duplicateHeaders)
+        }
+
+        const columnTypes = ResolveColumnTypes(options.columnTypes, data.headers);
+        for (let row of rawRows) {AddRawRow(row, columnTypes)}
+        data.rowsStartIndex = data.rows.length ? (options.firstRowContainsHeaders ? 2 : 1) : 0
+    }
+}
+
+//CsvPipeline reads a csv file row by row, passes every row through a chain of steps and writes the results to another
+//csv file without holding the whole file in memory. Suitable for very large files:
+//
+//  const result = await new CsvPipeline("/in/data.csv", {columnTypes: {OrderNo: "string"}})
+//      .filter(row => row.Qty > 0)
+//      .map(row => ({...row, Total: row.Qty * row.Price}))
+//      .run("/out/data.csv", {onProgress: stats => ...})
+//  result.report //SwitchReport with a row for every row that failed
+//
+//If the first row contains headers, rows are passed to the steps as objects in a format {header: value}, otherwise as
+//arrays. Steps can be async. Accepts the same options as CsvProcessor (except "duplicateHeaders" which can only be
+//"rename" or "error", default "rename"). The "logger" gets the rows that failed (warning) and the outcome of the run
+function CsvPipeline(location, options = {}) {
+    options = CsvReadingOptions(location, options, {allowedExtensions: [".csv"], duplicateHeaders: ["rename", "error"]})
+
+    const steps = [];
+    const thisPipeline = this;
+
+    function addStep(kind, fn) {
+        if (typeof fn !== "function") {throw new ValidationError(`Pipeline step "${kind}" expects a function, got "${typeof fn}"!`, {values: {step: kind, type: typeof fn}})}
+        steps.push({kind: kind, fn: fn})
+
+        return thisPipeline
+    }
+
+    //Replaces the row with the value returned by the function. Function receives (row, rowIndex)
+    this.map = function (fn) {
+        return addStep("map", fn)
+    }
+
+    //Drops the row if the function returns a falsy value. Function receives (row, rowIndex)
+    this.filter = function (fn) {
+        return addStep("filter", fn)
+    }
+
+    //Most flexible step, function receives (row, rowIndex) and returns either a row, an array of rows (one row
+    //becomes several) or null/undefined to drop the row
+    this.transform = function (fn) {
+        return addStep("transform", fn)
+    }
+
+    //Reads the file, runs every row through the steps and writes the results to "outputLocation". The rows are written to
+    //a temporary ".part" file next to it which only replaces the output once the run succeeds. Options:
+    //  report: SwitchReport where the errors are added. If none is provided, a new one is created
+    //  onRowError: What to do with a row a step has thrown on. "skip" - leave it out, "keep" - write the row as it was
+    //              read, "abort" - stop and throw. Every error is added to the report. Default - "skip"
+    //  onProgress: Function called with the running stats every "progressInterval" rows and at the end
+    //  progressInterval: Default - 1000
+    //  outputHeaders: Headers of the output file. Default - the keys of the first row written
+    //  delimiter, quote, encoding, bom, recordDelimiter: Dialect of the output file. Default - same as the file read
+    //Returns {report, stats: {rowsRead, rowsWritten, rowsDropped, rowsFailed, timeTaken}}. Rows a step has thrown on are
+    //only counted in "rowsFailed", "rowsDropped" counts the rows the steps have left out
+    this.run = async function (outputLocation, runOptions = {}) {
+        const startedTime = Date.now();
+        runOptions = {
+            report: runOptions.report || new SwitchReport(),
+            onRowError: runOptions.onRowError || "skip",
+            onProgress: runOptions.onProgress,
+            progressInterval: runOptions.progressInterval || 1000,
+            outputHeaders: runOptions.outputHeaders,
+            dialect: {
+                delimiter: runOptions.delimiter,
+                quote: runOptions.quote,
+                encoding: runOptions.encoding,
+                bom: runOptions.bom,
+                recordDelimiter: runOptions.recordDelimiter,
+            },
+        }
+
+        const allowedOnRowError = ["skip", "keep", "abort"];
+        if (!allowedOnRowError.includes(runOptions.onRowError)) {throw new ValidationError(`Option "onRowError" is allowed to have values "${allowedOnRowError.join(`", "`)}", got "${runOptions.onRowError}"`, {code: "INVALID_OPTION", values: {onRowError: runOptions.onRowError, allowed: allowedOnRowError}})}
+        if (!outputLocation) {throw new ValidationError(`Output location must be provided!`)}
+        if (path.resolve(outputLocation) === path.resolve(location)) {throw new ValidationError(`Output location "${outputLocation}" cannot be the same as the file being read!`, {values: {location: outputLocation}})}
+
+        const inputDialect = await DetectCsvDialect(location, options);
+        const bom = runOptions.dialect.bom === undefined ? options.bom : runOptions.dialect.bom;
+        const outputDialect = {
+            delimiter: runOptions.dialect.delimiter === undefined ? inputDialect.delimiter : `${runOptions.dialect.delimiter}`,
+            quote: runOptions.dialect.quote === undefined ? inputDialect.quote : `${runOptions.dialect.quote}`,
+            encoding: NormalizeEncoding(runOptions.dialect.encoding || inputDialect.encoding),
+            bom: bom === "preserve" ? inputDialect.bom : !!bom,
+            recordDelimiter: runOptions.dialect.recordDelimiter || inputDialect.recordDelimiter,
+        }
+
+        const report = runOptions.report;
+        const stats = {rowsRead: 0, rowsWritten: 0, rowsDropped: 0, rowsFailed: 0, timeTaken: 0};
+        const progress = () => runOptions.onProgress && runOptions.onProgress({...stats, timeTaken: Date.now() - startedTime});
+
+        const outputDir = path.dirname(outputLocation);
+        if (!fs.existsSync(outputDir)) {fs.mkdirSync(outputDir, {recursive: true})}
+
+        //The rows are written to a temporary file which replaces the output once all of them have been written
+        const partLocation = `${outputLocation}.${crypto.randomUUID()}.part`;
+        const output = fs.createWriteStream(partLocation);
+        const outputClosed = new Promise((resolve, reject) => {
+            output.on("finish", resolve)
+            output.on("error", reject)
+        });
+        outputClosed.catch(() => {})
+        let bomWritten = false;
+
+        async function write(records) {
+            let buffer = EncodeText(StringifyCsvRecords(records, outputDialect), outputDialect.encoding, outputDialect.bom && !bomWritten);
+            bomWritten = true
+
+            //A stream that fails never drains, so waiting ends with its error as well
+            if (!output.write(buffer)) {
+                await Promise.race([new Promise(resolve => output.once("drain", resolve)), outputClosed])
+            }
+        }
+
+        const rows = ReadCsvRows(location, inputDialect);
+
+        let headers;
+        let columnTypes = [];
+        let outputHeaders = runOptions.outputHeaders;
+        let headersWritten = false;
+
+        try {
+            try {
+                for await (let rawRow of rows) {
+                    if (options.firstRowContainsHeaders && headers === undefined) {
+                        headers = HandleDuplicateHeaders(rawRow, options.duplicateHeaders)
+                        columnTypes = ResolveColumnTypes(options.columnTypes, headers)
+                        continue
+                    }
+
+                    const rowIndex = stats.rowsRead++;
+                    const lineNumber = rowIndex + (headers ? 2 : 1);
+                    const cells = rawRow.map((cell, column) => {
+                        const converted = CoerceCsvCell(cell, columnTypes[column] || "auto", options);
+                        return converted === undefined ? cell : converted
+                    });
+                    const row = headers ? Object.fromEntries(headers.map((header, i) => [header, CellValue(cells, i)])) : cells;
+
+                    let results;
+                    let failed = false;
+
+                    try {
+                        results = await RunPipelineSteps(steps, row, rowIndex)
+                    } catch (e) {
+                        failed = true
+                        stats.rowsFailed++
+                        report.addErrorRow({message: `Row ${lineNumber}: ${e && e.message ? e.message : e}`, fields: {row: lineNumber}})
+                        if (options.logger) {await options.logger.warning(`Row ${lineNumber} of "${location}" failed: ${e && e.message ? e.message : e}`, {row: lineNumber})}
+
+                        if (runOptions.onRowError === "abort") {throw e}
+
+                        results = runOptions.onRowError === "keep" ? [row] : []
+                    }
+
+                    if (results.length === 0 && !failed) {stats.rowsDropped++}
+
+                    const records = [];
+
+                    for (let result of results) {
+                        if (!Array.isArray(result) && !outputHeaders) {
+                            outputHeaders = Object.keys(result)
+                        }
+
+                        if (!headersWritten && (outputHeaders || headers)) {
+                            records.push(outputHeaders || headers)
+                            headersWritten = true
+                        }
+
+                        records.push(Array.isArray(result) ? result : outputHeaders.map(header => result[header]))
+                    }
+
+                    if (records.length) {
+                        await write(records)
+                        stats.rowsWritten += results.length
+                    }
+
+                    if (stats.rowsRead % runOptions.progressInterval === 0) {progress()}
+                }
+
+                if (!headersWritten && (outputHeaders || headers)) {
+                    await write([outputHeaders || headers])
+                }
+            } finally {
+                output.end()
+                rows.destroy()
+            }
+
+            await outputClosed
+            await fs.promises.rename(partLocation, outputLocation)
+        } catch (e) {
+            output.destroy()
+            await new Promise(resolve => output.closed ? resolve() : output.once("close", resolve))
+            await fs.promises.rm(partLocation, {force: true})
+            throw e
+        }
+
+        stats.timeTaken = Date.now() - startedTime
+        progress()
+        report.addLogRow(`Processed ${stats.rowsRead} rows: ${stats.rowsWritten} written, ${stats.rowsDropped} dropped, ${stats.rowsFailed} failed.`)
+        if (options.logger) {await options.logger.log(stats.rowsFailed ? "warning" : "info", `Processed "${path.basename(location)}" into "${outputLocation}"`, {...stats})}
+
+        return {report: report, stats: stats}
+    }
+}
+
+//Checks the file and the options CsvProcessor and CsvPipeline read it with and returns the options with the defaults
+//applied. "settings" holds what differs between them: {allowedExtensions, duplicateHeaders}, where "duplicateHeaders"
+//lists the values allowed, the first one being the default
+function CsvReadingOptions(location, options, settings) {
+    if (!location || !fs.existsSync(location)) {throw new FileSystemError(`Csv file does not exist in the location "${location}"!`, {code: "LOCATION_NOT_FOUND", values: {location: location}})}
+    if (!fs.statSync(location).isFile()) {throw new FileSystemError(`Location supplied "${location}" is not a file!`, {code: "NOT_A_FILE", values: {location: location}})}
+    const parsedLocation = path.parse(location);
+    const allowedExtensions = (options.allowedExtensions || settings.allowedExtensions).map(ext => `${ext}`.toLowerCase()).map(ext => ext[0] === "." ? ext : `.${ext}`);
+    if (!allowedExtensions.includes(parsedLocation.ext.toLowerCase())) {throw new ValidationError(`Can only read "${allowedExtensions.join(`", "`)}" files, got "${parsedLocation.ext}"`, {code: "UNSUPPORTED_EXTENSION", values: {extension: parsedLocation.ext, allowed: allowedExtensions}})}
+
+    options = {
+        firstRowContainsHeaders: options.firstRowContainsHeaders === undefined ? true : !!options.firstRowContainsHeaders,
+        duplicateHeaders: options.duplicateHeaders || settings.duplicateHeaders[0],
+        delimiter: options.delimiter === undefined ? (parsedLocation.ext.toLowerCase() === ".tsv" ? "\t" : ",") : `${options.delimiter}`,
+        quote: options.quote === undefined || options.quote === null ? `"` : `${options.quote}`,
+        encoding: NormalizeEncoding(options.encoding || "auto"),
+        bom: options.bom === undefined ? "preserve" : options.bom,
+        parseNumbers: options.parseNumbers === undefined ? true : !!options.parseNumbers,
+        parseBooleans: options.parseBooleans === undefined ? true : !!options.parseBooleans,
+        columnTypes: options.columnTypes || {},
+        sheet: options.sheet,
+        logger: options.logger,
+    }
+
+    if (!settings.duplicateHeaders.includes(options.duplicateHeaders)) {throw new ValidationError(`Option "duplicateHeaders" is allowed to have values "${settings.duplicateHeaders.join(`", "`)}", got "${options.duplicateHeaders}"`, {code: "INVALID_OPTION", values: {duplicateHeaders: options.duplicateHeaders, allowed: settings.duplicateHeaders}})}
+    if (options.delimiter.length !== 1 && options.delimiter !== "auto") {throw new ValidationError(`Option "delimiter" must be a single character or "auto", got "${options.delimiter}"`, {code: "INVALID_OPTION", values: {delimiter: options.delimiter}})}
+    if (options.quote.length > 1) {throw new ValidationError(`Option "quote" must be a single character or an empty string, got "${options.quote}"`, {code: "INVALID_OPTION", values: {quote: options.quote}})}
+    if (![true, false, "preserve"].includes(options.bom)) {throw new ValidationError(`Option "bom" is allowed to have values true, false or "preserve", got "${options.bom}"`, {code: "INVALID_OPTION", values: {bom: options.bom}})}
+    for (let column of Object.keys(options.columnTypes)) {
+        if (!csvColumnTypes.includes(options.columnTypes[column])) {throw new ValidationError(`Type "${options.columnTypes[column]}" of column "${column}" is not allowed! Allowed types are: "${csvColumnTypes.join(`", "`)}"`, {code: "INVALID_OPTION", values: {column: column, type: options.columnTypes[column], allowed: csvColumnTypes}})}
+    }
+
+    return options
+}
+
+//Runs a single row through the pipeline steps. Returns an array with the resulting rows
+async function RunPipelineSteps(steps, row, rowIndex) {
+    let rows = [row];
+
+    for (let step of steps) {
+        const next = [];
+
+        for (let current of rows) {
+            if (step.kind === "filter") {
+                if (await step.fn(current, rowIndex)) {next.push(current)}
                 continue
             }
 
-            if (options.lookFor !== allowedLookFor.both) {
-                if (options.lookFor === allowedLookFor.folders && dirent.isFile()) {
-                    continue
-                }
+            const result = await step.fn(current, rowIndex);
+
+            if (step.kind === "map") {
+                next.push(result)
+            } else if (Array.isArray(result) && (result.length === 0 || typeof result[0] === "object")) {
+                next.push(...result.filter(r => r !== null && r !== undefined))
+            } else if (result !== null && result !== undefined) {
+                next.push(result)
+            }
+        }
+
+        rows = next
+    }
+
+    return rows
+}
+
+//Reads up to "length" bytes from the start of the file
+async function ReadFileHead(location, length) {
+    const handle = await fs.promises.open(location, "r");
+
+    try {
+        const buffer = Buffer.alloc(length);
+        const {bytesRead} = await handle.read(buffer, 0, length, 0);
+
+        return buffer.subarray(0, bytesRead)
+    } finally {
+        await handle.close()
+    }
+}
+
+//Reads the start of the csv file to find out its dialect. The delimiter (if "auto"), the encoding and the BOM are
+//detected from the first 64 KB only. Returns {delimiter, quote, encoding, bom, recordDelimiter}
+async function DetectCsvDialect(location, options) {
+    const head = DecodeText(await ReadFileHead(location, 65536), options.encoding);
+
+    return {
+        delimiter: options.delimiter === "auto" ? DetectCsvDelimiter(head.text, options.quote) : options.delimiter,
+        quote: options.quote,
+        encoding: head.encoding,
+        bom: head.bom,
+        recordDelimiter: head.text.includes("\r\n") ? "\r\n" : "\n",
+    }
+}
+
+//Returns a stream of the rows of the csv file read in the dialect provided, every row is an array of trimmed strings.
+//The stream has to be destroyed if it is not read to the end
+function ReadCsvRows(location, dialect) {
+    const swapQuotes = dialect.quote !== "" && dialect.quote !== `"`;
+    const streams = [
+        fs.createReadStream(location),
+        CreateDecodingStream(dialect.encoding, swapQuotes ? dialect.quote : undefined),
+        new CsvReadableStream({delimiter: dialect.delimiter, allowQuotes: dialect.quote !== "", trim: true}),
+    ];
+
+    if (swapQuotes) {
+        streams.push(new stream.Transform({
+            objectMode: true,
+            transform(row, enc, callback) {
+                callback(null, row.map(cell => SwapCharacters(cell, dialect.quote, `"`)))
+            },
+        }))
+    }
+
+    return stream.pipeline(...streams, () => {})
+}
+
+//Returns a stream which decodes the bytes into strings in the encoding provided, removing the BOM. If "swapQuote" is
+//provided, the quote character gets swapped with '"' so csv-reader can parse the cells
+function CreateDecodingStream(encoding, swapQuote) {
+    const decoder = encoding === "latin1" ? undefined : new TextDecoder(encoding);
+
+    const convert = text => swapQuote ? SwapCharacters(text, swapQuote, `"`) : text;
+
+    return new stream.Transform({
+        readableObjectMode: true,
+        transform(chunk, enc, callback) {
+            for (let piece of CsvTextPieces(convert(decoder ? decoder.decode(chunk, {stream: true}) : chunk.toString("latin1")))) {this.push(piece)}
+            callback()
+        },
+        flush(callback) {
+            for (let piece of CsvTextPieces(convert(decoder ? decoder.decode() : ""))) {this.push(piece)}
+            callback()
+        },
+    })
+}
+
+//Splits the text into pieces of up to 1000 lines. csv-reader recurses once for every row of the piece it is given,
+//so a piece with too many rows overflows its stack
+function* CsvTextPieces(text) {
+    let start = 0;
+
+    while (start < text.length) {
+        let end = start;
+
+        for (let lines = 0; lines < 1000; lines++) {
+            end = text.indexOf("\n", end) + 1
+            if (end === 0) {end = text.length; break}
+        }
+
+        yield text.slice(start, end)
+        start = end
+    }
+}
+
+//Types allowed in "columnTypes" option of CsvProcessor
+const csvColumnTypes = ["string", "number", "boolean", "date", "auto"];
+
+//Maps "columnTypes" defined by header names or indexes to an array of types by column index
+function ResolveColumnTypes(columnTypes, headers) {
+    const result = [];
+
+    for (let column of Object.keys(columnTypes)) {
+        const index = headers.includes(column) ? headers.indexOf(column) : /^\d+$/.test(column) ? Number(column) : -1;
+
+        if (index === -1) {throw new ValidationError(`Column "${column}" defined in "columnTypes" does not exist! Available columns are: "${headers.join(`", "`)}"`, {code: "COLUMN_NOT_FOUND", values: {column: column, available: headers}})}
+
+        headers.forEach((header, i) => {if (header === column) {result[i] = columnTypes[column]}})
+        result[index] = columnTypes[column]
+    }
+
+    return result
+}
+
+//Converts a raw csv cell to the type requested. Returns undefined if the cell cannot be converted. Empty cells stay empty
+function CoerceCsvCell(cell, type, options) {
+    if (cell === "" || type === "string") {return cell}
+
+    if (type === "auto") {
+        if (options.parseBooleans && (cell === "true" || cell === "false")) {return cell === "true"}
+        if (options.parseNumbers && /^[-+]?\d+(?:\.\d*)?(?:[eE][-+]?\d+)?$|^[-+]?\.\d+(?:[eE][-+]?\d+)?$/.test(cell)) {return parseFloat(cell)}
+        return cell
+    }
+
+    if (type === "number") {
+        const normalized = cell.includes(".") ? cell : cell.replace(",", ".");
+        return /^[-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?$/.test(normalized) ? parseFloat(normalized) : undefined
+    }
+
+    if (type === "boolean") {
+        const value = cell.toLowerCase();
+        if (["true", "yes", "y", "1"].includes(value)) {return true}
+        if (["false", "no", "n", "0"].includes(value)) {return false}
+        return undefined
+    }
+
+    if (type === "date") {
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(cell) ? new Date(`${cell}T00:00:00.000Z`) : new Date(cell);
+        return Number.isNaN(date.getTime()) ? undefined : date
+    }
+
+    return cell
+}
+
+//Parses csv text into an array of rows with all the cells as trimmed strings
+function ParseCsvText(text, dialect) {
+    const swapQuotes = dialect.quote !== "" && dialect.quote !== `"`;
+    if (swapQuotes) {text = SwapCharacters(text, dialect.quote, `"`)}
+
+    return new Promise((resolve, reject) => {
+        const rows = [];
+
+        stream.Readable.from(CsvTextPieces(text))
+            .pipe(new CsvReadableStream({delimiter: dialect.delimiter, allowQuotes: dialect.quote !== "", trim: true}))
+            .on("data", row => rows.push(swapQuotes ? row.map(cell => SwapCharacters(cell, dialect.quote, `"`)) : row))
+            .on("error", reject)
+            .on("end", () => resolve(rows))
+    })
+}
+
+//Converts rows into csv text. Dates are written as ISO strings (only the date part if there is no time)
+function StringifyCsvRecords(records, dialect) {
+    const quote = dialect.quote;
+
+    const stringifyCell = value => {
+        if (value === undefined || value === null) {return ""}
+        if (value instanceof Date) {
+            value = value.toISOString().endsWith("T00:00:00.000Z") ? value.toISOString().slice(0, 10) : value.toISOString()
+        }
+
+        const cell = `${value}`;
+
+        if (quote && (cell.includes(dialect.delimiter) || cell.includes(quote) || cell.includes("\n") || cell.includes("\r"))) {
+            return `${quote}${cell.replaceAll(quote, quote + quote)}${quote}`
+        }
+
+        return cell
+    }
+
+    return records.map(record => record.map(stringifyCell).join(dialect.delimiter) + dialect.recordDelimiter).join("")
+}
 
-                if (options.lookFor === allowedLookFor.files && dirent.isDirectory()) {
-                    continue
-                }
-            }
+//Guesses the delimiter by looking for the candidate that appears the same number of times in the first lines
+function DetectCsvDelimiter(text, quote = `"`) {
+    const candidates = [",", ";", "\t", "|"];
+    let lines = text.split(/\r\n|\n|\r/).filter(line => line.trim() !== "").slice(0, 10);
 
-            for (const returnType of options.returnType || []) {
-                response.results[returnType] = response.results[returnType] || []
-                response.results[returnType].push(returnType === allowedReturnTypes.full ? fullPath : returnType === allowedReturnTypes.name ? hayOriginal : returnType === allowedReturnTypes.nameProper ? parsedName.name : undefined)
-            }
-            response.stats.resultsFound++
-        }
+    //Quoted parts of the lines are dropped, so delimiters inside the cells are not counted
+    if (quote) {
+        lines = lines.map(line => line.split(quote).filter((part, i) => i % 2 === 0).join(""))
     }
 
-    if (!fs.existsSync(haystack)) {
-        return
+    let best = {delimiter: ",", score: 0};
+
+    for (let candidate of candidates) {
+        const counts = lines.map(line => line.split(candidate).length - 1);
+        const min = Math.min(...counts);
+        const consistent = counts.every(count => count === counts[0]);
+        const score = min === 0 ? 0 : consistent ? min * 1000 : min;
+
+        if (score > best.score) {best = {delimiter: candidate, score: score}}
     }
 
-    await scanFolder(haystack, needle, options.depth)
+    return best.delimiter
+}
 
-    response.stats.timeTaken = Date.now() - startedTime
+//Swaps every occurrence of character "a" with "b" and the other way around
+function SwapCharacters(text, a, b) {
+    const swapped = {[a]: b, [b]: a};
+    const escape = value => value.replace(/[.*+?^${}()|[\]\\\-]/g, "\\$&");
 
-    return response
+    return text.replace(new RegExp(`[${escape(a)}${escape(b)}]`, "g"), c => swapped[c])
 }
 
-//ParseCsvFile takes in .csv file, places its contents into an object for manipulation and can save it back to .csv
-function CsvProcessor(location, options) {
-    options = options || {}
-    if (!location || !fs.existsSync(location)) {throw Error(`Csv file does not exist in the location "${location}"!`)}
-    if (!fs.statSync(location).isFile()) {throw Error(`Location supplied "${location}" is not a file!`)}
-    const parsedLocation = path.parse(location);
-    if (parsedLocation.ext !== ".csv") {throw Error(`Can only read .csv files, got "${parsedLocation.ext}"`)}
+//Encodings supported by DecodeText and EncodeText
+const textEncodings = ["utf-8", "utf-16le", "utf-16be", "windows-1252", "latin1", "auto"];
 
-    options = {
-        firstRowContainsHeaders: options.firstRowContainsHeaders === undefined ? true : !!options.firstRowContainsHeaders
-    }
+//Normalizes the encoding name, e.g. "UTF8" -> "utf-8", "cp1252" -> "windows-1252". Throws if the encoding is not supported
+function NormalizeEncoding(encoding) {
+    const aliases = {"utf8": "utf-8", "utf16le": "utf-16le", "ucs2": "utf-16le", "ucs-2": "utf-16le", "utf16be": "utf-16be", "cp1252": "windows-1252", "win1252": "windows-1252", "iso-8859-1": "latin1", "binary": "latin1"};
+    const normalized = aliases[`${encoding}`.toLowerCase()] || `${encoding}`.toLowerCase();
 
-    let data = {
-        headers:[],
-        rows:[],
-        rowsStartIndex: 0 //Do not delete this.
-    }
+    if (!textEncodings.includes(normalized)) {throw new ValidationError(`Encoding "${encoding}" is not supported! Supported encodings are: "${textEncodings.join(`", "`)}"`, {code: "UNSUPPORTED_ENCODING", values: {encoding: encoding, allowed: textEncodings}})}
 
-    //Returns the whole file as js object
-    this.getReference = function() {
-        return data;
-    }
+    return normalized
+}
 
-    //Returns headers if there were any
-    this.getHeaders = function() {
-        return data.headers
-    }
+//Byte order marks of the encodings that have one
+const byteOrderMarks = {
+    "utf-8": [0xEF, 0xBB, 0xBF],
+    "utf-16le": [0xFF, 0xFE],
+    "utf-16be": [0xFE, 0xFF],
+}
 
-    //Returns rows excluding headers
-    this.getRows = function() {
-        return data.rows
+//Decodes the buffer into a string. With "auto" encoding, the encoding is detected from the BOM, falling back to utf-8.
+//The BOM is removed from the text. Returns {text, encoding, bom}
+function DecodeText(buffer, encoding = "auto") {
+    encoding = NormalizeEncoding(encoding)
+    let bom = false;
+
+    for (let candidate of Object.keys(byteOrderMarks)) {
+        const mark = byteOrderMarks[candidate];
+
+        if (buffer.length >= mark.length && mark.every((byte, i) => buffer[i] === byte) && (encoding === "auto" || encoding === candidate)) {
+            encoding = candidate
+            bom = true
+            buffer = buffer.subarray(mark.length)
+            break
+        }
     }
 
-    //Returns an array of values about the headers that match the keyword
-    this.findAllHeaders = function(keyword) {
-        keyword = keyword.toLowerCase()
-        let results = [];
+    if (encoding === "auto") {encoding = "utf-8"}
 
-        for (let i = 0; i < data.headers.length; i++) {
-            let header = data.headers[i];
+    const text = encoding === "latin1" ? buffer.toString("latin1") : new TextDecoder(encoding).decode(buffer);
 
-            if (header.toLowerCase() !== keyword) {
-                continue
-            }
+    return {text: text, encoding: encoding, bom: bom}
+}
 
-            results.push({
-                index: i,
-                value: header
-            })
+//Encodes the text into a buffer, optionally with a BOM. Characters that cannot be represented in single byte encodings become "?"
+function EncodeText(text, encoding = "utf-8", bom = false) {
+    encoding = NormalizeEncoding(encoding === "auto" ? "utf-8" : encoding)
+    let buffer;
+
+    if (encoding === "utf-8") {
+        buffer = Buffer.from(text, "utf8")
+    } else if (encoding === "utf-16le") {
+        buffer = Buffer.from(text, "utf16le")
+    } else if (encoding === "utf-16be") {
+        buffer = Buffer.from(text, "utf16le").swap16()
+    } else {
+        const windows1252 = "€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ";
+        const bytes = [];
+
+        for (let c of text) {
+            const code = c.codePointAt(0);
+            const index = encoding === "windows-1252" ? windows1252.indexOf(c) : -1;
+
+            if (index !== -1) {
+                bytes.push(0x80 + index)
+            } else if (code < 0x100 && (encoding === "latin1" || code < 0x80 || code > 0x9F)) {
+                bytes.push(code)
+            } else {
+                bytes.push(0x3F)
+            }
         }
 
-        return results
+        buffer = Buffer.from(bytes)
     }
 
-    //Returns a line number at which rows start (excluding headers)
-    this.rowsStartIndex = function() {
-        return data.rowsStartIndex
-    }
+    return bom && byteOrderMarks[encoding] ? Buffer.concat([Buffer.from(byteOrderMarks[encoding]), buffer]) : buffer
+}
 
-    //Generates a new .csv file in the location provided.
-    //If full path provided (including file name), the csv is saved to that location with that name
-    //If only system location is provided (no name), file will be saved there with original name
-    //If nothing is provided, original file gets replaced
-    this.saveTo = async function(location) {
-        if (!location) {location = path.join(parsedLocation.dir, parsedLocation.base)}
-        let pLoc = path.parse(location);
-        if (!pLoc.ext) {
-            location = path.join(location, parsedLocation.base)
-            pLoc = path.parse(location)
-        }
-        if (!fs.existsSync(pLoc.dir)) {fs.mkdirSync(pLoc.dir)}
+//Renames or reports header names used by more than one column, see "duplicateHeaders" option of CsvProcessor
+function HandleDuplicateHeaders(headers, mode) {
+    if (mode === "keep") {return headers}
+
+    const duplicates = headers.filter((header, i) => headers.indexOf(header) !== i);
 
-        const csvWriter = createCsvWriter({path: location});
+    if (duplicates.length && mode === "error") {
+        throw new ValidationError(`Header names "${[...new Set(duplicates)].join(`", "`)}" are used by more than one column!`, {code: "DUPLICATE_HEADERS", values: {headers: [...new Set(duplicates)]}})
+    }
 
-        const records = [];
+    const result = [];
 
-        if (data.headers.length > 0) {
-            records.push(data.headers)
-        }
+    for (let header of headers) {
+        let name = header;
 
-        if (data.rows.length > 0) {
-            records.push(...data.rows)
+        for (let counter = 2; result.includes(name) || (name !== header && headers.includes(name)); counter++) {
+            name = `${header} (${counter})`
         }
 
-        return await csvWriter.writeRecords(records)
+        result.push(name)
     }
 
-    let thisFunc = this;
-    return new Promise(resolve=>{
-        let isHeader = options.firstRowContainsHeaders;
-        let rowIndex = 0;
+    return result
+}
 
-        fs.createReadStream(location, "utf-8")
-            .pipe(new CsvReadableStream({ parseNumbers: true, parseBooleans: true, trim: true }))
-            .on("data", row=>{
-                rowIndex++
-                if (isHeader) {
-                    data.headers = row
-                    isHeader = false
-                    return
-                }
+//Returns the value of the cell or an empty string if the row is shorter than the index
+function CellValue(row, index) {
+    return row[index] === undefined ? "" : row[index]
+}
 
-                if (!data.rowsStartIndex) {
-                    data.rowsStartIndex = rowIndex
-                }
+//Compares two cell values for sorting. Numbers are compared as numbers, everything else as text
+function CompareCells(a, b) {
+    if (typeof a === "number" && typeof b === "number") {return a - b}
 
-                data.rows.push(row)
-            }).on("end", ()=>{
-            resolve(thisFunc)
-        })
-    })
+    return `${a}`.localeCompare(`${b}`, undefined, {numeric: true})
 }
 
 //MatchFilesToCsvData allows to match a column from .csv file to files in a location and populate another column with the results
+//Every scan location is read only once, the values are then looked up in an in-memory index of the files found
 //Available options are as follows:
 //  csvLocation: Full path to a .csv file
 //  saveLocation: Location where you'd wish to save the result. If none is provided, the file gets overwritten
 //  matching: [ //This allows matching any number of column to external files
 //      {
 //         columnToMatch: Column title that suppose to match with the files from "scanLocation" option
-//         columnForResults: Column title where the matched results should be placed
-//         matchedMethod: "full"|"partial". Method of matching .csv column to files. "full" - must match the full name. "partial" - can
-//                     match only part of the name.
+//         columnForResults: Column title where the matched results should be placed. Default - "FileMatchResults"
+//         matchMethod: "full"|"partial"|"prefix"|"regex". Method of matching .csv column to files. Default - "full"
+//                      "full" - must match the full name, the name without the extension or the normalised name
+//                               (accents, spaces and punctuation removed)
+//                      "partial" - the name without the extension contains the value
+//                      "prefix" - the name without the extension starts with the value
+//                      "regex" - the name matches the regular expression in the value, or in "pattern" if it is defined
+//         pattern: Regular expression used by "regex" match method with "{value}" replaced by the escaped value, e.g. "^{value}_v\d+$"
+//         caseSensitive: true/false whether the matching is case-sensitive. Default - false
+//         allowedExtensions: Extensions of the files to match. Empty array allows all the files. Default - [".pdf"]
+//         depth: Folder hierarchy scan depth. Use Infinity to scan all the way down. Default - 0
+//         ifMultipleMatches: What to do if a value matches more than one file. "warning"/"error" - report a warning or
+//                            an error and leave the result empty, "first" - take the first file by path, "newest" - take
+//                            the file modified last, "join" - place all of them joined with "joinSeparator". Default - "warning"
+//         joinSeparator: Separator used by "ifMultipleMatches" set to "join". Default - "; "
 //         resultsAppendMethod: "full"|"name"|"nameProper". What will be placed in the "columnForResults". "full" - will append
 //                           full system path to the file. "name" - will append only the name. "nameProper" - will append
-//                           name without the extension.
+//                           name without the extension. Default - "full"
 //         scanLocation: Location where to look for the files.
 //         useDifferentRootLocation: If "resultsAppendMethod" is set to "full" this allows to replace the root location
+//         keepFolderStructure: true/false. If true, "useDifferentRootLocation" keeps the path of the file relative to
+//                              "scanLocation" instead of only its name, e.g. "/new/root/sub/file.pdf". Default - false
 //         ifColumnToMatchNotPresent: Allowed three options: "success", "warning", "error". Will place a log message to report accordingly
+//         action: What to do with the matched files. "none" - nothing, "copy"/"move" - copy or move them to "actionTarget",
+//                 "jobFolder" - copy them into a folder "actionTarget/jobFolderName" which also gets the resulting .csv
+//                 file once all the matching is done. Default - "none"
+//         actionTarget: Folder where the files are copied or moved to or where the job folder is created
+//         jobFolderName: Name of the job folder. Default - name of the .csv file without the extension
+//         ifTargetExists: What to do if the file already exists in the target. "rename" - add a counter to the name,
+//                         e.g. "file (2).pdf", "overwrite" - replace it, "skip" - leave it as it is. Default - "rename"
 //      }
 //  ]
+//  dryRun: true/false. If true, the actions are only recorded in the report and nothing gets written (saveFile
+//          included). Default - false
+//  logger: Logger indexing, file actions and the outcome are logged to, in addition to the report returned
+//Returns {report, actions: [{action, row, source, destination, status: "done"|"skipped"|"failed"|"dryRun", message}], jobFolders, saveFile}
 async function MatchFilesToCsvData(options = {}) {
     const reporter = new SwitchReport();
 
     options = {
         csvLocation: options.csvLocation,
         saveLocation: options.saveLocation || options.csvLocation,
-        matching: options.matching || []
+        matching: options.matching || [],
+        dryRun: !!options.dryRun,
+        logger: options.logger,
+    }
+
+    //Logs the message if a logger was provided, there is no job to log to otherwise
+    async function Log(level, message, fields) {
+        if (options.logger) {await options.logger.log(level, message, fields)}
     }
 
-    const allowedMatchMethods = ["full", "partial"];
+    const allowedMatchMethods = ["full", "partial", "prefix", "regex"];
     const allowedResultsAppendMethod = ["full", "name", "nameProper"];
     const allowedIfColumnToMatchNotPresent = ["success", "warning", "error"];
+    const allowedIfMultipleMatches = ["warning", "error", "first", "newest", "join"];
+    const allowedActions = ["none", "copy", "move", "jobFolder"];
+    const allowedIfTargetExists = ["rename", "overwrite", "skip"];
 
-    if (!fs.existsSync(options.csvLocation)) {throw Error(`Csv file does not exist in the location "${options.csvLocation}"`)}
-    if (path.parse(options.csvLocation).ext !== ".csv") {throw Error(`File in location "${options.csvLocation}" is not a .csv file!`)}
+    if (!fs.existsSync(options.csvLocation)) {throw new FileSystemError(`Csv file does not exist in the location "${options.csvLocation}"`, {code: "LOCATION_NOT_FOUND", values: {location: options.csvLocation}})}
+    if (path.parse(options.csvLocation).ext !== ".csv") {throw new ValidationError(`File in location "${options.csvLocation}" is not a .csv file!`, {code: "UNSUPPORTED_EXTENSION", values: {location: options.csvLocation}})}
 
     for (let match of options.matching) {
         match.columnToMatch = (match.columnToMatch||"").toString()
         match.columnForResults = (match.columnForResults || "FileMatchResults").toString()
         match.matchMethod = match.matchMethod === undefined ? "full" : match.matchMethod
-        match.resultsAppendMethod = match.resultsAppendMethod || ""
+        match.pattern = match.pattern === undefined ? "" : `${match.pattern}`
+        match.caseSensitive = !!match.caseSensitive
+        match.allowedExtensions = match.allowedExtensions === undefined ? [".pdf"] : match.allowedExtensions
+        match.depth = match.depth || 0
+        match.ifMultipleMatches = match.ifMultipleMatches || "warning"
+        match.joinSeparator = match.joinSeparator === undefined ? "; " : `${match.joinSeparator}`
+        match.resultsAppendMethod = match.resultsAppendMethod || "full"
         match.scanLocation = match.scanLocation || ""
         match.useDifferentRootLocation = match.useDifferentRootLocation || ""
+        match.keepFolderStructure = !!match.keepFolderStructure
         match.ifColumnToMatchNotPresent = match.ifColumnToMatchNotPresent || "success"
-
-        if (!match.columnToMatch) {throw Error(`Column to match in the .csv file is note defined! Expected a string, got "${match.columnToMatch}"`)}
-        if (!match.columnForResults) {throw Error(`Column name where to put the results was not defined! Expected a string value, got "${match.columnForResults}"`)}
-        if (!match.scanLocation) {throw Error(`Scan location was not provided! Excepted system location, got "${match.scanLocation}"`)}
-        if (!fs.existsSync(match.scanLocation)) {throw Error(`Scan location "${match.scanLocation}" does not exist!`)}
-        if (path.parse(match.scanLocation).ext) {throw Error(`File location provided instead of a system path. Expected system path, got path to file "${match.scanLocation}"`)}
-        if (!allowedMatchMethods.includes(match.matchMethod)) {throw Error(`Match method "${match.matchMethod}" is not allowed! Allowed match methods are: "${allowedMatchMethods.join(`", "`)}"`)}
-        if (!allowedResultsAppendMethod.includes(match.resultsAppendMethod)) {throw Error(`Results append method "${match.resultsAppendMethod}" is not allowed! Allowed methods are: "${allowedResultsAppendMethod.join(`", "`)}"`)}
-        if (!allowedIfColumnToMatchNotPresent.includes(match.ifColumnToMatchNotPresent)) {throw Error(`Option "ifColumnToMatchNotPresent" is allowed to have values "${allowedIfColumnToMatchNotPresent.join(`" or "`)}", got "${match.ifColumnToMatchNotPresent}"`)}
+        match.action = match.action || "none"
+        match.actionTarget = match.actionTarget || ""
+        match.jobFolderName = `${match.jobFolderName || path.parse(options.csvLocation).name}`
+        match.ifTargetExists = match.ifTargetExists || "rename"
+
+        if (!match.columnToMatch) {throw new ValidationError(`Column to match in the .csv file is note defined! Expected a string, got "${match.columnToMatch}"`, {code: "INVALID_OPTION", values: {columnToMatch: match.columnToMatch}})}
+        if (!match.columnForResults) {throw new ValidationError(`Column name where to put the results was not defined! Expected a string value, got "${match.columnForResults}"`, {code: "INVALID_OPTION", values: {columnForResults: match.columnForResults}})}
+        if (!match.scanLocation) {throw new ValidationError(`Scan location was not provided! Excepted system location, got "${match.scanLocation}"`, {code: "INVALID_OPTION", values: {scanLocation: match.scanLocation}})}
+        if (!fs.existsSync(match.scanLocation)) {throw new FileSystemError(`Scan location "${match.scanLocation}" does not exist!`, {code: "LOCATION_NOT_FOUND", values: {location: match.scanLocation}})}
+        if (path.parse(match.scanLocation).ext) {throw new ValidationError(`File location provided instead of a system path. Expected system path, got path to file "${match.scanLocation}"`, {code: "INVALID_OPTION", values: {scanLocation: match.scanLocation}})}
+        if (!allowedMatchMethods.includes(match.matchMethod)) {throw new ValidationError(`Match method "${match.matchMethod}" is not allowed! Allowed match methods are: "${allowedMatchMethods.join(`", "`)}"`, {code: "INVALID_OPTION", values: {matchMethod: match.matchMethod, allowed: allowedMatchMethods}})}
+        if (!allowedResultsAppendMethod.includes(match.resultsAppendMethod)) {throw new ValidationError(`Results append method "${match.resultsAppendMethod}" is not allowed! Allowed methods are: "${allowedResultsAppendMethod.join(`", "`)}"`, {code: "INVALID_OPTION", values: {resultsAppendMethod: match.resultsAppendMethod, allowed: allowedResultsAppendMethod}})}
+        if (!allowedIfColumnToMatchNotPresent.includes(match.ifColumnToMatchNotPresent)) {throw new ValidationError(`Option "ifColumnToMatchNotPresent" is allowed to have values "${allowedIfColumnToMatchNotPresent.join(`" or "`)}", got "${match.ifColumnToMatchNotPresent}"`, {code: "INVALID_OPTION", values: {ifColumnToMatchNotPresent: match.ifColumnToMatchNotPresent, allowed: allowedIfColumnToMatchNotPresent}})}
+        if (!allowedIfMultipleMatches.includes(match.ifMultipleMatches)) {throw new ValidationError(`Option "ifMultipleMatches" is allowed to have values "${allowedIfMultipleMatches.join(`", "`)}", got "${match.ifMultipleMatches}"`, {code: "INVALID_OPTION", values: {ifMultipleMatches: match.ifMultipleMatches, allowed: allowedIfMultipleMatches}})}
+        if (!Array.isArray(match.allowedExtensions)) {throw new ValidationError(`Option "allowedExtensions" must be an array, got "${typeof match.allowedExtensions}"`, {code: "INVALID_OPTION", values: {allowedExtensions: match.allowedExtensions}})}
+        if (!allowedActions.includes(match.action)) {throw new ValidationError(`Action "${match.action}" is not allowed! Allowed actions are: "${allowedActions.join(`", "`)}"`, {code: "INVALID_OPTION", values: {action: match.action, allowed: allowedActions}})}
+        if (!allowedIfTargetExists.includes(match.ifTargetExists)) {throw new ValidationError(`Option "ifTargetExists" is allowed to have values "${allowedIfTargetExists.join(`", "`)}", got "${match.ifTargetExists}"`, {code: "INVALID_OPTION", values: {ifTargetExists: match.ifTargetExists, allowed: allowedIfTargetExists}})}
+        if (match.action !== "none" && !match.actionTarget) {throw new ValidationError(`Action "${match.action}" requires "actionTarget" to be defined!`, {code: "INVALID_OPTION", values: {action: match.action}})}
+        if (match.matchMethod === "regex" && match.pattern) {
+            try {new RegExp(match.pattern)} catch (e) {throw new ValidationError(`Pattern "${match.pattern}" is not a valid regular expression! Original error: "${e.toString()}"`, {code: "INVALID_REGEX", values: {pattern: match.pattern}, cause: e})}
+        }
     }
 
-    let csvFile = await new CsvProcessor(options.csvLocation);
+    //Cells are kept as text, so values like "0042" are matched and saved back exactly as they are in the file
+    let csvFile = await new CsvProcessor(options.csvLocation, {parseNumbers: false, parseBooleans: false});
     let csvFileData = csvFile.getReference();
 
+    //Values coming from the .csv file or file system get escaped, only the emphasis markup is trusted
+    const b = value => `<b>${EscapeHtml(value)}</b>`;
+
+    //Indexes of the scan locations, built once per location and scan settings
+    const indexes = {};
+    const actions = [];
+    const jobFolders = [];
+    const handled = {files: new Map(), destinations: new Set()};
+
     for (let match of options.matching) {
+        reporter.startSection(`Column "${match.columnToMatch}"`)
+
         let columnToMatch = csvFile.findAllHeaders(match.columnToMatch);
         let columnsForResults = csvFile.findAllHeaders(match.columnForResults);
 
         if (columnToMatch.length < 1) {
-            const message = `There were no column "<b>${match.columnToMatch}</b>" present, therefore, no file matching has been made.`;
-
-            if (match.ifColumnToMatchNotPresent === "success") {
-                reporter.addSuccessRow(message)
-            } else if (match.ifColumnToMatchNotPresent === "warning") {
-                reporter.addWarningRow(message)
-            } else {
-                reporter.addErrorRow(message)
-            }
+            reporter.addHtmlRow(match.ifColumnToMatchNotPresent, `There were no column "${b(match.columnToMatch)}" present, therefore, no file matching has been made.`)
 
             continue
         }
         if (columnToMatch.length > 1) {
-            reporter.addErrorRow(`Csv file cannot contain more than one column with title "<b>${match.columnToMatch}</b>". Found <b>${columnToMatch.length}</b> columns!`)
+            reporter.addHtmlRow("error", `Csv file cannot contain more than one column with title "${b(match.columnToMatch)}". Found ${b(columnToMatch.length)} columns!`)
             continue
         }
 
         columnToMatch = columnToMatch[0]
 
-        if (columnsForResults < 1) {
-            csvFileData.headers.push(match.columnForResults);
+        if (columnsForResults.length < 1) {
+            csvFile.addColumn(match.columnForResults, "")
             columnsForResults = csvFile.findAllHeaders(match.columnForResults)
         }
 
-        let o = {
-            allowedExt: [".pdf"],
-            partialMatch: match.matchMethod === undefined ? "partial" : match.matchMethod,
-            returnType: match.resultsAppendMethod === undefined ? "full" : match.resultsAppendMethod,
+        const indexKey = JSON.stringify([path.resolve(match.scanLocation), match.allowedExtensions, match.depth, match.caseSensitive]);
+        if (!indexes[indexKey]) {
+            indexes[indexKey] = await BuildFileIndex(match.scanLocation, match)
+            const stats = indexes[indexKey].stats;
+            reporter.addLogRow(`Indexed ${stats.files} files in ${stats.foldersScanned} folders of "${match.scanLocation}" in ${stats.timeTaken}ms.`)
+            await Log("debug", `Indexed "${match.scanLocation}"`, {files: stats.files, folders: stats.foldersScanned, timeTaken: stats.timeTaken})
+            for (let error of indexes[indexKey].errors) {
+                reporter.addWarningRow(`Could not read "${error.location}": ${error.message}`)
+                await Log("warning", `Could not read "${error.location}": ${error.message}`)
+            }
         }
+        const index = indexes[indexKey];
 
         for (let i = 0; i< csvFileData.rows.length; i++) {
             let row = csvFileData.rows[i];
-            const toMatch = row[columnToMatch.index]
-            const foundFiles = FindInLocation(toMatch, match.scanLocation, o)
+            const toMatch = `${CellValue(row, columnToMatch.index)}`.trim()
             const rowIndex = i + csvFile.rowsStartIndex();
 
+            if (!toMatch) {
+                reporter.addHtmlRow("warning", `Row "${b(rowIndex)}" has no value in column "${b(columnToMatch.value)}", nothing to match!`)
+                continue
+            }
+
+            let foundFiles;
+            try {
+                foundFiles = LookupFileIndex(index, toMatch, match)
+            } catch (e) {
+                reporter.addHtmlRow("error", `Value "${b(toMatch)}" (column "${b(columnToMatch.value)}", row "${b(rowIndex)}") could not be matched: ${b(e.message)}`)
+                continue
+            }
+
             if (foundFiles.length < 1) {
-                reporter.addWarningRow(`Could not find a match for value "<b>${toMatch}</b>" (column "<b>${columnToMatch.value}</b>", row "<b>${rowIndex}</b>")!`)
+                reporter.addHtmlRow("warning", `Could not find a match for value "${b(toMatch)}" (column "${b(columnToMatch.value)}", row "${b(rowIndex)}")!`)
                 continue
             }
 
             if (foundFiles.length > 1) {
-                let fileNames = [];
+                const fileNames = foundFiles.map(f => f.name);
+
+                if (match.ifMultipleMatches === "warning" || match.ifMultipleMatches === "error") {
+                    reporter.addHtmlRow(match.ifMultipleMatches, `Value "${b(toMatch)}" (column "${b(columnToMatch.value)}", row "${b(rowIndex)}") have matched multiple (${b(foundFiles.length)}) files! Those files are: "${fileNames.map(b).join(`", "`)}". Only one file is allowed to be matched!`)
+                    continue
+                }
 
-                for (let f of foundFiles) {fileNames.push(path.parse(f).base)}
+                if (match.ifMultipleMatches === "first") {
+                    foundFiles = [foundFiles[0]]
+                } else if (match.ifMultipleMatches === "newest") {
+                    //The index is built without reading the file stats, they are only read for the files competing
+                    for (let f of foundFiles) {
+                        if (!f.mtime) {f.mtime = (await fs.promises.stat(f.full).catch(() => ({mtime: new Date(0)}))).mtime}
+                    }
+                    foundFiles = [foundFiles.reduce((newest, f) => f.mtime > newest.mtime ? f : newest)]
+                }
 
-                reporter.addWarningRow(`Value "<b>${toMatch}</b>" (column "<b>${columnToMatch.value}</b>", row "<b>${rowIndex}</b>") have matched multiple (<b>${foundFiles.length}</b>) files! Those files are: "<b>${fileNames.join(`</b>", "<b>`)}</b>". Only one file is allowed to be matched!`)
-                continue
+                reporter.addHtmlRow("log", `Value "${b(toMatch)}" (column "${b(columnToMatch.value)}", row "${b(rowIndex)}") have matched ${b(fileNames.length)} files: "${fileNames.map(b).join(`", "`)}". Using ${match.ifMultipleMatches === "join" ? "all of them" : `"${b(foundFiles[0].name)}" (${match.ifMultipleMatches})`}.`)
+            }
+
+            reporter.addHtmlRow("success", `Column "${b(columnToMatch.value)}", row "${b(rowIndex)}", value "${b(toMatch)}" matched ${foundFiles.length > 1 ? "files" : "file"} "${foundFiles.map(f => b(f.name)).join(`", "`)}". Placing the result to ${columnsForResults.length} ${columnsForResults.length > 1 ? "columns" : "column"} in the .csv file, named "${b(columnsForResults[0].value)}".`);
+
+            //Files copied or moved by the action are reported in the results by their new location
+            const placed = new Map();
+
+            if (match.action !== "none") {
+                const target = match.action === "jobFolder" ? path.join(match.actionTarget, match.jobFolderName) : match.actionTarget;
+                const action = match.action === "move" ? "move" : "copy";
+                if (match.action === "jobFolder" && !jobFolders.includes(target)) {jobFolders.push(target)}
+
+                for (let file of foundFiles) {
+                    const alreadyHandled = handled.files.has(FileActionKey(action, file.full, target));
+                    const record = await PerformFileAction(action, file.full, target, match.ifTargetExists, options.dryRun, handled);
+                    record.row = rowIndex
+                    actions.push(record)
+                    await Log("debug", `File action "${record.action}" ${record.status}`, {source: record.source, destination: record.destination, row: rowIndex})
+
+                    if (record.status === "done" || record.status === "dryRun" || alreadyHandled) {placed.set(file.full, record.destination)}
+
+                    const what = `"${b(file.name)}" (row "${b(rowIndex)}") to "${b(record.destination)}"${record.message ? ` (${b(record.message)})` : ""}`;
+
+                    if (record.status === "failed") {
+                        reporter.addHtmlRow("error", `Could not ${record.action} "${b(file.full)}" (row "${b(rowIndex)}") to "${b(target)}": ${b(record.message)}`)
+                    } else if (record.status === "skipped") {
+                        reporter.addHtmlRow("warning", `Skipped ${record.action === "move" ? "moving" : "copying"} ${what}.`)
+                    } else if (record.status === "dryRun") {
+                        reporter.addHtmlRow("log", `Dry run, would ${record.action} ${what}.`)
+                    } else {
+                        reporter.addHtmlRow("success", `${record.action === "move" ? "Moved" : "Copied"} ${what}.`)
+                    }
+                }
             }
 
-            const foundFile = match.resultsAppendMethod === "full" && match.useDifferentRootLocation ? path.join(match.useDifferentRootLocation, path.parse(foundFiles[0]).base) : foundFiles[0]
+            const results = foundFiles.map(f => {
+                const destination = placed.get(f.full);
+                if (destination) {
+                    if (match.resultsAppendMethod === "full") {return destination}
+                    return match.resultsAppendMethod === "name" ? path.basename(destination) : path.parse(destination).name
+                }
+
+                if (match.resultsAppendMethod !== "full") {return f[match.resultsAppendMethod]}
+                if (!match.useDifferentRootLocation) {return f.full}
+                return path.join(match.useDifferentRootLocation, match.keepFolderStructure ? path.relative(match.scanLocation, f.full) : f.name)
+            });
 
             for (let resultColumn of columnsForResults) {
-                csvFileData.rows[i][resultColumn.index] = foundFile;
+                csvFileData.rows[i][resultColumn.index] = results.join(match.joinSeparator);
             }
+        }
+    }
+
+    reporter.endSection()
+
+    const saveFile = async function (loc = options.saveLocation) {
+        if (options.dryRun) {
+            reporter.addLogRow(`Dry run, the .csv file was not saved to "${loc}".`)
+            return `Dry run, not saved to location "${loc}".`
+        }
 
-            reporter.addSuccessRow(`Column "<b>${columnToMatch.value}</b>", row "<b>${rowIndex}</b>", value "<b>${toMatch}</b>" matched file "<b>${path.parse(foundFile).base}</b>". Placing the result to ${columnsForResults.length} ${columnsForResults.length > 1 ? "columns" : "column"} in the .csv file, named "<b>${columnsForResults[0].value}</b>".`);
+        await csvFile.saveTo(loc)
+        return `Saved to location "${loc}".`
+    }
+
+    //Job folders get the resulting .csv file once all the matching is done
+    if (jobFolders.length) {reporter.startSection("Job folders")}
+    for (let folder of jobFolders) {
+        const csvLocation = path.join(folder, path.basename(options.saveLocation));
+
+        try {
+            await saveFile(csvLocation)
+            if (!options.dryRun) {reporter.addHtmlRow("success", `Job folder "${b(folder)}" created with the .csv file "${b(path.basename(csvLocation))}".`)}
+        } catch (e) {
+            reporter.addHtmlRow("error", `Could not save the .csv file to the job folder "${b(folder)}": ${b(e.message)}`)
         }
     }
+    if (jobFolders.length) {reporter.endSection()}
+
+    const counts = {errors: reporter.ErrorCount(), warnings: reporter.WarningCount(), successes: reporter.SuccessCount(), actions: actions.length};
+    await Log(counts.errors ? "warning" : "info", `Matched files to "${path.basename(options.csvLocation)}"`, counts)
 
     return {
         report: reporter,
+        actions: actions,
+        jobFolders: jobFolders,
 
         //Saves file to supplied location. If location is not supplied, options.saveLocation is used
-        saveFile: async function (loc = options.saveLocation) {
-            await csvFile.saveTo(loc)
-            return `Saved to location "${loc}".`
-        },
+        saveFile: saveFile,
+    }
+}
+
+//Returns the key a file action is remembered under, so the same file is only copied or moved once to a target
+function FileActionKey(action, source, targetFolder) {
+    return `${action}|${source}|${path.resolve(targetFolder)}`
+}
+
+//Copies or moves a matched file into the target folder. "handled" remembers the files already copied or moved to a
+//target ("files", by FileActionKey) and the destinations used in this run ("destinations"), so a file matched by
+//several rows is only handled once and no file gets replaced by another one of the same run.
+//Returns {action, source, destination, status, message}
+async function PerformFileAction(action, source, targetFolder, ifTargetExists, dryRun, handled) {
+    const key = FileActionKey(action, source, targetFolder);
+    const record = {action: action, source: source, destination: path.join(targetFolder, path.basename(source)), status: dryRun ? "dryRun" : "done", message: ""};
+
+    if (handled.files.has(key)) {
+        return {...record, destination: handled.files.get(key), status: "skipped", message: `already ${action === "move" ? "moved" : "copied"} for another row`}
+    }
+
+    try {
+        const usedInThisRun = handled.destinations.has(record.destination);
+
+        if (usedInThisRun || fs.existsSync(record.destination)) {
+            if (ifTargetExists === "skip") {
+                return {...record, status: "skipped", message: "file already exists in the target"}
+            }
+
+            //A file placed by this run is never overwritten, that would lose the file of another row
+            if (ifTargetExists === "rename" || usedInThisRun) {
+                record.destination = AvailableFileLocation(record.destination, handled.destinations)
+                record.message = "renamed as the file already exists in the target"
+            } else {
+                record.message = "overwritten the existing file"
+            }
+        }
+
+        if (!dryRun) {
+            await fs.promises.mkdir(targetFolder, {recursive: true})
+
+            if (action === "copy") {
+                await fs.promises.copyFile(source, record.destination)
+            } else {
+                try {
+                    await fs.promises.rename(source, record.destination)
+                } catch (e) {
+                    //Rename doesn't work across devices
+                    if (e.code !== "EXDEV") {throw e}
+                    await fs.promises.copyFile(source, record.destination)
+                    await fs.promises.unlink(source)
+                }
+            }
+        }
+
+        handled.files.set(key, record.destination)
+        handled.destinations.add(record.destination)
+
+        return record
+    } catch (e) {
+        return {...record, status: "failed", message: e.message}
+    }
+}
+
+//Returns the first location in a format "name (2).ext", "name (3).ext", etc. that doesn't exist and isn't taken
+function AvailableFileLocation(location, taken = new Set()) {
+    for (let attempt = 1; ; attempt++) {
+        const candidate = UniqueNameCandidate(location, "counter", attempt);
+        if (!fs.existsSync(candidate) && !taken.has(candidate)) {return candidate}
+    }
+}
+
+//Strips the accents and removes everything that is not a letter or a digit. The name is lowercased unless the
+//comparison is case-sensitive
+function NormaliseFileName(name, caseSensitive = false) {
+    const normalised = `${name}`.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/[^\p{L}\p{N}]+/gu, "");
+    return caseSensitive ? normalised : normalised.toLowerCase()
+}
+
+//Reads the scan location once and indexes the files found by full name, name without the extension and normalised
+//name. Also keeps the names without the extension sorted for prefix lookups
+async function BuildFileIndex(scanLocation, settings) {
+    const startedTime = Date.now();
+    const key = value => settings.caseSensitive ? value : value.toLowerCase();
+    const search = PrepareSearch(/(?:)/, {allowedExt: settings.allowedExtensions, depth: settings.depth, lookFor: "files", caseSensitive: settings.caseSensitive});
+    const response = {results: {}, stats: {foldersScanned: 0, entitiesTested: 0, timeTaken: 0, resultsFound: 0, errors: 0}, errors: []};
+    const index = {entries: [], byName: new Map(), byNameProper: new Map(), byNormalised: new Map(), sorted: [], errors: response.errors};
+
+    const add = (map, name, entry) => {
+        if (!map.has(name)) {map.set(name, [])}
+        map.get(name).push(entry)
+    }
+
+    await WalkLocation(scanLocation, search, response, entry => {index.entries.push(entry)})
+
+    //Sorting by path keeps the results (and "first" of multiple matches) the same between runs
+    index.entries.sort((a, b) => a.full < b.full ? -1 : a.full > b.full ? 1 : 0)
+
+    for (let entry of index.entries) {
+        add(index.byName, key(entry.name), entry)
+        add(index.byNameProper, key(entry.nameProper), entry)
+        add(index.byNormalised, NormaliseFileName(entry.nameProper, settings.caseSensitive), entry)
+        index.sorted.push({key: key(entry.nameProper), entry: entry})
+    }
+
+    index.sorted.sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+    index.stats = {files: index.entries.length, foldersScanned: response.stats.foldersScanned, timeTaken: Date.now() - startedTime}
+
+    return index
+}
+
+//Returns the index entries matching the value with the match method of the settings
+function LookupFileIndex(index, value, settings) {
+    const key = value => settings.caseSensitive ? value : value.toLowerCase();
+
+    if (settings.matchMethod === "full") {
+        return index.byName.get(key(value)) || index.byNameProper.get(key(value)) || index.byNormalised.get(NormaliseFileName(value, settings.caseSensitive)) || []
+    }
+
+    if (settings.matchMethod === "partial") {
+        const needle = key(value);
+        return index.entries.filter(entry => key(entry.nameProper).includes(needle))
     }
+
+    if (settings.matchMethod === "prefix") {
+        const prefix = key(value);
+        let low = 0;
+        let high = index.sorted.length;
+
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (index.sorted[middle].key < prefix) {low = middle + 1} else {high = middle}
+        }
+
+        const results = [];
+        for (let i = low; i < index.sorted.length && index.sorted[i].key.startsWith(prefix); i++) {
+            results.push(index.sorted[i].entry)
+        }
+
+        return results.sort((a, b) => a.full < b.full ? -1 : a.full > b.full ? 1 : 0)
+    }
+
+    const source = settings.pattern ? settings.pattern.replaceAll("{value}", value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")) : value;
+    let regex;
+
+    try {
+        regex = new RegExp(source, settings.caseSensitive ? "" : "i")
+    } catch (e) {
+        throw new ValidationError(`"${source}" is not a valid regular expression!`, {code: "INVALID_REGEX", values: {pattern: source}, cause: e})
+    }
+
+    return index.entries.filter(entry => regex.test(entry.name))
 }
 
-//Provides an easy way of managing "Traffic Lights" switch connection type
-function OutgoingConnectionManager(switchJob, newName) {
+//Provides an easy way of managing "Traffic Lights" switch connection type as well as named connections
+//  const manager = new OutgoingConnectionManager(job, "order_123", {flowElement: flowElement, onFailure: "fail"})
+//  await manager.attach("/tmp/summary.json", {level: "success"}).success("/tmp/report.html")
+//  await manager.sendTo(["Archive", {connection: "Print", newName: "print_123.pdf"}])
+//Available options are as follows:
+//  flowElement: Switch flow element, required for sending to named connections
+//  onFailure: What happens if routing fails. "rethrow" - a RoutingError is thrown, "fail" - the job is failed (ends up in
+//             Problem jobs) with the error message, "retry" - routing is retried "retries" times before the error is thrown.
+//             Default - "rethrow"
+//  retries: How many times routing is retried if "onFailure" is "retry". Default - 3
+//  retryDelay: Milliseconds to wait between the retries. Default - 1000
+//  retry: Retry policy (see Retry) routing is retried with, instead of "retries" and "retryDelay". Once it runs out
+//         of attempts, "onFailure" applies
+//  workspace: TempWorkspace disposed once the job has been routed, failed or routing it has thrown
+//  logger: Logger routing and its problems are logged to. If none is provided, problems are logged to the job
+function OutgoingConnectionManager(switchJob, newName, options = {}) {
     const job = switchJob;
     const allowedLevels = ["success", "warning", "error"];
+    const allowedOnFailure = ["rethrow", "fail", "retry"];
+    const thisManager = this;
 
-    async function send(level, report) {
-        if (!allowedLevels.includes(level)) {throw Error(`Invalid connection level supplied! Expected "${allowedLevels.join(`" or "`)}", got "${level}"`)}
-        if (report && !fs.existsSync(report.toString())) {throw Error(`Report doesn't exist in the location "${report.toString()}" provided!`)}
+    options = {
+        flowElement: options.flowElement,
+        onFailure: options.onFailure || "rethrow",
+        retries: options.retries === undefined ? 3 : options.retries,
+        retryDelay: options.retryDelay === undefined ? 1000 : options.retryDelay,
+        retry: options.retry,
+        workspace: options.workspace,
+        logger: HelperLogger(options.logger, switchJob),
+    }
+
+    if (!allowedOnFailure.includes(options.onFailure)) {throw new ValidationError(`Option "onFailure" is allowed to have values "${allowedOnFailure.join(`", "`)}", got "${options.onFailure}"`, {code: "INVALID_OPTION", values: {onFailure: options.onFailure, allowed: allowedOnFailure}})}
+    if (!Number.isInteger(options.retries) || options.retries < 0) {throw new ValidationError(`Option "retries" must be a positive integer, got "${options.retries}"`, {code: "INVALID_OPTION", values: {retries: options.retries}})}
+
+    const retryPolicy = options.retry || (options.onFailure === "retry" ? {attempts: options.retries + 1, delay: options.retryDelay, backoff: "fixed"} : {attempts: 1});
+    const attempts = RetryPolicy(retryPolicy).attempts;
+
+    let attachments = [];
+    let failed = false;
+
+    //Returns the new name with the extension of the original file, e.g. ("renamed", "report.html") => "renamed.html"
+    function Rename(name, original) {
+        if (!name) {return undefined}
+        return `${path.parse(name).name}${path.parse(original).ext}`
+    }
+
+    //Runs a single routing operation with the failure policy. Once the job has been failed, nothing else is routed.
+    //Operations which must not be repeated (e.g. creating a child job) are run once with "retried" set to false
+    async function Attempt(description, operation, retried = true) {
+        if (failed) {return}
+
+        const policy = retried ? retryPolicy : {attempts: 1};
+        const failedAttempt = (attempt, error) => `${description} failed${retried && attempts > 1 ? ` (attempt ${attempt} of ${attempts})` : ""}: ${error instanceof Error ? error.message : error}`;
+        let attempt = 0;
 
         try {
-            let reportName = undefined;
-            let outputFileName = undefined;
-            if (newName) {
-                const newNameNameOnly = path.parse(newName).name;
+            return await Retry(async n => {
+                attempt = n
+                await options.logger.debug(description)
+                return await operation()
+            }, {
+                ...policy,
+                onRetry: async (error, n, wait) => {
+                    await options.logger.warning(failedAttempt(n, error))
+                    if (policy.onRetry) {await policy.onRetry(error, n, wait)}
+                },
+            })
+        } catch (e) {
+            const error = e instanceof Error ? e : Error(`${e}`);
+            await options.logger.error(failedAttempt(attempt, error))
 
-                reportName = `${newNameNameOnly}${path.parse(report).ext}`;
-                outputFileName = `${newNameNameOnly}${path.parse(await job.getName()).ext}`;
+            if (options.onFailure === "fail") {
+                failed = true
+                await job.fail(`${description} failed: ${error.message}`)
+                return
             }
 
-            if (report) {
-                const reportJob = await job.createChild(report);
-                await reportJob.sendToLog(level, "Opaque", reportName);
+            throw WrapError(error, RoutingError, `${description} failed`)
+        }
+    }
+
+    //Finds the outgoing connection by its name or ID
+    async function FindConnection(connection) {
+        if (typeof connection !== "string") {return connection}
+        if (!options.flowElement) {throw new ValidationError(`Cannot send to connection "${connection}", option "flowElement" was not provided!`, {code: "INVALID_OPTION", values: {connection: connection}})}
+
+        const connections = await options.flowElement.getOutConnections();
+        const names = [];
+
+        for (let c of connections) {
+            const name = await c.getName();
+            if (name === connection || await c.getId() === connection) {return c}
+            names.push(name)
+        }
+
+        throw new RoutingError(`Outgoing connection "${connection}" does not exist! Available connections are: "${names.join(`", "`)}"`, {code: "CONNECTION_NOT_FOUND", values: {connection: connection, available: names}})
+    }
+
+    //Creates child jobs from the attachments and routes them. Attachments without a level use the level provided.
+    //The child job is created only once, only sending it is retried, so a retry doesn't leave extra children behind
+    async function SendAttachments(level) {
+        const pending = attachments;
+        attachments = []
+
+        for (let attachment of pending) {
+            const name = path.basename(attachment.location);
+            const childLevel = attachment.level || level || "success";
+
+            const child = await Attempt(`Creating child job for attachment "${name}"`, async () => job.createChild(attachment.location), false);
+            if (!child) {continue}
+
+            await Attempt(`Sending attachment "${name}"`, async () => {
+                if (attachment.connection) {
+                    await child.sendTo(await FindConnection(attachment.connection), attachment.newName)
+                } else if (attachment.as === "data") {
+                    await child.sendToData(childLevel, attachment.newName)
+                } else {
+                    await child.sendToLog(childLevel, attachment.model, attachment.newName)
+                }
+            })
+        }
+    }
+
+    async function send(level, report) {
+        if (!allowedLevels.includes(level)) {throw new ValidationError(`Invalid connection level supplied! Expected "${allowedLevels.join(`" or "`)}", got "${level}"`, {code: "INVALID_OPTION", values: {level: level, allowed: allowedLevels}})}
+        if (report && !fs.existsSync(report.toString())) {throw new FileSystemError(`Report doesn't exist in the location "${report.toString()}" provided!`, {code: "LOCATION_NOT_FOUND", values: {location: report.toString()}})}
+
+        if (report) {
+            attachments.unshift({location: report.toString(), level: level, as: "log", model: "Opaque", newName: Rename(newName, report.toString())})
+        }
+
+        try {
+            await SendAttachments(level)
+            await Attempt(`Sending job to "${level}"`, async () => job.sendToData(level, Rename(newName, await job.getName())))
+        } finally {
+            await DisposeWorkspace()
+        }
+    }
+
+    //Temporary files are not needed once the job has left the flow element, or routing it has failed
+    async function DisposeWorkspace() {
+        if (!options.workspace) {return}
+
+        for (let error of options.workspace.dispose().errors) {
+            await options.logger.warning(`Could not remove temporary "${error.location}": ${error.message}`)
+        }
+    }
+
+    //Adds a file which is sent as a child job together with the job. Available options are as follows:
+    //  level: "success"|"warning"|"error". Default - the level the job is sent to
+    //  as: "log"|"data". Whether the file goes to the log or data traffic light connection. Default - "log"
+    //  model: Log model, e.g. "JSON", "XML", "Opaque". Default - "Opaque"
+    //  connection: Name or ID of a connection to send the file to instead of a traffic light connection
+    //  newName: New name of the file
+    this.attach = function (location, attachOptions = {}) {
+        if (!location || !fs.existsSync(location.toString())) {throw new FileSystemError(`Attachment doesn't exist in the location "${location}" provided!`, {code: "LOCATION_NOT_FOUND", values: {location: location}})}
+        if (attachOptions.level !== undefined && !allowedLevels.includes(attachOptions.level)) {throw new ValidationError(`Invalid attachment level supplied! Expected "${allowedLevels.join(`" or "`)}", got "${attachOptions.level}"`, {code: "INVALID_OPTION", values: {level: attachOptions.level, allowed: allowedLevels}})}
+        if (attachOptions.as !== undefined && !["log", "data"].includes(attachOptions.as)) {throw new ValidationError(`Option "as" is allowed to have values "log" or "data", got "${attachOptions.as}"`, {code: "INVALID_OPTION", values: {as: attachOptions.as}})}
+
+        attachments.push({
+            location: location.toString(),
+            level: attachOptions.level,
+            as: attachOptions.as || "log",
+            model: attachOptions.model || "Opaque",
+            connection: attachOptions.connection,
+            newName: attachOptions.newName,
+        })
+
+        return thisManager
+    }
+
+    //Sends the job to one or more named connections. "connections" is a connection name or ID, a Switch connection
+    //or an array of them. Each of them can also be in a format {connection, newName} to rename the job for that
+    //connection only. Every connection other than the last one receives a copy of the job
+    this.sendTo = async function (connections, report) {
+        connections = (Array.isArray(connections) ? connections : [connections]).map(c => c && c.connection !== undefined ? c : {connection: c})
+
+        if (!connections.length) {throw new ValidationError(`At least one connection has to be provided!`)}
+        for (let c of connections) {if (!c.connection) {throw new ValidationError(`Invalid connection supplied, got "${c.connection}"`, {values: {connection: c.connection}})}}
+        if (report) {thisManager.attach(report, {newName: Rename(newName, report.toString())})}
+
+        try {
+            const resolved = [];
+            for (let c of connections) {
+                resolved.push({connection: await FindConnection(c.connection), newName: c.newName, label: typeof c.connection === "string" ? c.connection : "connection"})
             }
 
-            await job.sendToData(level, outputFileName);
-        } catch (e) {
-            await job.log("error", e.toString());
+            await SendAttachments()
+
+            const jobName = await job.getName();
+            for (let i = 0; i < resolved.length; i++) {
+                const target = resolved[i];
+                const name = target.newName || Rename(newName, jobName);
+
+                if (i === resolved.length - 1) {
+                    await Attempt(`Sending job to "${target.label}"`, async () => job.sendTo(target.connection, name))
+                    continue
+                }
+
+                //Like the attachments, the copy is created once and only sending it is retried
+                const copy = await Attempt(`Creating copy for "${target.label}"`, async () => job.createChild(await job.get("readOnly")), false);
+                if (!copy) {continue}
+
+                await Attempt(`Sending job to "${target.label}"`, async () => copy.sendTo(target.connection, name))
+            }
+        } finally {
+            await DisposeWorkspace()
         }
     }
 
@@ -806,21 +5514,104 @@ function OutgoingConnectionManager(switchJob, newName) {
     }
 }
 
+//Adds the error to the report as an error row and sends the job to the "error" connection with the report attached.
+//Works with anything thrown, the code, the offending values and the cause of SwitchHelperError end up in the row fields:
+//  try {...} catch (e) {await RouteError(job, e, {report: report, logger: logger})}
+//Options:
+//  report: SwitchReport the row is added to. Default - a new report
+//  logger: Logger the error is logged to as well
+//  tmpFileLocation: Folder or TempWorkspace the report is created in. If none is provided, global switch config is used
+//  newName: New name of the job
+//  format: Format of the report attached. Default - "html"
+//Returns the report
+async function RouteError(job, error, options = {}) {
+    if (!job) {throw new ValidationError(`"job" is not provided as an argument to "RouteError"!`)}
+
+    const report = options.report || new SwitchReport();
+    const row = ErrorReportRow(error);
+
+    report.addErrorRow(row)
+    if (options.logger) {await options.logger.error(row.message, row.fields)}
+
+    await report.sendJobToConnection(job, options.tmpFileLocation, options.newName, options.format || "html")
+
+    return report
+}
+
+//Returns a SwitchReport row {message, fields} describing the error. Non-primitive values are JSON encoded
+function ErrorReportRow(error) {
+    const isError = error instanceof Error;
+    const fields = {code: (isError && error.code) || "UNKNOWN_ERROR", error: isError ? error.name : typeof error};
+
+    for (let [key, value] of Object.entries((error instanceof SwitchHelperError && error.values) || {})) {
+        fields[key] = value !== null && typeof value === "object" ? JSON.stringify(value) : value
+    }
+
+    if (isError && error.cause !== undefined) {
+        fields.cause = error.cause instanceof Error ? error.cause.message : `${error.cause}`
+    }
+
+    return {message: isError ? error.message : `${error}`, fields: fields}
+}
+
 module.exports = {
+    SwitchHelperError,
+    ConfigError,
+    ValidationError,
+    DatasetError,
+    DatasetNotFoundError,
+    FileSystemError,
+    RoutingError,
+    TimeoutError,
+    RouteError,
     SwitchReport,
+    EscapeHtml,
+    ConfigSchemas,
     GetGlobalSwitchConfig,
+    GetGlobalSwitchConfigFor,
+    ValidateGlobalSwitchConfig,
+    ClearGlobalSwitchConfigCache,
+    ValidateConfig,
+    Logger,
+    FormatDate,
+    ParseDate,
     GenerateDateString,
     GenerateNewName,
     CreateNewTmpFile,
+    CreateUniqueFile,
+    CreateUniqueDirectory,
+    TempWorkspace,
+    SweepTempFiles,
     CreateDataSet,
     DataSetExists,
     GetDataSet,
+    ListDataSets,
+    RemoveDataSet,
+    UpdateDataSet,
+    MergeDataSet,
+    XmlToJsObject,
+    JsObjectToXml,
+    PrivateData,
+    CopyJobData,
+    CreateChildJob,
     GetProperty,
+    GetProperties,
     ExcelToJsObject,
+    JsObjectToExcel,
     CompareStrings,
+    MatchStrings,
     Delay,
+    Retry,
+    WithTimeout,
+    TaskPool,
+    MapLimit,
     FindInLocation,
+    FindInLocationStream,
+    WaitForFileStable,
+    WaitForFolderStable,
+    GlobToRegExp,
     CsvProcessor,
+    CsvPipeline,
     MatchFilesToCsvData,
     OutgoingConnectionManager,
 }
\ No newline at end of file
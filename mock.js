@@ -0,0 +1,353 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+//In-memory imitation of the Switch scripting API, so the helpers can be used and tested without a Switch server.
+//Everything the mocks create (job files, datasets, children) lives in a temporary directory, every call made to a
+//mock is recorded in "calls" and every routing decision (sendToData, sendToLog, sendTo, etc.) is recorded in "routing".
+//
+//  const s = new MockSwitch({serverName: "Test server"})
+//  const flowElement = s.createFlowElement({properties: {Folder: "/tmp"}})
+//  const job = s.createJob({name: "order.pdf", content: "..."})
+//  ...
+//  s.routing  //[{jobId, jobName, method: "sendToData", level: "success", newName: undefined}]
+//  s.cleanup()
+function MockSwitch(options = {}) {
+    options = {
+        serverName: options.serverName || "MockSwitch",
+        tmpDir: options.tmpDir || fs.mkdtempSync(path.join(os.tmpdir(), "switch-mock-")),
+    }
+
+    if (!fs.existsSync(options.tmpDir)) {fs.mkdirSync(options.tmpDir, {recursive: true})}
+
+    const thisSwitch = this;
+    let jobCounter = 0;
+    let failures = [];
+
+    this.calls = [];
+    this.routing = [];
+    this.logs = [];
+
+    //Records a call made to any of the mocks. "target" is the object the method was called on
+    this.recordCall = function (target, method, args) {
+        thisSwitch.calls.push({target: target, method: method, args: args})
+    }
+
+    //Makes the next call of "method" (optionally only on the job named "jobName") throw the error provided
+    this.failOn = function (method, error = Error(`Mocked failure of "${method}"`), jobName) {
+        failures.push({method: method, error: error, jobName: jobName})
+
+        return thisSwitch;
+    }
+
+    //Throws the registered failure for the method if there is one. Used internally by the mocks
+    this.throwIfFailing = function (method, jobName) {
+        const index = failures.findIndex(f => f.method === method && (f.jobName === undefined || f.jobName === jobName));
+
+        if (index === -1) {return}
+
+        const failure = failures.splice(index, 1)[0];
+        throw failure.error
+    }
+
+    this.nextJobId = function () {
+        return `job-${++jobCounter}`
+    }
+
+    this.getTempDir = function () {
+        return options.tmpDir
+    }
+
+    //Creates a new job. Options: {name, content, path, privateData, datasets: {name: {content|path, model}}}.
+    //If "path" is provided, that file (or folder) gets copied into the mock's temporary directory
+    this.createJob = function (jobOptions = {}) {
+        return new MockJob(thisSwitch, jobOptions)
+    }
+
+    //Creates a flow element. Options: {name, flowName, properties: {tag: value}, connections: [name|{name, id, level}]}
+    this.createFlowElement = function (elementOptions = {}) {
+        return new MockFlowElement(thisSwitch, elementOptions)
+    }
+
+    //Returns all calls of the method provided, optionally filtered by the job name
+    this.callsOf = function (method, jobName) {
+        return thisSwitch.calls.filter(c => c.method === method && (jobName === undefined || (c.target && c.target.name === jobName)))
+    }
+
+    //Removes the temporary directory with everything that was created in it
+    this.cleanup = function () {
+        fs.rmSync(options.tmpDir, {recursive: true, force: true})
+    }
+
+    this.getServerName = async function () {
+        thisSwitch.recordCall(thisSwitch, "getServerName", [])
+        return options.serverName
+    }
+
+    this.getSpecialFolderPath = async function (folder) {
+        thisSwitch.recordCall(thisSwitch, "getSpecialFolderPath", [folder])
+        const location = path.join(options.tmpDir, "special", `${folder}`);
+        fs.mkdirSync(location, {recursive: true})
+        return location
+    }
+}
+
+//Imitates Switch "Job" object. Not meant to be created directly, use MockSwitch.createJob
+function MockJob(mockSwitch, options = {}) {
+    const id = mockSwitch.nextJobId();
+    const jobDir = path.join(mockSwitch.getTempDir(), id);
+    fs.mkdirSync(jobDir, {recursive: true})
+
+    const name = options.name || (options.path ? path.basename(options.path) : `${id}.txt`);
+    const jobPath = path.join(jobDir, name);
+
+    if (options.path) {
+        fs.cpSync(options.path, jobPath, {recursive: true})
+    } else {
+        fs.writeFileSync(jobPath, options.content === undefined ? "" : options.content)
+    }
+
+    const datasets = {};
+    const privateData = {...(options.privateData || {})};
+    const thisJob = this;
+
+    this.id = id;
+    this.name = name;
+    this.parent = options.parent;
+    this.children = [];
+    this.logs = [];
+    this.routed = undefined;
+
+    function record(method, args) {
+        mockSwitch.recordCall(thisJob, method, args)
+        mockSwitch.throwIfFailing(method, name)
+    }
+
+    function route(method, decision) {
+        if (thisJob.routed) {throw Error(`Job "${name}" has already been routed with "${thisJob.routed.method}"!`)}
+
+        thisJob.routed = {jobId: id, jobName: name, method: method, ...decision}
+        mockSwitch.routing.push(thisJob.routed)
+    }
+
+    function storeDataset(datasetName, location, model) {
+        if (!fs.existsSync(location)) {throw Error(`Dataset file "${location}" does not exist!`)}
+
+        const datasetPath = path.join(jobDir, "datasets", `${datasetName}${path.extname(location)}`);
+        fs.mkdirSync(path.dirname(datasetPath), {recursive: true})
+        fs.copyFileSync(location, datasetPath)
+
+        datasets[datasetName] = {name: datasetName, model: model, path: datasetPath}
+    }
+
+    for (let datasetName of Object.keys(options.datasets || {})) {
+        const dataset = options.datasets[datasetName];
+        let location = dataset.path;
+
+        if (!location) {
+            location = path.join(jobDir, `${datasetName}.source`)
+            fs.writeFileSync(location, typeof dataset.content === "string" ? dataset.content : JSON.stringify(dataset.content))
+        }
+
+        storeDataset(datasetName, location, dataset.model || "JSON")
+    }
+
+    this.getId = async function () {
+        record("getId", [])
+        return id
+    }
+
+    this.getName = async function () {
+        record("getName", [])
+        return name
+    }
+
+    this.getPath = async function () {
+        record("getPath", [])
+        return jobPath
+    }
+
+    //Switch returns the path of the job with the access level requested, the mock always returns the same path
+    this.get = async function (accessLevel) {
+        record("get", [accessLevel])
+        return jobPath
+    }
+
+    this.log = async function (level, message, ...args) {
+        record("log", [level, message, ...args])
+        const entry = {jobName: name, level: level, message: message};
+        thisJob.logs.push(entry)
+        mockSwitch.logs.push(entry)
+    }
+
+    this.createDataset = async function (datasetName, location, model) {
+        record("createDataset", [datasetName, location, model])
+        if (datasets[datasetName]) {throw Error(`Dataset "${datasetName}" already exists on job "${name}"!`)}
+
+        storeDataset(datasetName, location, model)
+    }
+
+    this.getDataset = async function (datasetName, accessLevel) {
+        record("getDataset", [datasetName, accessLevel])
+        if (!datasets[datasetName]) {throw Error(`Dataset "${datasetName}" does not exist on job "${name}"!`)}
+
+        return datasets[datasetName].path
+    }
+
+    this.listDatasets = async function () {
+        record("listDatasets", [])
+        return Object.values(datasets).map(set => ({name: set.name, model: set.model}))
+    }
+
+    this.removeDataset = async function (datasetName) {
+        record("removeDataset", [datasetName])
+        if (!datasets[datasetName]) {throw Error(`Dataset "${datasetName}" does not exist on job "${name}"!`)}
+
+        delete datasets[datasetName]
+    }
+
+    this.getPrivateData = async function (tag) {
+        record("getPrivateData", [tag])
+        return privateData[tag] === undefined ? "" : privateData[tag]
+    }
+
+    this.setPrivateData = async function (tag, value) {
+        record("setPrivateData", [tag, value])
+        privateData[tag] = value
+    }
+
+    this.listPrivateData = async function () {
+        record("listPrivateData", [])
+        return Object.keys(privateData)
+    }
+
+    this.removePrivateData = async function (tag) {
+        record("removePrivateData", [tag])
+        delete privateData[tag]
+    }
+
+    this.createChild = async function (location) {
+        record("createChild", [location])
+        if (!fs.existsSync(location)) {throw Error(`Cannot create child job, "${location}" does not exist!`)}
+
+        const child = new MockJob(mockSwitch, {path: location, parent: thisJob});
+        thisJob.children.push(child)
+
+        return child
+    }
+
+    this.sendToData = async function (level, newName) {
+        record("sendToData", [level, newName])
+        route("sendToData", {level: level, newName: newName})
+    }
+
+    this.sendToLog = async function (level, model, newName) {
+        record("sendToLog", [level, model, newName])
+        route("sendToLog", {level: level, model: model, newName: newName})
+    }
+
+    this.sendTo = async function (connection, newName) {
+        record("sendTo", [connection, newName])
+        route("sendTo", {connection: connection && connection.name !== undefined ? connection.name : connection, newName: newName})
+    }
+
+    this.sendToSingle = async function (newName) {
+        record("sendToSingle", [newName])
+        route("sendToSingle", {newName: newName})
+    }
+
+    this.sendToNull = async function () {
+        record("sendToNull", [])
+        route("sendToNull", {})
+    }
+
+    this.fail = async function (message) {
+        record("fail", [message])
+        route("fail", {message: message})
+    }
+}
+
+//Imitates Switch "Connection" object
+function MockConnection(options) {
+    options = typeof options === "string" ? {name: options} : options || {}
+
+    const thisConnection = this;
+
+    this.name = options.name || "";
+    this.id = options.id || this.name;
+    this.level = options.level;
+
+    this.getName = async function () {return thisConnection.name}
+    this.getId = async function () {return thisConnection.id}
+}
+
+//Imitates Switch "FlowElement" object. Not meant to be created directly, use MockSwitch.createFlowElement
+function MockFlowElement(mockSwitch, options = {}) {
+    const name = options.name || "MockElement";
+    const flowName = options.flowName || "MockFlow";
+    const properties = {...(options.properties || {})};
+    const connections = (options.connections || []).map(c => new MockConnection(c));
+    const thisElement = this;
+
+    this.name = name;
+    this.logs = [];
+
+    function record(method, args) {
+        mockSwitch.recordCall(thisElement, method, args)
+        mockSwitch.throwIfFailing(method, undefined)
+    }
+
+    this.getName = async function () {
+        record("getName", [])
+        return name
+    }
+
+    this.getFlowName = async function () {
+        record("getFlowName", [])
+        return flowName
+    }
+
+    this.hasProperty = async function (tag) {
+        record("hasProperty", [tag])
+        return Object.prototype.hasOwnProperty.call(properties, tag)
+    }
+
+    this.getPropertyStringValue = async function (tag) {
+        record("getPropertyStringValue", [tag])
+        if (!Object.prototype.hasOwnProperty.call(properties, tag)) {throw Error(`Property "${tag}" does not exist on element "${name}"!`)}
+
+        const value = properties[tag];
+        return Array.isArray(value) ? value.map(v => `${v}`) : `${value}`
+    }
+
+    this.getPropertyValue = async function (tag) {
+        record("getPropertyValue", [tag])
+        if (!Object.prototype.hasOwnProperty.call(properties, tag)) {throw Error(`Property "${tag}" does not exist on element "${name}"!`)}
+
+        return properties[tag]
+    }
+
+    this.getOutConnections = async function () {
+        record("getOutConnections", [])
+        return connections
+    }
+
+    this.log = async function (level, message, ...args) {
+        record("log", [level, message, ...args])
+        const entry = {element: name, level: level, message: message};
+        thisElement.logs.push(entry)
+        mockSwitch.logs.push(entry)
+    }
+
+    this.failProcess = async function (message) {
+        record("failProcess", [message])
+        throw Error(message)
+    }
+}
+
+module.exports = {
+    MockSwitch,
+    MockJob,
+    MockFlowElement,
+    MockConnection,
+}
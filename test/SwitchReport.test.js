@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const {SwitchReport} = require("../index");
+const {MockSwitch} = require("../mock");
+
+test("SwitchReport", async t => {
+    await t.test("counts rows by type", () => {
+        const report = new SwitchReport();
+        report.addErrorRow("e1", "e2")
+        report.addWarningRow("w")
+        report.addSuccessRow("s")
+        report.addLogRow("l")
+
+        assert.strictEqual(report.ErrorCount(), 2)
+        assert.strictEqual(report.WarningCount(), 1)
+        assert.strictEqual(report.SuccessCount(), 1)
+        assert.strictEqual(report.LogCount(), 1)
+        assert.deepStrictEqual(report.ListErrors(), ["e1", "e2"])
+    })
+
+    await t.test("escapes messages in HTML unless marked as trusted", () => {
+        const report = new SwitchReport().setPageTitle("A < B");
+        report.addErrorRow("file <1>.pdf")
+        report.addHtmlRow("success", "<b>bold</b>")
+        const html = report.generateHtmlReport();
+
+        assert.ok(html.includes("file &lt;1&gt;.pdf"))
+        assert.ok(html.includes("<b>bold</b>"))
+        assert.ok(html.includes("A &lt; B"))
+    })
+
+    await t.test("groups rows into sections", () => {
+        const report = new SwitchReport();
+        report.startSection("Column A").addWarningRow("w")
+        report.endSection().addSuccessRow("s")
+
+        assert.deepStrictEqual(report.getSections(), ["Column A"])
+        assert.deepStrictEqual(report.getRows().map(r => r.section), ["Column A", ""])
+        assert.ok(report.generateHtmlReport().includes(`<details class="section" open>`))
+    })
+
+    await t.test("exports structured formats", () => {
+        const report = new SwitchReport();
+        report.addErrorRow({message: "Missing, file", fields: {row: 3}})
+        report.addHtmlRow("success", "<b>found</b>")
+
+        const json = JSON.parse(report.generateJsonReport());
+        assert.deepStrictEqual(json.counts, {error: 1, warning: 0, success: 1, log: 0})
+        assert.strictEqual(json.rows[1].message, "found")
+        assert.deepStrictEqual(json.rows[0].fields, {row: 3})
+
+        assert.ok(report.generateCsvReport().includes(`error,,"Missing, file","{""row"":3}"`))
+        assert.ok(report.generateTextReport().includes("ERROR   Missing, file (row: 3)"))
+        assert.ok(report.generateXmlReport().includes(`<field name="row">3</field>`))
+        assert.throws(() => report.generateReport("pdf"))
+    })
+
+    await t.test("formats the creation time and row timestamps of readable reports", () => {
+        const report = new SwitchReport({dateFormat: "DD/MM/YYYY", rowDateFormat: "[at] HH:mm", timeZone: "Europe/London"});
+        report.addLogRow("started")
+
+        const text = report.generateTextReport();
+        assert.match(text, /^\[at \d{2}:\d{2}\] LOG     started$/m)
+        assert.match(text, /Time Created: \d{2}\/\d{2}\/\d{4}$/)
+        assert.match(report.generateHtmlReport(), /Time Created: \d{2}\/\d{2}\/\d{4}/)
+        assert.match(JSON.parse(report.generateJsonReport()).rows[0].timestamp, /^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/)
+    })
+
+    await t.test("sends the job to the connection matching the outcome", async () => {
+        const s = new MockSwitch();
+        t.after(() => s.cleanup())
+        const job = s.createJob({name: "order.pdf"});
+        const report = new SwitchReport();
+        report.addWarningRow("w")
+
+        await report.sendJobToConnection(job, s.getTempDir(), undefined, "json")
+
+        assert.deepStrictEqual(s.routing.map(r => [r.method, r.level]), [["sendToLog", "warning"], ["sendToData", "warning"]])
+        const reportPath = s.callsOf("createChild")[0].args[0];
+        assert.strictEqual(JSON.parse(fs.readFileSync(await job.children[0].getPath(), "utf-8")).counts.warning, 1)
+        assert.strictEqual(fs.existsSync(reportPath), false)
+    })
+})
@@ -0,0 +1,366 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const excel = require("xlsx");
+const {CsvProcessor, MatchFilesToCsvData, ExcelToJsObject, JsObjectToExcel} = require("../index");
+
+test("Csv and spreadsheets", async t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "switch-helpers-"));
+    t.after(() => fs.rmSync(root, {recursive: true, force: true}))
+
+    const csvLocation = path.join(root, "orders.csv");
+    fs.writeFileSync(csvLocation, "Order,Qty\nA1,2\nB2,5\n")
+
+    await t.test("CsvProcessor reads headers and rows and saves them back", async () => {
+        const csv = await new CsvProcessor(csvLocation);
+
+        assert.deepStrictEqual(csv.getHeaders(), ["Order", "Qty"])
+        assert.deepStrictEqual(csv.getRows(), [["A1", 2], ["B2", 5]])
+        assert.deepStrictEqual(csv.findAllHeaders("qty"), [{index: 1, value: "Qty"}])
+
+        const saved = path.join(root, "out", "saved.csv");
+        await csv.saveTo(saved)
+        assert.strictEqual(fs.readFileSync(saved, "utf-8"), "Order,Qty\nA1,2\nB2,5\n")
+    })
+
+    await t.test("CsvProcessor edits columns by header name", async () => {
+        const location = path.join(root, "columns.csv");
+        fs.writeFileSync(location, "Order,Qty,Customer\nB2,5,Beta\nA1,2,Alpha\nA1,9,Alpha\n")
+        const csv = await new CsvProcessor(location);
+
+        assert.deepStrictEqual(csv.getColumn("Qty"), [5, 2, 9])
+        csv.setCell(0, "Qty", 6)
+            .addColumn("Total", row => row.Qty * 10, {position: 2})
+            .renameColumn("Customer", "Client")
+            .reorderColumns(["Client"])
+            .sortBy([{column: "Order"}, {column: "Qty", direction: "desc"}])
+
+        assert.deepStrictEqual(csv.getHeaders(), ["Client", "Order", "Qty", "Total"])
+        assert.deepStrictEqual(csv.toObjects(), [
+            {Client: "Alpha", Order: "A1", Qty: 9, Total: 90},
+            {Client: "Alpha", Order: "A1", Qty: 2, Total: 20},
+            {Client: "Beta", Order: "B2", Qty: 6, Total: 60},
+        ])
+
+        csv.dedupeBy("Order", {keep: "last"}).filterRows(row => row.Qty > 2).removeColumn("Total")
+        assert.deepStrictEqual(csv.getRows(), [["Beta", "B2", 6]])
+
+        csv.fromObjects([{a: 1}, {b: 2}])
+        assert.deepStrictEqual(csv.getHeaders(), ["a", "b"])
+        assert.deepStrictEqual(csv.getRows(), [[1, ""], ["", 2]])
+        assert.throws(() => csv.addColumn("a"), /already exists/)
+        assert.throws(() => csv.getColumn("c"), /does not exist/)
+    })
+
+    await t.test("CsvProcessor streams large files", async () => {
+        const location = path.join(root, "streamed.csv");
+        fs.writeFileSync(location, "\uFEFFOrder;Qty\r\n" + Array.from({length: 200000}, (_, i) => `'O;${i}';${i}\r\n`).join(""))
+
+        const csv = await new CsvProcessor(location, {delimiter: "auto", quote: "'"});
+
+        assert.strictEqual(csv.getRows().length, 200000)
+        assert.deepStrictEqual(csv.getRows()[199999], ["O;199999", 199999])
+        assert.deepStrictEqual(csv.getDialect(), {delimiter: ";", quote: "'", encoding: "utf-8", bom: true, recordDelimiter: "\r\n"})
+    })
+
+    await t.test("CsvProcessor edits columns of large files", async () => {
+        const csv = await new CsvProcessor(csvLocation);
+        csv.fromObjects(Array.from({length: 200000}, (_, i) => ({Order: `O${i}`, Qty: i})))
+
+        assert.strictEqual(csv.getColumn(0).length, 200000)
+        csv.addColumn("Double", row => row.Qty * 2).reorderColumns(["Double"])
+        assert.deepStrictEqual(csv.toObjects()[199999], {Double: 399998, Order: "O199999", Qty: 199999})
+
+        const saved = path.join(root, "large.csv");
+        await csv.saveTo(saved)
+        assert.strictEqual(fs.statSync(saved).size > 3000000, true)
+    })
+
+    await t.test("CsvProcessor handles duplicate header names explicitly", async () => {
+        const location = path.join(root, "duplicates.csv");
+        fs.writeFileSync(location, "Name,Name,Qty\na,b,1\n")
+
+        const kept = await new CsvProcessor(location);
+        assert.throws(() => kept.getColumn("Name"), /ambiguous/)
+        assert.deepStrictEqual(kept.getColumn(1), ["b"])
+        assert.throws(() => kept.toObjects(), /used by more than one column/)
+
+        const renamed = await new CsvProcessor(location, {duplicateHeaders: "rename"});
+        assert.deepStrictEqual(renamed.toObjects(), [{"Name": "a", "Name (2)": "b", Qty: 1}])
+
+        await assert.rejects(new CsvProcessor(location, {duplicateHeaders: "error"}), /used by more than one column/)
+    })
+
+    await t.test("CsvProcessor detects the delimiter and keeps the dialect when saving", async () => {
+        const location = path.join(root, "semicolon.txt");
+        fs.writeFileSync(location, "Order;Note\r\n0042;'a;b'\r\n")
+
+        assert.throws(() => new CsvProcessor(location), /Can only read/)
+
+        const csv = await new CsvProcessor(location, {delimiter: "auto", quote: "'", allowedExtensions: [".txt"], columnTypes: {Order: "string"}});
+        assert.deepStrictEqual(csv.getRows(), [["0042", "a;b"]])
+        assert.deepStrictEqual(csv.getDialect(), {delimiter: ";", quote: "'", encoding: "utf-8", bom: false, recordDelimiter: "\r\n"})
+
+        await csv.saveTo()
+        assert.strictEqual(fs.readFileSync(location, "utf-8"), "Order;Note\r\n0042;'a;b'\r\n")
+    })
+
+    await t.test("CsvProcessor reads and writes other encodings and BOMs", async () => {
+        const utf16 = path.join(root, "utf16.tsv");
+        fs.writeFileSync(utf16, Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from("Name\tCity\nJosé\tMünchen\n", "utf16le")]))
+
+        const csv = await new CsvProcessor(utf16, {allowedExtensions: [".tsv"]});
+        assert.deepStrictEqual(csv.getRows(), [["José", "München"]])
+        assert.strictEqual(csv.getDialect().encoding, "utf-16le")
+
+        await csv.saveTo()
+        assert.deepStrictEqual(fs.readFileSync(utf16).subarray(0, 2), Buffer.from([0xFF, 0xFE]))
+
+        const cp1252 = path.join(root, "cp1252.csv");
+        await csv.saveTo(cp1252, {encoding: "windows-1252", delimiter: ",", bom: false})
+        assert.deepStrictEqual(fs.readFileSync(cp1252), Buffer.from([...Buffer.from("Name,City\nJos"), 0xE9, ...Buffer.from(",M"), 0xFC, ...Buffer.from("nchen\n")]))
+
+        const reread = await new CsvProcessor(cp1252, {encoding: "windows-1252"});
+        assert.deepStrictEqual(reread.getRows(), [["José", "München"]])
+    })
+
+    await t.test("CsvProcessor applies per-column types", async () => {
+        const location = path.join(root, "types.csv");
+        fs.writeFileSync(location, "Order,Qty,Paid,Due\n0042,\"1,5\",yes,2024-03-01\n0043,x,no,\n")
+
+        const csv = await new CsvProcessor(location, {columnTypes: {Order: "string", Qty: "number", Paid: "boolean", Due: "date"}});
+
+        assert.deepStrictEqual(csv.getRows(), [["0042", 1.5, true, new Date("2024-03-01T00:00:00.000Z")], ["0043", "x", false, ""]])
+        assert.deepStrictEqual(csv.getCoercionErrors(), [{row: 1, column: "Qty", value: "x", type: "number"}])
+
+        const saved = path.join(root, "types-saved.csv");
+        await csv.saveTo(saved)
+        assert.strictEqual(fs.readFileSync(saved, "utf-8"), "Order,Qty,Paid,Due\n0042,1.5,true,2024-03-01\n0043,x,false,\n")
+    })
+
+    await t.test("MatchFilesToCsvData reports a missing column", async () => {
+        const result = await MatchFilesToCsvData({
+            csvLocation: csvLocation,
+            matching: [{columnToMatch: "File", resultsAppendMethod: "full", scanLocation: root, ifColumnToMatchNotPresent: "warning"}],
+        });
+
+        assert.strictEqual(result.report.WarningCount(), 1)
+    })
+
+    await t.test("MatchFilesToCsvData matches rows against an index of the scan location", async () => {
+        const files = path.join(root, "artwork");
+        fs.mkdirSync(path.join(files, "old"), {recursive: true})
+        for (let name of ["ORD-1.pdf", "Crème Brûlée.pdf", "ORD-2_v1.pdf", "ORD-2_v2.pdf", "ORD-3.txt"]) {
+            fs.writeFileSync(path.join(files, name), "")
+        }
+        fs.writeFileSync(path.join(files, "old", "ord-1.pdf"), "")
+        fs.utimesSync(path.join(files, "ORD-2_v1.pdf"), new Date(), new Date(Date.now() + 60000))
+
+        const location = path.join(root, "match.csv");
+        fs.writeFileSync(location, "Order,Name\nord-1,creme brulee\nORD-2,ORD-3\nORD-9,\n")
+
+        const full = await MatchFilesToCsvData({csvLocation: location, saveLocation: path.join(root, "out", "full.csv"), matching: [
+            {columnToMatch: "Order", columnForResults: "OrderFile", scanLocation: files, resultsAppendMethod: "name", depth: Infinity, ifMultipleMatches: "join"},
+            {columnToMatch: "Name", columnForResults: "NameFile", scanLocation: files, resultsAppendMethod: "name", allowedExtensions: []},
+        ]});
+        await full.saveFile()
+        assert.strictEqual(fs.readFileSync(path.join(root, "out", "full.csv"), "utf-8"),
+            "Order,Name,OrderFile,NameFile\nord-1,creme brulee,ORD-1.pdf; ord-1.pdf,Crème Brûlée.pdf\nORD-2,ORD-3,,ORD-3.txt\nORD-9,,,\n")
+        assert.strictEqual(full.report.SuccessCount(), 3)
+        assert.strictEqual(full.report.LogCount(), 3)
+
+        const prefix = await MatchFilesToCsvData({csvLocation: location, saveLocation: path.join(root, "out", "prefix.csv"), matching: [
+            {columnToMatch: "Order", scanLocation: files, matchMethod: "prefix", resultsAppendMethod: "nameProper", ifMultipleMatches: "newest"},
+        ]});
+        await prefix.saveFile()
+        assert.deepStrictEqual((await new CsvProcessor(path.join(root, "out", "prefix.csv"))).getColumn("FileMatchResults"), ["ORD-1", "ORD-2_v1", ""])
+
+        const regex = await MatchFilesToCsvData({csvLocation: location, saveLocation: path.join(root, "out", "regex.csv"), matching: [
+            {columnToMatch: "Order", scanLocation: files, matchMethod: "regex", pattern: "^{value}_v\\d+\\.pdf$", useDifferentRootLocation: "/mnt/artwork"},
+        ]});
+        assert.deepStrictEqual([regex.report.ErrorCount(), regex.report.WarningCount()], [0, 3])
+        assert.ok(regex.report.getRows().some(row => row.type === "warning" && /matched multiple \(<b>2<\/b>\) files/.test(row.message)))
+
+        const strict = await MatchFilesToCsvData({csvLocation: location, saveLocation: path.join(root, "out", "strict.csv"), matching: [
+            {columnToMatch: "Order", scanLocation: files, matchMethod: "regex", pattern: "^{value}_v\\d+\\.pdf$", ifMultipleMatches: "error"},
+            {columnToMatch: "Name", columnForResults: "NameFile", scanLocation: files, caseSensitive: true},
+        ]});
+        assert.strictEqual(strict.report.ErrorCount(), 1)
+        assert.match(strict.report.ListErrors()[0], /matched multiple \(<b>2<\/b>\) files/)
+        await strict.saveFile()
+        assert.deepStrictEqual((await new CsvProcessor(path.join(root, "out", "strict.csv"))).getColumn("NameFile"), ["", "", ""])
+
+        const roots = async keepFolderStructure => {
+            const result = await MatchFilesToCsvData({csvLocation: location, saveLocation: path.join(root, "out", "roots.csv"), matching: [
+                {columnToMatch: "Order", scanLocation: files, depth: Infinity, ifMultipleMatches: "join", useDifferentRootLocation: "/mnt/artwork", keepFolderStructure: keepFolderStructure},
+            ]});
+            await result.saveFile()
+            return (await new CsvProcessor(path.join(root, "out", "roots.csv"))).getColumn("FileMatchResults")[0]
+        };
+        assert.strictEqual(await roots(false), `${path.join("/mnt/artwork", "ORD-1.pdf")}; ${path.join("/mnt/artwork", "ord-1.pdf")}`)
+        assert.strictEqual(await roots(true), `${path.join("/mnt/artwork", "ORD-1.pdf")}; ${path.join("/mnt/artwork", "old", "ord-1.pdf")}`)
+    })
+
+    await t.test("MatchFilesToCsvData matches and saves zero-padded references as they are", async () => {
+        const files = path.join(root, "padded");
+        fs.mkdirSync(files, {recursive: true})
+        for (let name of ["0042.pdf", "1.50.pdf"]) {fs.writeFileSync(path.join(files, name), "")}
+
+        const location = path.join(root, "padded.csv");
+        fs.writeFileSync(location, "Ref,Paid\n0042,TRUE\n1.50,no\n")
+        const result = await MatchFilesToCsvData({csvLocation: location, saveLocation: path.join(root, "out", "padded.csv"), matching: [
+            {columnToMatch: "Ref", scanLocation: files, resultsAppendMethod: "name"},
+        ]});
+        await result.saveFile()
+
+        assert.deepStrictEqual([result.report.SuccessCount(), result.report.WarningCount()], [2, 0])
+        assert.strictEqual(fs.readFileSync(path.join(root, "out", "padded.csv"), "utf-8"), "Ref,Paid,FileMatchResults\n0042,TRUE,0042.pdf\n1.50,no,1.50.pdf\n")
+    })
+
+    await t.test("MatchFilesToCsvData copies, moves or collects matched files into a job folder", async () => {
+        const files = path.join(root, "actions");
+        const target = path.join(root, "actions-out");
+        fs.mkdirSync(files, {recursive: true})
+        fs.mkdirSync(target, {recursive: true})
+        for (let name of ["A1.pdf", "B2.pdf", "C3.pdf"]) {fs.writeFileSync(path.join(files, name), name)}
+        fs.writeFileSync(path.join(target, "A1.pdf"), "existing")
+
+        const location = path.join(root, "actions.csv");
+        fs.writeFileSync(location, "Order\nA1\nB2\nB2\n")
+        const matching = action => [{columnToMatch: "Order", scanLocation: files, resultsAppendMethod: "name", actionTarget: target, ...action}];
+
+        const dryRun = await MatchFilesToCsvData({csvLocation: location, dryRun: true, matching: matching({action: "move"})});
+        assert.deepStrictEqual(dryRun.actions.map(a => [a.status, path.basename(a.destination)]), [["dryRun", "A1 (2).pdf"], ["dryRun", "B2.pdf"], ["skipped", "B2.pdf"]])
+        assert.strictEqual(await dryRun.saveFile(), `Dry run, not saved to location "${location}".`)
+        assert.deepStrictEqual(fs.readdirSync(target), ["A1.pdf"])
+        assert.strictEqual(fs.readFileSync(location, "utf-8"), "Order\nA1\nB2\nB2\n")
+
+        const copied = await MatchFilesToCsvData({csvLocation: location, matching: matching({action: "copy", ifTargetExists: "skip"})});
+        assert.deepStrictEqual(copied.actions.map(a => a.status), ["skipped", "done", "skipped"])
+        assert.strictEqual(fs.readFileSync(path.join(target, "A1.pdf"), "utf-8"), "existing")
+        assert.strictEqual(copied.report.WarningCount(), 2)
+
+        const moved = await MatchFilesToCsvData({csvLocation: location, matching: matching({action: "move", ifTargetExists: "overwrite"})});
+        assert.deepStrictEqual(moved.actions.map(a => a.status), ["done", "done", "skipped"])
+        assert.strictEqual(fs.readFileSync(path.join(target, "A1.pdf"), "utf-8"), "A1.pdf")
+        assert.deepStrictEqual(fs.readdirSync(files), ["C3.pdf"])
+
+        fs.writeFileSync(location, "Order\nC3\n")
+        const collected = await MatchFilesToCsvData({csvLocation: location, saveLocation: path.join(root, "out", "job.csv"), matching: matching({action: "jobFolder", jobFolderName: "Job 1"})});
+        assert.deepStrictEqual(collected.jobFolders, [path.join(target, "Job 1")])
+        assert.deepStrictEqual(fs.readdirSync(path.join(target, "Job 1")).sort(), ["C3.pdf", "job.csv"])
+        assert.strictEqual(fs.readFileSync(path.join(target, "Job 1", "job.csv"), "utf-8"), "Order,FileMatchResults\nC3,C3.pdf\n")
+        assert.strictEqual(collected.report.getSections().includes("Job folders"), true)
+    })
+
+    await t.test("MatchFilesToCsvData places the new locations in the results and keeps files of the same run", async () => {
+        const files = path.join(root, "same-name");
+        const target = path.join(root, "same-name-out");
+        for (let folder of ["a", "b"]) {
+            fs.mkdirSync(path.join(files, folder), {recursive: true})
+            fs.writeFileSync(path.join(files, folder, "D4.pdf"), folder)
+        }
+
+        const location = path.join(root, "same-name.csv");
+        fs.writeFileSync(location, "Order\nD4\n")
+        const result = await MatchFilesToCsvData({csvLocation: location, saveLocation: path.join(root, "out", "same-name.csv"), matching: [
+            {columnToMatch: "Order", scanLocation: files, depth: Infinity, ifMultipleMatches: "join", action: "copy", actionTarget: target, ifTargetExists: "overwrite"},
+        ]});
+        await result.saveFile()
+
+        assert.deepStrictEqual(result.actions.map(a => [a.status, path.basename(a.destination)]), [["done", "D4.pdf"], ["done", "D4 (2).pdf"]])
+        assert.deepStrictEqual([fs.readFileSync(path.join(target, "D4.pdf"), "utf-8"), fs.readFileSync(path.join(target, "D4 (2).pdf"), "utf-8")], ["a", "b"])
+        assert.deepStrictEqual((await new CsvProcessor(path.join(root, "out", "same-name.csv"))).getColumn("FileMatchResults"),
+            [`${path.join(target, "D4.pdf")}; ${path.join(target, "D4 (2).pdf")}`])
+    })
+
+    await t.test("ExcelToJsObject converts every visible sheet to csv", () => {
+        const workbook = excel.utils.book_new();
+        excel.utils.book_append_sheet(workbook, excel.utils.aoa_to_sheet([["Order", "Qty"], ["A1", 2]]), "Orders")
+        const location = path.join(root, "orders.xlsx");
+        excel.writeFile(workbook, location)
+
+        assert.deepStrictEqual(ExcelToJsObject(location), {Orders: "Order,Qty\nA1,2"})
+    })
+
+    await t.test("ExcelToJsObject returns typed rows with detected headers, merged cells and ranges", () => {
+        const sheet = excel.utils.aoa_to_sheet([["Report"], ["Order", "Due", "Qty"], ["A1", 45352, 2], ["B2", 45353.5, true]]);
+        sheet["B3"].z = "yyyy-mm-dd"
+        sheet["B4"].z = "yyyy-mm-dd hh:mm"
+        sheet["!ref"] = "A1:C4"
+        sheet["!merges"] = [{s: {r: 0, c: 0}, e: {r: 0, c: 2}}]
+        const workbook = excel.utils.book_new();
+        excel.utils.book_append_sheet(workbook, sheet, "Orders")
+        workbook.Workbook = {Names: [{Name: "Lines", Ref: "Orders!$A$2:$B$3"}]}
+        const location = path.join(root, "typed.xlsx");
+        excel.writeFile(workbook, location)
+
+        assert.deepStrictEqual(ExcelToJsObject(location, {output: "objects"}), {Orders: [
+            {Order: "A1", Due: "2024-03-01", Qty: 2},
+            {Order: "B2", Due: "2024-03-02T12:00:00", Qty: true},
+        ]})
+        assert.deepStrictEqual(ExcelToJsObject(location, {output: "arrays", range: "Orders!A1:B1"}), {Orders: [["Report", "Report"]]})
+        assert.deepStrictEqual(ExcelToJsObject(location, {output: "arrays", range: "A1:B1", expand_merged: false}), {Orders: [["Report", null]]})
+        assert.deepStrictEqual(ExcelToJsObject(location, {output: "objects", named_range: "Lines", header_row: 1}), {Orders: [{Order: "A1", Due: "2024-03-01"}]})
+        assert.throws(() => ExcelToJsObject(location, {named_range: "Missing"}), /Named range "Missing"/)
+    })
+
+    await t.test("JsObjectToExcel writes styled multi-sheet workbooks", async () => {
+        const location = await JsObjectToExcel(path.join(root, "out", "matched.xlsx"), {
+            Matched: [{Order: "A1", Due: new Date("2024-03-01"), File: "/jobs/A1.pdf"}],
+            Totals: "Customer,Qty\nAlpha,11\n",
+        }, {columnWidths: {Order: 12}});
+
+        const workbook = excel.readFile(location, {cellNF: true});
+        const matched = workbook.Sheets.Matched;
+        assert.deepStrictEqual(workbook.SheetNames, ["Matched", "Totals"])
+        assert.strictEqual(matched["C2"].l.Target, "/jobs/A1.pdf")
+        assert.deepStrictEqual(matched["!autofilter"], {ref: "A1:C2"})
+        assert.deepStrictEqual(ExcelToJsObject(location, {output: "objects"}), {
+            Matched: [{Order: "A1", Due: "2024-03-01", File: "/jobs/A1.pdf"}],
+            Totals: [{Customer: "Alpha", Qty: 11}],
+        })
+
+        const sheetXml = excel.CFB.find(excel.CFB.read(fs.readFileSync(location), {type: "buffer"}), "/xl/worksheets/sheet1.xml").content.toString();
+        assert.match(sheetXml, /<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"\/>/)
+        assert.match(sheetXml, /<c r="A1" s="\d+"/)
+        assert.match(sheetXml, /<col min="1" max="1" width="12\./)
+    })
+
+    await t.test("CsvProcessor reads a sheet of a workbook and saves to either format", async () => {
+        const location = path.join(root, "out", "matched.xlsx");
+        const csv = await new CsvProcessor(location, {sheet: "Totals", columnTypes: {Qty: "string"}});
+
+        assert.deepStrictEqual(csv.getHeaders(), ["Customer", "Qty"])
+        assert.deepStrictEqual(csv.getRows(), [["Alpha", "11"]])
+        assert.strictEqual(csv.getDialect().sheet, "Totals")
+
+        await csv.saveTo(path.join(root, "out", "totals.csv"))
+        assert.strictEqual(fs.readFileSync(path.join(root, "out", "totals.csv"), "utf-8"), "Customer,Qty\nAlpha,11\n")
+
+        const fromCsv = await new CsvProcessor(path.join(root, "out", "totals.csv"));
+        await fromCsv.saveTo(path.join(root, "out", "totals.xlsx"), {sheet: "Summary"})
+        assert.deepStrictEqual(ExcelToJsObject(path.join(root, "out", "totals.xlsx"), {output: "arrays"}), {Summary: [["Customer", "Qty"], ["Alpha", 11]]})
+
+        await assert.rejects(async () => await new CsvProcessor(location, {sheet: "Missing"}), /Sheet "Missing" does not exist/)
+        await assert.rejects(csv.saveTo(), error => error.code === "WORKBOOK_OVERWRITE" && /dropping sheets "Matched"/.test(error.message))
+        assert.deepStrictEqual(excel.readFile(location).SheetNames, ["Matched", "Totals"])
+
+        const single = await new CsvProcessor(path.join(root, "out", "totals.xlsx"));
+        await single.setCell(0, "Qty", 12).saveTo()
+        assert.deepStrictEqual(ExcelToJsObject(path.join(root, "out", "totals.xlsx"), {output: "arrays"}), {Summary: [["Customer", "Qty"], ["Alpha", 12]]})
+    })
+
+    await t.test("JsObjectToExcel writes large sheets", async () => {
+        const location = path.join(root, "out", "large.xlsx");
+        const rows = Array.from({length: 200000}, (_, i) => [`O${i}`, i]);
+        rows[5] = ["A much longer order number", 5]
+
+        await JsObjectToExcel(location, {Large: {headers: ["Order", "Qty"], rows: rows}}, {hyperlinks: false, freezeHeader: false})
+
+        const sheet = excel.readFile(location, {sheetRows: 2, cellStyles: true}).Sheets.Large;
+        assert.deepStrictEqual(sheet["!cols"].map(col => col.wch), [28, 10])
+    })
+})
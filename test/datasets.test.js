@@ -0,0 +1,284 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {CreateDataSet, DataSetExists, GetDataSet, ListDataSets, RemoveDataSet, UpdateDataSet, MergeDataSet, XmlToJsObject, GetProperty, GetProperties, SwitchReport, PrivateData, CreateChildJob, CopyJobData} = require("../index");
+const {MockSwitch} = require("../mock");
+
+test("Datasets", async t => {
+    const s = new MockSwitch();
+    const tmp = path.join(s.getTempDir(), "metadata");
+    fs.mkdirSync(tmp)
+    t.after(() => s.cleanup())
+
+    await t.test("CreateDataSet writes a JSON dataset and cleans up the temporary file", async () => {
+        const job = s.createJob();
+        const created = await CreateDataSet(job, "Order", {id: 42}, tmp);
+
+        assert.deepStrictEqual(await job.listDatasets(), [{name: "Order", model: "JSON"}])
+        assert.strictEqual(fs.readdirSync(tmp).length, 1)
+        created.removeTmpFiles()
+        assert.strictEqual(fs.readdirSync(tmp).length, 0)
+    })
+
+    await t.test("CreateDataSet uses the temporary location of the flow named", async t => {
+        const flowTmp = path.join(s.getTempDir(), "flow-metadata");
+        const configPath = path.join(s.getTempDir(), "flows.json");
+        fs.mkdirSync(flowTmp)
+        fs.writeFileSync(configPath, JSON.stringify({TempMetadataFileLocation: tmp, FlowOverrides: {Prepress: {TempMetadataFileLocation: flowTmp}}}))
+        const previous = process.env.SwitchConfig;
+        process.env.SwitchConfig = configPath
+        t.after(() => {
+            if (previous === undefined) {delete process.env.SwitchConfig} else {process.env.SwitchConfig = previous}
+        })
+
+        const job = s.createJob();
+        const created = await CreateDataSet(job, "Order", {id: 1}, undefined, "JSON", {flow: "Prepress"});
+
+        assert.strictEqual(fs.readdirSync(flowTmp).length, 1)
+        assert.deepStrictEqual(await GetDataSet(job, "Order"), {id: 1})
+        created.removeTmpFiles()
+    })
+
+    await t.test("CreateDataSet validates the model and data type", async () => {
+        const job = s.createJob();
+
+        await assert.rejects(CreateDataSet(job, "Order", {}, tmp, "Unknown"), /not supported/)
+        await assert.rejects(CreateDataSet(job, "Order", "text", tmp, "JSON"), /expecting to receive data type "object"/)
+    })
+
+    await t.test("DataSetExists and GetDataSet read datasets back", async () => {
+        const job = s.createJob({datasets: {Order: {content: {id: 7}}}});
+
+        assert.strictEqual(await DataSetExists(job, "Order"), true)
+        assert.strictEqual(await DataSetExists(job, "Missing"), false)
+        assert.deepStrictEqual(await GetDataSet(job, "Order"), {id: 7})
+        await assert.rejects(GetDataSet(job, "Missing"))
+        assert.strictEqual(job.logs.at(-1).level, "warning")
+    })
+
+    await t.test("DataSetExists logs and returns false when listing fails", async () => {
+        const job = s.createJob({name: "broken.txt"});
+        s.failOn("listDatasets", Error("Unavailable"))
+
+        assert.strictEqual(await DataSetExists(job, "Order"), false)
+        assert.deepStrictEqual(job.logs, [{jobName: "broken.txt", level: "warning", message: "Error: Unavailable"}])
+    })
+
+    await t.test("XML and XMP datasets are written from objects and read back as objects", async () => {
+        const job = s.createJob();
+        await CreateDataSet(job, "Ticket", {ticket: {"@id": "5", customer: "A & B"}}, tmp, "XML")
+        await CreateDataSet(job, "Meta", `<x:xmpmeta xmlns:x="adobe:ns:meta/"><title>T</title></x:xmpmeta>`, tmp, "XMP")
+
+        assert.deepStrictEqual(await GetDataSet(job, "Ticket"), {ticket: {"@id": "5", customer: "A & B"}})
+        assert.deepStrictEqual(await GetDataSet(job, "Meta"), {"x:xmpmeta": {"@xmlns:x": "adobe:ns:meta/", title: "T"}})
+        assert.ok((await GetDataSet(job, "Meta", {raw: true})).startsWith("<?xpacket"))
+        assert.deepStrictEqual(await ListDataSets(job), [{name: "Ticket", model: "XML"}, {name: "Meta", model: "XMP"}])
+    })
+
+    await t.test("XMP packets are kept as they are and refused by UpdateDataSet", async () => {
+        const job = s.createJob();
+        const packet = [
+            `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>`,
+            `<x:xmpmeta xmlns:x="adobe:ns:meta/" x:xmptk="Adobe XMP Core 9.1-c001">`,
+            ` <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">`,
+            `  <!-- Written by the prepress flow -->`,
+            `  <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/">`,
+            `   <dc:format>application/pdf</dc:format>`,
+            `   <xmp:CreatorTool>InDesign</xmp:CreatorTool>`,
+            `   <dc:format>image/jpeg</dc:format>`,
+            `  </rdf:Description>`,
+            ` </rdf:RDF>`,
+            `</x:xmpmeta>`,
+            `<?xpacket end="w"?>`,
+        ].join("\n");
+        await CreateDataSet(job, "Xmp", packet, tmp, "XMP")
+
+        assert.strictEqual(await GetDataSet(job, "Xmp", {raw: true}), packet)
+        assert.deepStrictEqual((await GetDataSet(job, "Xmp"))["x:xmpmeta"]["rdf:RDF"]["rdf:Description"]["dc:format"], ["application/pdf", "image/jpeg"])
+
+        await assert.rejects(UpdateDataSet(job, "Xmp", [{op: "set", path: "/x:xmpmeta/@x:xmptk", value: "Other"}], {tmpFileStore: tmp}), error => error.code === "DATASET_NOT_UPDATABLE" && /xpacket processing instructions/.test(error.message))
+        await assert.rejects(MergeDataSet(job, "Xmp", {"x:xmpmeta": {}}, {tmpFileStore: tmp}), error => error.code === "DATASET_NOT_UPDATABLE")
+        assert.strictEqual(await GetDataSet(job, "Xmp", {raw: true}), packet)
+    })
+
+    await t.test("XmlToJsObject rejects malformed XML", () => {
+        assert.throws(() => XmlToJsObject("<a><b></a>"), /Unexpected closing tag/)
+        assert.throws(() => XmlToJsObject("<a>"), /is not closed/)
+    })
+
+    await t.test("UpdateDataSet applies JSON pointer operations and keeps the model", async () => {
+        const job = s.createJob({datasets: {Order: {content: {items: [{qty: 1}], tmp: true}}}});
+        const tmpFileCount = fs.readdirSync(tmp).length;
+        const updated = await UpdateDataSet(job, "Order", [
+            {op: "set", path: "/items/0/qty", value: 3},
+            {op: "set", path: "/items/-", value: {qty: 5}},
+            {op: "set", path: "/customer/name", value: "ACME"},
+            {op: "delete", path: "/tmp"},
+        ], {tmpFileStore: tmp});
+
+        assert.deepStrictEqual(updated, {items: [{qty: 3}, {qty: 5}], customer: {name: "ACME"}})
+        assert.deepStrictEqual(await GetDataSet(job, "Order"), updated)
+        assert.strictEqual(fs.readdirSync(tmp).length, tmpFileCount)
+    })
+
+    await t.test("UpdateDataSet refuses keys reaching the prototype", async () => {
+        const job = s.createJob({datasets: {Order: {content: {id: 1}}}});
+
+        await assert.rejects(UpdateDataSet(job, "Order", [{op: "set", path: "/__proto__/polluted", value: 1}], {tmpFileStore: tmp}), error => error.code === "UNSAFE_KEY")
+        await assert.rejects(UpdateDataSet(job, "Order", [{op: "set", path: "/a/constructor/prototype/polluted", value: 1}], {tmpFileStore: tmp}), /Key "constructor" is not allowed/)
+        await assert.rejects(MergeDataSet(job, "Order", JSON.parse(`{"__proto__": {"polluted": 1}}`), {tmpFileStore: tmp}), /Key "__proto__" is not allowed/)
+
+        assert.strictEqual({}.polluted, undefined)
+        assert.deepStrictEqual(await GetDataSet(job, "Order"), {id: 1})
+    })
+
+    await t.test("UpdateDataSet keeps the dataset when writing the new one fails", async () => {
+        const job = s.createJob({name: "restore.pdf", datasets: {Order: {content: {id: 1}}}});
+        s.failOn("createDataset", Error("Share not available"), "restore.pdf")
+
+        await assert.rejects(UpdateDataSet(job, "Order", [{op: "set", path: "/id", value: 2}], {tmpFileStore: tmp}), /Share not available/)
+        assert.deepStrictEqual(await GetDataSet(job, "Order"), {id: 1})
+        assert.match(job.logs.at(-1).message, /previous version was restored/)
+
+        await assert.rejects(UpdateDataSet(job, "Order", () => "not an object", {tmpFileStore: tmp}), /expecting to receive data type "object"/)
+        assert.deepStrictEqual(await GetDataSet(job, "Order"), {id: 1})
+    })
+
+    await t.test("MergeDataSet deep merges objects and creates missing datasets on request", async () => {
+        const job = s.createJob({datasets: {Ticket: {content: `<ticket><status>new</status><due>1</due></ticket>`, model: "XML"}}});
+
+        await MergeDataSet(job, "Ticket", {ticket: {status: "done"}}, {tmpFileStore: tmp})
+        assert.deepStrictEqual(await GetDataSet(job, "Ticket"), {ticket: {status: "done", due: "1"}})
+        assert.deepStrictEqual((await ListDataSets(job))[0].model, "XML")
+
+        await assert.rejects(MergeDataSet(job, "Missing", {a: 1}, {tmpFileStore: tmp}))
+        assert.deepStrictEqual(await MergeDataSet(job, "Missing", {a: 1}, {tmpFileStore: tmp, createIfMissing: true}), {a: 1})
+    })
+
+    await t.test("RemoveDataSet removes datasets and reports missing ones", async () => {
+        const job = s.createJob({datasets: {Order: {content: {}}}});
+
+        assert.strictEqual(await RemoveDataSet(job, "Order"), true)
+        assert.strictEqual(await RemoveDataSet(job, "Order", {ifNotFound: "ignore"}), false)
+        await assert.rejects(RemoveDataSet(job, "Order"))
+        assert.strictEqual(job.logs.at(-1).level, "warning")
+    })
+
+    await t.test("GetProperty returns the value or undefined", async () => {
+        const element = s.createFlowElement({properties: {Folder: "/data"}});
+
+        assert.strictEqual(await GetProperty(element, "Folder"), "/data")
+        assert.strictEqual(await GetProperty(element, "Missing"), undefined)
+    })
+})
+
+test("Private data", async t => {
+    const s = new MockSwitch();
+    t.after(() => s.cleanup())
+
+    await t.test("PrivateData stores and reads typed values under a namespace", async () => {
+        const job = s.createJob({privateData: {"other.key": "x"}});
+        const data = new PrivateData(job, "myFlow.step1");
+
+        await data.setAll({pages: 12, approved: true, due: new Date("2024-03-01T10:00:00.000Z"), order: {id: 7, lines: [1, 2]}, note: "[draft"})
+
+        assert.strictEqual(await job.getPrivateData("myFlow.step1.pages"), "12")
+        assert.strictEqual(await job.getPrivateData("myFlow.step1.order"), `{"id":7,"lines":[1,2]}`)
+        assert.deepStrictEqual(await data.getAll({pages: "number", approved: "boolean", order: "json", note: "auto"}), {pages: 12, approved: true, order: {id: 7, lines: [1, 2]}, note: "[draft"})
+        assert.deepStrictEqual(await data.getAll(["pages", "approved"]), {pages: "12", approved: "true"})
+        assert.deepStrictEqual(await data.get("due", {type: "date"}), new Date("2024-03-01T10:00:00.000Z"))
+        assert.strictEqual(await data.get("pages", {type: "string"}), "12")
+        assert.strictEqual(await data.get("missing", {type: "number", default: 0}), 0)
+        await assert.rejects(data.get("note", {type: "number"}), /cannot be converted to "number"/)
+
+        const auto = await new PrivateData(s.createJob()).setAll({zip: "0042", id: "12345678901234567890", flag: "true", total: 1.5, order: {id: 7}});
+        assert.deepStrictEqual(await auto.getAll({zip: "auto", id: "auto", flag: "auto", total: "auto", order: "auto"}),
+            {zip: "0042", id: "12345678901234567890", flag: "true", total: 1.5, order: {id: 7}})
+        await assert.rejects(data.set("pages", undefined), /Use "remove" instead/)
+
+        await data.remove("note")
+        assert.deepStrictEqual((await data.list()).sort(), ["approved", "due", "order", "pages"])
+        await data.removeAll()
+        assert.deepStrictEqual(await job.listPrivateData(), ["other.key"])
+    })
+
+    await t.test("CreateChildJob copies selected private data and datasets onto the child", async () => {
+        const source = path.join(s.getTempDir(), "child.pdf");
+        fs.writeFileSync(source, "")
+        const job = s.createJob({
+            privateData: {"myFlow.step1.pages": "12", "myFlow.step2.pages": "3", "customer": "Alpha"},
+            datasets: {Order: {content: {id: 7}}, Xmp: {content: "<x/>", model: "XML"}},
+        });
+
+        const child = await CreateChildJob(job, source, {privateData: ["myFlow.step1.*", "customer"], datasets: ["Xmp"]});
+
+        assert.deepStrictEqual((await child.listPrivateData()).sort(), ["customer", "myFlow.step1.pages"])
+        assert.deepStrictEqual(await child.listDatasets(), [{name: "Xmp", model: "XML"}])
+        assert.strictEqual(fs.readFileSync(await child.getDataset("Xmp"), "utf-8"), "<x/>")
+        await assert.rejects(CreateChildJob(job, source, {privateData: true, datasets: ["Missing"]}), /Dataset "Missing" does not exist/)
+        assert.strictEqual(job.children.length, 1)
+
+        const target = s.createJob();
+        await assert.rejects(CopyJobData(job, target, {privateData: true, datasets: ["Xmp", "Missing"]}), /Dataset "Missing" does not exist/)
+        assert.deepStrictEqual([await target.listPrivateData(), await target.listDatasets()], [[], []])
+    })
+})
+
+test("GetProperties", async t => {
+    const s = new MockSwitch();
+    t.after(() => s.cleanup())
+
+    const schema = {
+        Folder: {type: "path", required: true, kind: "folder", writable: true},
+        Mode: {type: "enum", allowed: ["copy", "move"], default: "copy"},
+        Retries: {type: "number", validator: value => value >= 0 || "must not be negative"},
+        Archive: {type: "boolean"},
+        Extensions: {type: "list"},
+        Pattern: {type: "regex", flags: "i"},
+        Since: {type: "date"},
+        Template: {type: "path", mustExist: true, description: "Report template"},
+    };
+
+    await t.test("returns a typed config object", async () => {
+        const element = s.createFlowElement({properties: {Folder: s.getTempDir(), Retries: "2", Archive: "yes", Extensions: ".pdf, .tif", Pattern: "^ord-\\d+$", Since: "2024-03-01", Mode: ""}});
+        const config = await GetProperties(element, schema);
+
+        assert.deepStrictEqual(config, {
+            Folder: s.getTempDir(),
+            Mode: "copy",
+            Retries: 2,
+            Archive: true,
+            Extensions: [".pdf", ".tif"],
+            Pattern: /^ord-\d+$/i,
+            Since: new Date("2024-03-01T00:00:00.000Z"),
+        })
+    })
+
+    await t.test("collects every problem into a report or a single error", async () => {
+        const element = s.createFlowElement({name: "Matcher", properties: {Mode: "delete", Retries: "-1", Archive: "maybe", Pattern: "(", Template: "/does/not/exist.html"}});
+        const report = new SwitchReport();
+        const config = await GetProperties(element, schema, {report: report});
+
+        assert.deepStrictEqual(config, {})
+        assert.deepStrictEqual(report.ListErrors(), [
+            `Property "Folder" is required but has no value.`,
+            `Property "Mode" has value "delete", allowed values are: "copy", "move".`,
+            `Property "Retries" has invalid value "-1": must not be negative.`,
+            `Property "Archive" must be of type "boolean", got "maybe".`,
+            `Property "Pattern" is not a valid regular expression "(".`,
+            `Property "Template" points to location "/does/not/exist.html" which does not exist (Report template).`,
+        ])
+        await assert.rejects(GetProperties(element, schema), error => error.message.startsWith(`Flow element "Matcher" is not configured correctly!\n - Property "Folder" is required`))
+    })
+
+    await t.test("requires a writable folder to exist", async () => {
+        const missing = path.join(s.getTempDir(), "missing");
+        const element = s.createFlowElement({properties: {Folder: missing, Output: path.join(s.getTempDir(), "out.pdf")}});
+        const report = new SwitchReport();
+        const config = await GetProperties(element, {Folder: schema.Folder, Output: {type: "path", kind: "file", writable: true}}, {report: report});
+
+        assert.deepStrictEqual(config, {Output: path.join(s.getTempDir(), "out.pdf")})
+        assert.deepStrictEqual(report.ListErrors(), [`Property "Folder" points to location "${missing}" which does not exist.`])
+    })
+})
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    SwitchHelperError, ConfigError, ValidationError, DatasetError, DatasetNotFoundError, FileSystemError, RoutingError, RouteError,
+    SwitchReport, GetGlobalSwitchConfig, GetDataSet, RemoveDataSet, FindInLocation, OutgoingConnectionManager,
+} = require("../index");
+const {MockSwitch} = require("../mock");
+
+test("Errors", async t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "switch-helpers-"));
+    const s = new MockSwitch();
+    t.after(() => {
+        fs.rmSync(root, {recursive: true, force: true})
+        s.cleanup()
+    })
+
+    await t.test("carry the code, the values and the cause", () => {
+        const cause = Error("EACCES");
+        const error = new FileSystemError(`Could not write`, {code: "WRITE_FAILED", values: {location: "/tmp/a"}, cause: cause});
+
+        assert.ok(error instanceof SwitchHelperError && error instanceof Error)
+        assert.deepStrictEqual([error.name, error.code, error.values, error.cause], ["FileSystemError", "WRITE_FAILED", {location: "/tmp/a"}, cause])
+        assert.deepStrictEqual([new ConfigError("").code, new ValidationError("").code, new DatasetNotFoundError("").code, new RoutingError("").code], ["CONFIG_INVALID", "INVALID_ARGUMENT", "DATASET_NOT_FOUND", "ROUTING_FAILED"])
+        assert.ok(new DatasetNotFoundError("") instanceof DatasetError)
+    })
+
+    await t.test("are thrown by the helpers", async () => {
+        assert.throws(() => GetGlobalSwitchConfig("SwitchHelpersMissingVariable"), error =>
+            error instanceof ConfigError && error.code === "CONFIG_NOT_SET" && error.values.variable === "SwitchHelpersMissingVariable")
+
+        await assert.rejects(GetDataSet(s.createJob(), "Missing"), error =>
+            error instanceof DatasetNotFoundError && error.values.name === "Missing")
+        await assert.rejects(RemoveDataSet(s.createJob(), "Missing", {ifNotFound: "other"}), error =>
+            error instanceof ValidationError && error.code === "INVALID_OPTION" && error.values.ifNotFound === "other")
+
+        await assert.rejects(FindInLocation("a", root, {lookFor: "everything"}), error =>
+            error instanceof ValidationError && error.values.lookFor === "everything")
+        await assert.rejects(FindInLocation("a", path.join(root, "missing"), {ifHaystackNotFound: "throwError"}), error =>
+            error instanceof FileSystemError && error.code === "LOCATION_NOT_FOUND")
+
+        const failing = s.createJob({name: "failing.pdf"});
+        const cause = Error("Connection busy");
+        s.failOn("sendToData", cause, "failing.pdf")
+        await assert.rejects(new OutgoingConnectionManager(failing).success(), error =>
+            error instanceof RoutingError && error.cause === cause && /Sending job to "success" failed: Connection busy/.test(error.message))
+    })
+
+    await t.test("RouteError adds the error to the report and sends the job to error", async () => {
+        const job = s.createJob({name: "order.pdf"});
+        const report = new SwitchReport();
+        report.addSuccessRow("Read the order")
+
+        const error = new DatasetNotFoundError(`Dataset "Order" does not exist!`, {values: {name: "Order", tried: ["a", "b"]}, cause: Error("missing")});
+        assert.strictEqual(await RouteError(job, error, {report: report, tmpFileLocation: root, format: "json"}), report)
+
+        const row = report.getRows()[1];
+        assert.deepStrictEqual([row.type, row.message, row.fields], ["error", `Dataset "Order" does not exist!`, {code: "DATASET_NOT_FOUND", error: "DatasetNotFoundError", name: "Order", tried: `["a","b"]`, cause: "missing"}])
+        assert.deepStrictEqual([job.routed.method, job.routed.level], ["sendToData", "error"])
+
+        const other = s.createJob();
+        const otherReport = await RouteError(other, "Something broke", {tmpFileLocation: root});
+        assert.deepStrictEqual(otherReport.getRows()[0].fields, {code: "UNKNOWN_ERROR", error: "string"})
+        assert.strictEqual(other.routed.level, "error")
+    })
+})
@@ -0,0 +1,435 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {GetGlobalSwitchConfig, ValidateConfig, ValidateGlobalSwitchConfig, ConfigSchemas, FormatDate, ParseDate, GenerateDateString, GenerateNewName, CreateNewTmpFile, CreateUniqueFile, CreateUniqueDirectory, TempWorkspace, SweepTempFiles, CreateDataSet, WaitForFileStable, WaitForFolderStable, TimeoutError, FindInLocation, FindInLocationStream, Delay} = require("../index");
+
+test("Files", async t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "switch-helpers-"));
+    t.after(() => fs.rmSync(root, {recursive: true, force: true}))
+
+    await t.test("GetGlobalSwitchConfig reads the file named by the environmental variable", t => {
+        const configPath = path.join(root, "config.json");
+        fs.writeFileSync(configPath, JSON.stringify({TempMetadataFileLocation: root}))
+        process.env.SwitchHelpersTestConfig = configPath
+        t.after(() => delete process.env.SwitchHelpersTestConfig)
+
+        assert.deepStrictEqual(GetGlobalSwitchConfig("SwitchHelpersTestConfig"), {TempMetadataFileLocation: root})
+        assert.throws(() => GetGlobalSwitchConfig("SwitchHelpersMissingVariable"), /is not set/)
+    })
+
+    await t.test("GetGlobalSwitchConfig layers server file, flow overrides and environmental variables", t => {
+        const basePath = path.join(root, "layered.json");
+        const serverPath = path.join(root, "layered.server.json");
+        fs.writeFileSync(basePath, JSON.stringify({A: "base", B: "base", C: {D: 1}, FlowOverrides: {Orders: {B: "flow"}}}))
+        fs.writeFileSync(serverPath, JSON.stringify({A: "server"}))
+        process.env.SwitchHelpersLayered = basePath
+        process.env.SwitchHelpersLayeredServer = serverPath
+        process.env.SWITCHCFG_C__E = "true"
+        t.after(() => {
+            delete process.env.SwitchHelpersLayered
+            delete process.env.SwitchHelpersLayeredServer
+            delete process.env.SWITCHCFG_C__E
+        })
+
+        const config = GetGlobalSwitchConfig("SwitchHelpersLayered", {flow: "Orders"});
+
+        assert.strictEqual(config.A, "server")
+        assert.strictEqual(config.B, "flow")
+        assert.deepStrictEqual(config.C, {D: 1, E: true})
+    })
+
+    await t.test("GetGlobalSwitchConfig re-reads the file only when it changes", t => {
+        const configPath = path.join(root, "cached.json");
+        fs.writeFileSync(configPath, JSON.stringify({Value: 1}))
+        process.env.SwitchHelpersCached = configPath
+        t.after(() => delete process.env.SwitchHelpersCached)
+
+        const first = GetGlobalSwitchConfig("SwitchHelpersCached");
+        first.Value = 2
+        assert.strictEqual(GetGlobalSwitchConfig("SwitchHelpersCached").Value, 1)
+
+        fs.writeFileSync(configPath, JSON.stringify({Value: 10}))
+        fs.utimesSync(configPath, new Date(), new Date(Date.now() + 5000))
+        assert.strictEqual(GetGlobalSwitchConfig("SwitchHelpersCached").Value, 10)
+    })
+
+    await t.test("ValidateConfig reports every problem at once and applies defaults", () => {
+        const schema = {
+            ...ConfigSchemas.TempFiles,
+            Retries: {type: "number", default: 3},
+            Mode: {type: "string", allowed: ["fast", "safe"]},
+        };
+
+        assert.deepStrictEqual(ValidateConfig({TempMetadataFileLocation: root}, schema), {TempMetadataFileLocation: root, TempFileMaxAge: 86400000, Retries: 3})
+        assert.throws(() => ValidateConfig({Mode: "other"}, schema, {requiredBy: "CreateDataSet"}), error =>
+            error.message.includes(`for "CreateDataSet"`) &&
+            error.message.includes(`Key "TempMetadataFileLocation" is missing`) &&
+            error.message.includes(`Key "Mode" has value "other"`))
+    })
+
+    await t.test("ValidateGlobalSwitchConfig checks the keys of all the helpers at once", t => {
+        const configPath = path.join(root, "all.json");
+        fs.writeFileSync(configPath, JSON.stringify({LogLevel: "verbose", FlowOverrides: []}))
+        process.env.SwitchHelpersAll = configPath
+        t.after(() => delete process.env.SwitchHelpersAll)
+
+        assert.throws(() => ValidateGlobalSwitchConfig("SwitchHelpersAll"), error =>
+            error.message.includes(`for "all helpers"`) &&
+            error.message.includes(`Key "TempMetadataFileLocation" is missing`) &&
+            error.message.includes(`Key "LogLevel" has value "verbose"`) &&
+            error.message.includes(`Key "FlowOverrides" must be of type "object", got "array"`))
+
+        fs.writeFileSync(configPath, JSON.stringify({TempMetadataFileLocation: root}))
+        fs.utimesSync(configPath, new Date(), new Date(Date.now() + 5000))
+        assert.deepStrictEqual(ValidateGlobalSwitchConfig("SwitchHelpersAll"), {TempMetadataFileLocation: root, TempFileMaxAge: 86400000, LogLevel: "info", LogFile: "", LogFileMaxSize: 10485760, LogFileMaxFiles: 5})
+        assert.deepStrictEqual(Object.keys(ConfigSchemas.SweepTempFiles), ["TempMetadataFileLocation", "TempFileMaxAge"])
+    })
+
+    await t.test("GenerateNewName adds prefix and suffix", () => {
+        assert.match(GenerateNewName("pre", "suf"), /^pre_\d{17}_\d+_suf$/)
+        assert.match(GenerateNewName("pre", "", "-", {datePattern: "YYYY[W]WW"}), /^pre-\d{4}W\d{2}-\d+$/)
+    })
+
+    await t.test("GenerateDateString uses one-based months and padded milliseconds", () => {
+        const before = new Date();
+        const generated = GenerateDateString(".");
+        const month = `${before.getUTCMonth() + 1}`.padStart(2, "0");
+
+        assert.match(generated, new RegExp(`^\\d{4}\\.${month}\\.\\d{2}\\.\\d{2}\\.\\d{2}\\.\\d{2}\\.\\d{3}$`))
+    })
+
+    await t.test("FormatDate and ParseDate handle tokens and time zones", () => {
+        const date = new Date("2024-10-07T09:05:03.007Z");
+
+        assert.strictEqual(FormatDate(date, "YYYY-MM-DD HH:mm:ss.SSS Z", {timeZone: "UTC"}), "2024-10-07 09:05:03.007 +00:00")
+        assert.strictEqual(FormatDate(date, "GGGG-[W]WW-E DDDD", {timeZone: "UTC"}), "2024-W41-1 281")
+        assert.strictEqual(FormatDate(date, "D/M/YY h:mm A ZZ", {timeZone: "America/New_York"}), "7/10/24 5:05 AM -0400")
+        assert.strictEqual(FormatDate(new Date("2021-01-01T12:00:00Z"), "GGGG-[W]WW-E", {timeZone: "UTC"}), "2020-W53-5")
+        assert.throws(() => FormatDate(date, "YYYY", {timeZone: "Mars/Olympus"}), /Time zone "Mars\/Olympus" is not valid/)
+
+        assert.deepStrictEqual(ParseDate("2024-10-07 05:05:03", "YYYY-MM-DD HH:mm:ss", {timeZone: "America/New_York"}), new Date("2024-10-07T09:05:03.000Z"))
+        assert.deepStrictEqual(ParseDate("2024-10-07T09:05:03.007+02:00"), new Date("2024-10-07T07:05:03.007Z"))
+        assert.deepStrictEqual(ParseDate("2020-W53-5", "GGGG-[W]WW-E", {timeZone: "UTC"}), new Date("2021-01-01T00:00:00.000Z"))
+        assert.deepStrictEqual(ParseDate("2024-366", "YYYY-DDD", {timeZone: "UTC"}), new Date("2024-12-31T00:00:00.000Z"))
+        assert.throws(() => ParseDate("2023-02-29", "YYYY-MM-DD"), /does not exist/)
+        assert.throws(() => ParseDate("07.10.2024", "YYYY-MM-DD"), /does not match the pattern "YYYY-MM-DD"/)
+        assert.throws(() => ParseDate("2024-00-10", "YYYY-MM-DD"), /invalid month "0"/)
+        assert.throws(() => ParseDate("2024-03-00", "YYYY-MM-DD"), /invalid day "0"/)
+        assert.throws(() => ParseDate("2024-W54", "GGGG-[W]WW"), /invalid week "54"/)
+        assert.throws(() => ParseDate("2021-W53", "GGGG-[W]WW", {timeZone: "UTC"}), /invalid week "53"/)
+        assert.throws(() => ParseDate("2024-03-31 01:30", "YYYY-MM-DD HH:mm", {timeZone: "Europe/London"}), /skipped by a daylight saving change/)
+        assert.deepStrictEqual(ParseDate("2024-10-27 01:30", "YYYY-MM-DD HH:mm", {timeZone: "Europe/London"}), new Date("2024-10-27T00:30:00.000Z"))
+        assert.deepStrictEqual(ParseDate("2024-11-03 01:30", "YYYY-MM-DD HH:mm", {timeZone: "America/New_York"}), new Date("2024-11-03T05:30:00.000Z"))
+        assert.deepStrictEqual(ParseDate("2024-10-07 12:30", "YYYY-MM-DD hh:mm", {timeZone: "UTC"}), new Date("2024-10-07T12:30:00.000Z"))
+        assert.deepStrictEqual(ParseDate("2024-10-07 12:30 AM", "YYYY-MM-DD hh:mm A", {timeZone: "UTC"}), new Date("2024-10-07T00:30:00.000Z"))
+        assert.deepStrictEqual(ParseDate("2024-10-07 12:30 pm", "YYYY-MM-DD hh:mm A", {timeZone: "UTC"}), new Date("2024-10-07T12:30:00.000Z"))
+    })
+
+    await t.test("CreateNewTmpFile never overwrites an existing file unless asked to", () => {
+        const location = path.join(root, "tmp", "file.txt");
+        const first = CreateNewTmpFile(location, "first");
+        const second = CreateNewTmpFile(location, "second");
+
+        assert.notStrictEqual(first, second)
+        assert.strictEqual(fs.readFileSync(first, "utf-8"), "first")
+        assert.strictEqual(CreateNewTmpFile(location, "third", true), first)
+        assert.strictEqual(fs.readFileSync(first, "utf-8"), "third")
+    })
+
+    await t.test("CreateNewTmpFile creates missing parent folders", () => {
+        const location = CreateNewTmpFile(path.join(root, "nested", "deeper", "file.txt"), "content");
+
+        assert.strictEqual(fs.readFileSync(location, "utf-8"), "content")
+    })
+
+    await t.test("CreateUniqueFile and CreateUniqueDirectory never reuse a name", () => {
+        const location = path.join(root, "unique", "order.pdf");
+
+        assert.strictEqual(CreateUniqueFile(location, "1"), location)
+        assert.strictEqual(CreateUniqueFile(location, "2"), path.join(root, "unique", "order (2).pdf"))
+        assert.strictEqual(CreateUniqueFile(location, Buffer.from("3")), path.join(root, "unique", "order (3).pdf"))
+        assert.match(path.basename(CreateUniqueFile(location, "", {naming: "timestamp"})), /^order_\d{17}_\d+\.pdf$/)
+        assert.match(path.basename(CreateUniqueFile(location, "", {naming: "uuid", keepName: false})), /^order_[0-9a-f-]{36}\.pdf$/)
+        assert.strictEqual(fs.readFileSync(location, "utf-8"), "1")
+        assert.throws(() => CreateUniqueFile(location, "", {attempts: 1}), /Could not create a unique name/)
+
+        const folder = path.join(root, "unique", "job");
+        assert.strictEqual(CreateUniqueDirectory(folder), folder)
+        assert.strictEqual(CreateUniqueDirectory(folder), path.join(root, "unique", "job (2)"))
+        assert.ok(fs.statSync(path.join(root, "unique", "job (2)")).isDirectory())
+    })
+
+    await t.test("TempWorkspace removes everything created through it when disposed", async () => {
+        const {MockSwitch} = require("../mock");
+        const s = new MockSwitch();
+        t.after(() => s.cleanup())
+        const outside = fs.mkdtempSync(path.join(root, "outside-"));
+        const workspace = new TempWorkspace({location: root, name: "job"});
+
+        assert.match(path.basename(workspace.getLocation()), /^job_\d{17}_\d+$/)
+        const file = workspace.createFile("notes.txt", "a");
+        const tmpFile = CreateNewTmpFile(workspace, "b");
+        await CreateDataSet(s.createJob(), "Order", {id: 1}, outside)
+        await CreateDataSet(s.createJob(), "Order", {id: 1}, workspace)
+        const tracked = workspace.list()[0];
+
+        assert.strictEqual(path.dirname(file), workspace.getLocation())
+        assert.strictEqual(path.dirname(tmpFile), workspace.getLocation())
+        assert.deepStrictEqual(workspace.list(), [tracked])
+        assert.strictEqual(path.dirname(tracked), workspace.getLocation())
+        assert.strictEqual(fs.readdirSync(outside).length, 1)
+
+        const location = workspace.getLocation();
+        const result = workspace.dispose();
+
+        assert.deepStrictEqual(result, {removed: [tracked, location], errors: []})
+        assert.strictEqual(fs.existsSync(location), false)
+        assert.deepStrictEqual(workspace.dispose(), {removed: [], errors: []})
+        assert.ok(workspace.isDisposed())
+        assert.throws(() => workspace.createFile(), /already been disposed/)
+    })
+
+    await t.test("SweepTempFiles removes only items older than the age given", async () => {
+        const tmp = fs.mkdtempSync(path.join(root, "sweep-"));
+        const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+        fs.writeFileSync(path.join(tmp, "old.json"), "")
+        fs.mkdirSync(path.join(tmp, "old_folder"))
+        fs.writeFileSync(path.join(tmp, "old_folder", "inside.txt"), "")
+        fs.writeFileSync(path.join(tmp, "keep.lock"), "")
+        fs.writeFileSync(path.join(tmp, "new.json"), "")
+        for (let name of ["old.json", "old_folder", "keep.lock"]) {fs.utimesSync(path.join(tmp, name), old, old)}
+
+        const dry = await SweepTempFiles({location: tmp, maxAge: 60 * 60 * 1000, exclude: ["*.lock"], dryRun: true});
+        assert.deepStrictEqual(dry.removed.sort(), [path.join(tmp, "old.json"), path.join(tmp, "old_folder")])
+        assert.ok(fs.existsSync(path.join(tmp, "old.json")))
+
+        await SweepTempFiles({location: tmp, maxAge: 60 * 60 * 1000, exclude: ["*.lock"]})
+        assert.deepStrictEqual(fs.readdirSync(tmp).sort(), ["keep.lock", "new.json"])
+        await assert.rejects(() => SweepTempFiles({location: tmp, maxAge: -1}), /positive number/)
+    })
+
+    await t.test("WaitForFileStable waits until the file stops changing", async () => {
+        const location = path.join(root, "arriving.pdf");
+        const partial = `${location}.part`;
+        let writes = 0;
+
+        const writer = setInterval(() => {
+            fs.appendFileSync(partial, "chunk")
+            if (++writes === 5) {
+                clearInterval(writer)
+                fs.renameSync(partial, location)
+            }
+        }, 10);
+
+        const result = await WaitForFileStable(location, {interval: 15, stableChecks: 2, timeout: 5000, exclusive: true});
+
+        assert.strictEqual(writes, 5)
+        assert.deepStrictEqual([result.location, result.size], [location, 25])
+        assert.ok(result.checks >= 3)
+        await assert.rejects(WaitForFileStable(partial, {ignorePartial: true}), error => error.code === "PARTIAL_FILE")
+    })
+
+    await t.test("WaitForFileStable does not wait for read-only files to open exclusively", async t => {
+        const location = path.join(root, "read-only.pdf");
+        fs.writeFileSync(location, "content")
+        t.mock.method(fs.promises, "open", async () => {throw Object.assign(Error("EACCES: permission denied"), {code: "EACCES"})})
+
+        const result = await WaitForFileStable(location, {interval: 5, stableChecks: 1, timeout: 1000, exclusive: true});
+        assert.strictEqual(result.size, 7)
+    })
+
+    await t.test("WaitForFileStable gives up on files that keep changing or stay empty", async () => {
+        const growing = path.join(root, "growing.pdf");
+        fs.writeFileSync(growing, "")
+        const writer = setInterval(() => fs.appendFileSync(growing, "x"), 2);
+
+        try {
+            await assert.rejects(WaitForFileStable(growing, {interval: 10, timeout: 60}), error =>
+                error instanceof TimeoutError && error.code === "NOT_STABLE" && error.values.location === growing)
+        } finally {
+            clearInterval(writer)
+        }
+
+        const empty = path.join(root, "empty.pdf");
+        fs.writeFileSync(empty, "")
+        await assert.rejects(WaitForFileStable(empty, {interval: 1, timeout: 20}), /did not become stable/)
+        assert.strictEqual((await WaitForFileStable(empty, {interval: 1, stableChecks: 1, allowEmpty: true})).size, 0)
+    })
+
+    await t.test("WaitForFolderStable ignores partial files", async () => {
+        const folder = path.join(root, "job folder");
+        fs.mkdirSync(path.join(folder, "links"), {recursive: true})
+        fs.writeFileSync(path.join(folder, "order.pdf"), "pdf")
+        fs.writeFileSync(path.join(folder, "links", "image.tif"), "tiff")
+        const lock = path.join(folder, "~$order.docx");
+        const writer = setInterval(() => fs.appendFileSync(lock, "x"), 2);
+
+        try {
+            const result = await WaitForFolderStable(folder, {interval: 5, stableChecks: 2, timeout: 5000});
+            assert.deepStrictEqual([result.files, result.size], [2, 7])
+
+            await assert.rejects(WaitForFolderStable(folder, {interval: 10, timeout: 60, ignorePartial: false}), error => error.code === "NOT_STABLE")
+        } finally {
+            clearInterval(writer)
+        }
+
+        await assert.rejects(WaitForFolderStable(folder, {stableChecks: 0}), /Option "stableChecks" must be a positive integer/)
+    })
+
+    await t.test("FindInLocation finds files by name and extension", async () => {
+        const haystack = path.join(root, "haystack");
+        fs.mkdirSync(path.join(haystack, "sub"), {recursive: true})
+        fs.writeFileSync(path.join(haystack, "Order-1.pdf"), "")
+        fs.writeFileSync(path.join(haystack, "Order-1.csv"), "")
+        fs.writeFileSync(path.join(haystack, "sub", "Order-2.pdf"), "")
+
+        const found = await FindInLocation("order", haystack, {allowedExt: ["pdf"], returnType: ["name"], depth: 1});
+
+        assert.deepStrictEqual(found.results.name.sort(), ["Order-1.pdf", "Order-2.pdf"])
+        assert.deepStrictEqual((await FindInLocation("order", path.join(root, "missing"))).results, {})
+    })
+
+    await t.test("FindInLocation scans every level and keeps accurate stats", async () => {
+        const haystack = path.join(root, "deep");
+        fs.mkdirSync(path.join(haystack, "a", "b", "c"), {recursive: true})
+        fs.writeFileSync(path.join(haystack, "a", "b", "c", "job(1).pdf"), "")
+        fs.writeFileSync(path.join(haystack, "a", "job(1).txt"), "")
+
+        const found = await FindInLocation("job(1)", haystack, {depth: Infinity, returnType: ["name"], concurrency: 2});
+
+        assert.deepStrictEqual(found.results.name.sort(), ["job(1).pdf", "job(1).txt"])
+        assert.deepStrictEqual({...found.stats, timeTaken: 0}, {foldersScanned: 4, entitiesTested: 5, timeTaken: 0, resultsFound: 2, errors: 0})
+    })
+
+    await t.test("FindInLocation supports glob and regex needles, exclusions and attribute filters", async () => {
+        const haystack = path.join(root, "filters");
+        fs.mkdirSync(path.join(haystack, "skip"), {recursive: true})
+        fs.writeFileSync(path.join(haystack, "ORD-1.pdf"), "1234567890")
+        fs.writeFileSync(path.join(haystack, "ORD-2.pdf"), "1")
+        fs.writeFileSync(path.join(haystack, ".ORD-3.pdf"), "1")
+        fs.writeFileSync(path.join(haystack, "skip", "ORD-4.pdf"), "1")
+        fs.utimesSync(path.join(haystack, "ORD-2.pdf"), new Date("2020-01-01"), new Date("2020-01-01"))
+
+        const names = async (needle, options) => ((await FindInLocation(needle, haystack, {returnType: ["name"], depth: 1, ...options})).results.name || []).sort();
+
+        assert.deepStrictEqual(await names("ord-?.pdf", {needleMode: "glob", partialMatch: false, exclude: ["skip"]}), ["ORD-1.pdf", "ORD-2.pdf"])
+        assert.deepStrictEqual(await names("^ORD-[14]", {needleMode: "regex", caseSensitive: true}), ["ORD-1.pdf", "ORD-4.pdf"])
+        assert.deepStrictEqual(await names("ORD", {hidden: "exclude", minSize: 5}), ["ORD-1.pdf"])
+        assert.deepStrictEqual(await names("ORD", {hidden: "only"}), [".ORD-3.pdf"])
+        assert.deepStrictEqual(await names("ORD", {modifiedBefore: "2021-01-01"}), ["ORD-2.pdf"])
+        await assert.rejects(FindInLocation("(", haystack, {needleMode: "regex"}), /not a valid regular expression/)
+    })
+
+    await t.test("FindInLocation follows symbolic links unless asked to skip them", async () => {
+        const haystack = path.join(root, "links");
+        fs.mkdirSync(path.join(haystack, "real"), {recursive: true})
+        fs.writeFileSync(path.join(haystack, "real", "file.pdf"), "")
+        fs.symlinkSync(path.join(haystack, "real", "file.pdf"), path.join(haystack, "file-link.pdf"), "file")
+        fs.symlinkSync(path.join(haystack, "real"), path.join(haystack, "linked"), "dir")
+        fs.symlinkSync(haystack, path.join(haystack, "real", "loop"), "dir")
+
+        const followed = await FindInLocation("file", haystack, {depth: Infinity, lookFor: "files", returnType: ["name"]});
+        const skipped = await FindInLocation("file", haystack, {depth: Infinity, followSymlinks: false});
+
+        assert.deepStrictEqual(followed.results.name.sort(), ["file-link.pdf", "file.pdf"])
+        assert.strictEqual(skipped.stats.resultsFound, 1)
+    })
+
+    await t.test("FindInLocation reports a symbolic link removed during the scan as an error", async t => {
+        const haystack = path.join(root, "links");
+        const realpath = fs.promises.realpath;
+        t.mock.method(fs.promises, "realpath", async location => {
+            if (location.endsWith("linked")) {throw Object.assign(Error(`ENOENT: no such file or directory, realpath '${location}'`), {code: "ENOENT"})}
+            return realpath(location)
+        })
+
+        const found = await FindInLocation("file", haystack, {depth: Infinity});
+
+        assert.strictEqual(found.stats.resultsFound, 2)
+        assert.deepStrictEqual(found.errors.map(e => path.basename(e.location)), ["linked"])
+    })
+})
+
+test("FindInLocationStream", async t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "switch-helpers-"));
+    t.after(() => fs.rmSync(root, {recursive: true, force: true}))
+
+    for (let folder = 0; folder < 5; folder++) {
+        fs.mkdirSync(path.join(root, `folder-${folder}`))
+        for (let file = 0; file < 20; file++) {
+            fs.writeFileSync(path.join(root, `folder-${folder}`, `ORD-${folder}-${file}.pdf`), "")
+        }
+    }
+
+    await t.test("yields every match and reports progress", async () => {
+        const progress = [];
+        const matches = FindInLocationStream("ORD", root, {depth: 1, onProgress: stats => progress.push(stats.foldersScanned)});
+        const names = [];
+
+        for await (const match of matches) {
+            names.push(match.name)
+        }
+
+        assert.strictEqual(names.length, 100)
+        assert.strictEqual(matches.stats.resultsFound, 100)
+        assert.strictEqual(matches.stats.foldersScanned, 6)
+        assert.strictEqual(progress.length, 6)
+    })
+
+    await t.test("stops after the limit or when the loop is left", async () => {
+        const limited = FindInLocationStream("ORD", root, {depth: 1, limit: 3, concurrency: 1});
+        const names = [];
+        for await (const match of limited) {names.push(match.full)}
+
+        assert.strictEqual(names.length, 3)
+        assert.ok(limited.stats.entitiesTested < 105)
+
+        const broken = FindInLocationStream("ORD", root, {depth: 1, concurrency: 1});
+        for await (const match of broken) {break}
+
+        assert.ok(broken.stats.resultsFound < 100)
+    })
+
+    await t.test("throws when aborted", async () => {
+        const controller = new AbortController();
+        const matches = FindInLocationStream("ORD", root, {depth: 1, signal: controller.signal});
+
+        await assert.rejects(async () => {
+            for await (const match of matches) {controller.abort(Error("Stopped by user"))}
+        }, /Stopped by user/)
+    })
+
+    await t.test("starts the timeout with the iteration and removes the listeners", async t => {
+        const controller = new AbortController();
+        const removed = [];
+        const removeEventListener = controller.signal.removeEventListener.bind(controller.signal);
+        controller.signal.removeEventListener = (type, listener) => {
+            removed.push(type)
+            removeEventListener(type, listener)
+        }
+
+        const delayed = FindInLocationStream("ORD", root, {depth: 1, timeout: 200, signal: controller.signal});
+        await Delay(250)
+        const names = [];
+        for await (const match of delayed) {names.push(match.name)}
+
+        assert.strictEqual(names.length, 100)
+        assert.deepStrictEqual(removed, ["abort"])
+
+        controller.abort(Error("Already aborted"))
+        await assert.rejects(async () => {
+            for await (const match of FindInLocationStream("ORD", root, {timeout: 10, signal: controller.signal})) {}
+        }, /Already aborted/)
+
+        const readdir = fs.promises.readdir;
+        t.mock.method(fs.promises, "readdir", async (...args) => {
+            await Delay(50)
+            return readdir(...args)
+        })
+        await assert.rejects(async () => {
+            for await (const match of FindInLocationStream("ORD", root, {timeout: 10})) {}
+        }, error => error instanceof TimeoutError && error.code === "TIMEOUT" && error.values.timeout === 10)
+    })
+})
@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {Logger, SwitchReport, GetDataSet, RemoveDataSet, GetProperty, CsvProcessor, SweepTempFiles, ClearGlobalSwitchConfigCache, OutgoingConnectionManager} = require("../index");
+const {MockSwitch} = require("../mock");
+
+test("Logger", async t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "switch-helpers-"));
+    const s = new MockSwitch();
+    t.after(() => {
+        fs.rmSync(root, {recursive: true, force: true})
+        s.cleanup()
+    })
+
+    await t.test("writes to the job, the report and the file with the context", async () => {
+        const job = s.createJob({name: "order.pdf"});
+        const flowElement = s.createFlowElement({name: "Match", flowName: "Orders"});
+        const report = new SwitchReport();
+        const file = path.join(root, "logs", "context.jsonl");
+        const logger = new Logger({job: job, flowElement: flowElement, report: report, file: file, level: "info", context: {step: "Matching"}});
+
+        await logger.debug("Hidden")
+        await logger.info("Order matched", {orderId: 42})
+        await logger.child({step: "Routing"}).error(Error("Connection busy"))
+
+        assert.deepStrictEqual(job.logs.map(l => [l.level, l.message]), [["info", "[Matching] Order matched (orderId: 42)"], ["error", "[Routing] Connection busy"]])
+        assert.deepStrictEqual(report.getRows().map(r => [r.type, r.message, r.fields.step]), [["log", "Order matched", "Matching"], ["error", "Connection busy", "Routing"]])
+
+        const lines = fs.readFileSync(file, "utf-8").trim().split("\n").map(line => JSON.parse(line));
+        assert.strictEqual(lines.length, 2)
+        assert.deepStrictEqual({...lines[0], time: undefined}, {time: undefined, level: "info", message: "Order matched", flow: "Orders", element: "Match", job: "order.pdf", step: "Matching", orderId: 42})
+        assert.ok(!Number.isNaN(Date.parse(lines[0].time)))
+    })
+
+    await t.test("logs to the flow element without a job and honours the report level", async () => {
+        const flowElement = s.createFlowElement({name: "Element"});
+        const report = new SwitchReport();
+        const logger = new Logger({flowElement: flowElement, report: report, reportLevel: "warning", level: "debug", file: ""});
+
+        await logger.debug("Starting")
+        await logger.warning("Careful")
+
+        assert.deepStrictEqual(flowElement.logs.map(l => l.level), ["debug", "warning"])
+        assert.deepStrictEqual(report.getRows().map(r => r.type), ["warning"])
+        assert.ok(logger.isEnabled("debug"))
+        await assert.rejects(() => logger.log("fatal", "x"), /Log level "fatal" is not supported/)
+        assert.throws(() => new Logger({level: "verbose", file: ""}), /Option "level" is allowed to have values/)
+    })
+
+    await t.test("rotates the file once it grows too large", async () => {
+        const file = path.join(root, "rotate.jsonl");
+        const logger = new Logger({file: file, level: "info", maxFileSize: 150, maxFiles: 2});
+
+        for (let i = 0; i < 10; i++) {
+            await logger.info(`Message number ${i}`)
+        }
+
+        assert.deepStrictEqual(fs.readdirSync(root).filter(name => name.startsWith("rotate")).sort(), ["rotate.jsonl", "rotate.jsonl.1", "rotate.jsonl.2"])
+        assert.ok(fs.statSync(file).size <= 150)
+        assert.match(fs.readFileSync(file, "utf-8"), /Message number 9/)
+    })
+
+    await t.test("reports a log file that cannot be written to instead of throwing", async () => {
+        const blocker = path.join(root, "blocker");
+        fs.writeFileSync(blocker, "")
+        const job = s.createJob();
+        const logger = new Logger({job: job, file: path.join(blocker, "log.jsonl"), level: "info"});
+
+        await logger.info("Still logged")
+
+        assert.deepStrictEqual(job.logs.map(l => l.level), ["info", "warning"])
+        assert.match(job.logs[1].message, /Could not write to the log file/)
+    })
+
+    await t.test("takes the level and the file from global switch config", async t => {
+        const configPath = path.join(root, "config.json");
+        const file = path.join(root, "config.jsonl");
+        fs.writeFileSync(configPath, JSON.stringify({LogLevel: "debug", LogFile: file}))
+        const previous = process.env.SwitchConfig;
+        process.env.SwitchConfig = configPath
+        t.after(() => {
+            if (previous === undefined) {delete process.env.SwitchConfig} else {process.env.SwitchConfig = previous}
+            ClearGlobalSwitchConfigCache()
+        })
+
+        const job = s.createJob();
+        const logger = new Logger({job: job});
+        await logger.debug("Visible")
+
+        assert.strictEqual(logger.getLevel(), "debug")
+        assert.deepStrictEqual(job.logs.map(l => l.message), ["Visible"])
+        assert.strictEqual(JSON.parse(fs.readFileSync(file, "utf-8")).message, "Visible")
+
+        const helperJob = s.createJob({datasets: {Order: {content: {id: 7}}}});
+        await RemoveDataSet(helperJob, "Order")
+        assert.deepStrictEqual(helperJob.logs.map(l => [l.level, l.message]), [["debug", `Removed dataset "Order"`]])
+    })
+
+    await t.test("applies the flow overrides of global switch config to the flow named", async t => {
+        const configPath = path.join(root, "flows.json");
+        fs.writeFileSync(configPath, JSON.stringify({LogLevel: "warning", FlowOverrides: {Prepress: {LogLevel: "debug"}}}))
+        const previous = process.env.SwitchConfig;
+        process.env.SwitchConfig = configPath
+        t.after(() => {
+            if (previous === undefined) {delete process.env.SwitchConfig} else {process.env.SwitchConfig = previous}
+            ClearGlobalSwitchConfigCache()
+        })
+
+        assert.strictEqual(new Logger({file: ""}).getLevel(), "warning")
+        assert.strictEqual(new Logger({file: "", flow: "Prepress"}).getLevel(), "debug")
+        assert.strictEqual(new Logger({file: "", flow: "Other"}).getLevel(), "warning")
+    })
+
+    await t.test("falls back to the info level in the helpers when global switch config cannot be read", async t => {
+        const configPath = path.join(root, "broken.json");
+        fs.writeFileSync(configPath, "{LogLevel:")
+        const previous = process.env.SwitchConfig;
+        process.env.SwitchConfig = configPath
+        t.after(() => {
+            if (previous === undefined) {delete process.env.SwitchConfig} else {process.env.SwitchConfig = previous}
+            ClearGlobalSwitchConfigCache()
+        })
+
+        const flowElement = s.createFlowElement();
+        s.failOn("hasProperty", Error("Element is gone"))
+        assert.strictEqual(await GetProperty(flowElement, "Folder"), undefined)
+        assert.deepStrictEqual(flowElement.logs.map(l => [l.level, l.message]), [["warning", `Property "Folder" could not be read: Element is gone`]])
+
+        const job = s.createJob({name: "broken.pdf"});
+        await new OutgoingConnectionManager(job).success()
+        assert.deepStrictEqual([job.routed.method, job.routed.level], ["sendToData", "success"])
+        assert.deepStrictEqual(job.logs, [])
+    })
+
+    await t.test("is accepted by the helpers", async () => {
+        const job = s.createJob();
+        const report = new SwitchReport();
+        const logger = new Logger({report: report, level: "info", file: ""});
+
+        await assert.rejects(() => GetDataSet(job, "Missing", {logger: logger}))
+
+        assert.deepStrictEqual(report.getRows().map(r => [r.type, r.message]), [["warning", `Dataset "Missing" does not exist!`]])
+        assert.deepStrictEqual(job.logs, [])
+
+        const debugReport = new SwitchReport();
+        const debugLogger = new Logger({report: debugReport, reportLevel: "debug", level: "debug", file: ""});
+        const csv = path.join(root, "helpers.csv");
+        fs.writeFileSync(csv, "Order,Qty\nA1,x\n")
+        await new CsvProcessor(csv, {columnTypes: {Qty: "number"}, logger: debugLogger})
+        await SweepTempFiles({location: path.join(root, "logs"), maxAge: 0, dryRun: true, logger: debugLogger})
+        assert.deepStrictEqual(debugReport.getRows().map(r => [r.type, r.message]), [
+            ["log", "Read 1 rows"],
+            ["warning", "1 cells could not be converted to the type of their column"],
+            ["log", "Would remove 1 temporary items from \"" + path.join(root, "logs") + "\""],
+        ])
+
+        const flowElement = s.createFlowElement();
+        s.failOn("hasProperty", Error("Element is gone"))
+        assert.strictEqual(await GetProperty(flowElement, "Folder"), undefined)
+        assert.deepStrictEqual(flowElement.logs.map(l => [l.level, l.message]), [["warning", `Property "Folder" could not be read: Element is gone`]])
+    })
+})
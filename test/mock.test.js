@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const {MockSwitch} = require("../mock");
+
+test("MockSwitch", async t => {
+    const s = new MockSwitch();
+    t.after(() => s.cleanup())
+
+    await t.test("creates jobs backed by files in the temporary directory", async () => {
+        const job = s.createJob({name: "order.pdf", content: "%PDF"});
+
+        assert.strictEqual(await job.getName(), "order.pdf")
+        assert.ok((await job.getPath()).startsWith(s.getTempDir()))
+        assert.strictEqual(fs.readFileSync(await job.getPath(), "utf-8"), "%PDF")
+    })
+
+    await t.test("stores, lists and removes datasets", async () => {
+        const job = s.createJob({datasets: {Existing: {content: {a: 1}}}});
+
+        assert.deepStrictEqual(await job.listDatasets(), [{name: "Existing", model: "JSON"}])
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(await job.getDataset("Existing", "readOnly"), "utf-8")), {a: 1})
+
+        await job.removeDataset("Existing")
+        await assert.rejects(job.getDataset("Existing", "readOnly"))
+    })
+
+    await t.test("records routing decisions and refuses to route a job twice", async () => {
+        const job = s.createJob({name: "routed.txt"});
+        await job.sendToData("success", "renamed.txt")
+
+        assert.deepStrictEqual(s.routing.at(-1), {jobId: job.id, jobName: "routed.txt", method: "sendToData", level: "success", newName: "renamed.txt"})
+        await assert.rejects(job.sendToNull())
+    })
+
+    await t.test("keeps private data", async () => {
+        const job = s.createJob({privateData: {Key: "Value"}});
+        await job.setPrivateData("Other", "1")
+
+        assert.strictEqual(await job.getPrivateData("Key"), "Value")
+        assert.deepStrictEqual(await job.listPrivateData(), ["Key", "Other"])
+    })
+
+    await t.test("throws mocked failures once", async () => {
+        const job = s.createJob({name: "failing.txt"});
+        s.failOn("sendToData", Error("Connection lost"))
+
+        await assert.rejects(job.sendToData("success"), /Connection lost/)
+        await job.sendToData("success")
+    })
+
+    await t.test("answers property questions from the flow element", async () => {
+        const element = s.createFlowElement({properties: {Folder: "/tmp", Count: 3}});
+
+        assert.strictEqual(await element.hasProperty("Folder"), true)
+        assert.strictEqual(await element.hasProperty("Missing"), false)
+        assert.strictEqual(await element.getPropertyStringValue("Count"), "3")
+        assert.strictEqual(s.callsOf("hasProperty").length, 2)
+    })
+})
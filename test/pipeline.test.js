@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {Writable} = require("stream");
+const {CsvPipeline, SwitchReport} = require("../index");
+
+test("CsvPipeline", async t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "switch-helpers-"));
+    t.after(() => fs.rmSync(root, {recursive: true, force: true}))
+
+    const input = path.join(root, "input.csv");
+    const lines = ["Order,Qty,Price"];
+    for (let i = 1; i <= 2500; i++) {
+        lines.push(`${String(i).padStart(5, "0")},${i % 5},${i === 9 ? "bad" : "1.5"}`)
+    }
+    fs.writeFileSync(input, lines.join("\n") + "\n")
+
+    await t.test("filters, maps and writes rows while reporting errors and progress", async () => {
+        const output = path.join(root, "out", "output.csv");
+        const progress = [];
+        const report = new SwitchReport();
+
+        const result = await new CsvPipeline(input, {columnTypes: {Order: "string", Price: "number"}})
+            .filter(row => row.Qty > 0)
+            .map(row => {
+                if (typeof row.Price !== "number") {throw Error(`Price "${row.Price}" is not a number`)}
+                return {Order: row.Order, Total: row.Qty * row.Price}
+            })
+            .run(output, {report: report, onProgress: stats => progress.push(stats.rowsRead), progressInterval: 1000});
+
+        assert.deepStrictEqual(result.stats, {...result.stats, rowsRead: 2500, rowsWritten: 1999, rowsDropped: 500, rowsFailed: 1})
+        assert.deepStrictEqual(progress, [1000, 2000, 2500])
+        assert.strictEqual(result.report, report)
+        assert.deepStrictEqual(report.ListErrors(), [`Row 10: Price "bad" is not a number`])
+
+        const written = fs.readFileSync(output, "utf-8").split("\n");
+        assert.deepStrictEqual(written.slice(0, 3), ["Order,Total", "00001,1.5", "00002,3"])
+    })
+
+    await t.test("splits rows, keeps failed rows on request and writes another dialect", async () => {
+        const output = path.join(root, "split.tsv");
+
+        const result = await new CsvPipeline(input)
+            .transform(row => row.Qty === 1 ? [row, row] : row.Qty === 2 ? null : row)
+            .map(row => {
+                if (row.Price === "bad") {throw Error("Bad price")}
+                return row
+            })
+            .run(output, {onRowError: "keep", delimiter: "\t", encoding: "utf-16le", bom: true});
+
+        assert.strictEqual(result.stats.rowsWritten, 2500)
+        const text = fs.readFileSync(output).subarray(2).toString("utf16le");
+        assert.ok(text.startsWith("Order\tQty\tPrice\n1\t1\t1.5\n1\t1\t1.5\n"))
+        assert.ok(text.includes("\n9\t4\tbad\n"))
+    })
+
+    await t.test("aborts on the first error when asked to", async () => {
+        const output = path.join(root, "aborted", "abort.csv");
+        await assert.rejects(new CsvPipeline(input).map((row, i) => {
+            if (i === 1500) {throw Error("Stop")}
+            return row
+        }).run(output, {onRowError: "abort"}), /Stop/)
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(output)), [])
+
+        await assert.rejects(new CsvPipeline(input).run(input), /cannot be the same/)
+    })
+
+    await t.test("stops when the output cannot be written to", {timeout: 5000}, async t => {
+        const output = path.join(root, "failing", "output.csv");
+        t.mock.method(fs, "createWriteStream", () => {
+            const stream = new Writable({highWaterMark: 1, write: () => {}});
+            setTimeout(() => stream.destroy(Object.assign(Error("ENOSPC: no space left on device"), {code: "ENOSPC"})), 10)
+            return stream
+        })
+
+        await assert.rejects(new CsvPipeline(input).run(output), /no space left/)
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(output)), [])
+    })
+})
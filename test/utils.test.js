@@ -0,0 +1,310 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {CompareStrings, MatchStrings, Delay, Retry, WithTimeout, TaskPool, MapLimit, TimeoutError, ValidationError, CreateDataSet, FindInLocation, OutgoingConnectionManager, TempWorkspace} = require("../index");
+const {MockSwitch} = require("../mock");
+
+test("CompareStrings", () => {
+    assert.strictEqual(CompareStrings("Order", "Order"), true)
+    assert.strictEqual(CompareStrings("Order", "order"), false)
+    assert.strictEqual(CompareStrings("Order", "order", {case_sensitive: false}), true)
+    assert.strictEqual(CompareStrings("Order-1", "der", {match_partial: true}), true)
+})
+
+test("MatchStrings", async t => {
+    await t.test("normalises accents, punctuation, whitespace and leading zeros", () => {
+        assert.strictEqual(CompareStrings("ORD-0042", "ord 42", {normalise: true}), true)
+        assert.strictEqual(CompareStrings("ORD-0042", "ord 42", {normalise: true, trim_leading_zeros: false}), false)
+        assert.strictEqual(CompareStrings("Crème  Brûlée", "creme brulee", {strip_accents: true, case_sensitive: false, collapse_whitespace: true}), true)
+        assert.strictEqual(CompareStrings("ORD 42", "ORD42", {ignore_separators: true}), true)
+        assert.strictEqual(CompareStrings("A-0", "a 0", {normalise: true}), true)
+    })
+
+    await t.test("supports every mode", () => {
+        assert.strictEqual(CompareStrings("Order-42.pdf", "order", {mode: "prefix", case_sensitive: false}), true)
+        assert.strictEqual(CompareStrings("Order-42.pdf", ".pdf", {mode: "suffix"}), true)
+        assert.strictEqual(CompareStrings("Order-42.pdf", "42", {mode: "contains"}), true)
+        assert.strictEqual(CompareStrings("Order-42.pdf", "Order-??.*", {mode: "wildcard"}), true)
+        assert.strictEqual(CompareStrings("Order-0042.pdf", "order*42*", {mode: "wildcard", normalise: true}), true)
+        assert.strictEqual(CompareStrings("Order-42.pdf", "Order-?.pdf", {mode: "wildcard"}), false)
+        assert.strictEqual(CompareStrings("ORD-0042.pdf", "ORD-00*", {mode: "wildcard", normalise: true}), true)
+        assert.strictEqual(CompareStrings("ORD-0042.pdf", "ORD-004*", {mode: "wildcard", trim_leading_zeros: true}), true)
+        assert.strictEqual(CompareStrings("ORD-0512.pdf", "ORD-004*", {mode: "wildcard", trim_leading_zeros: true}), false)
+        assert.strictEqual(CompareStrings("Order-42", /^order-\d+$/, {mode: "regex", case_sensitive: false}), true)
+        assert.strictEqual(CompareStrings("Order-42", "^order", {mode: "regex"}), false)
+        assert.throws(() => CompareStrings("a", "a", {mode: "other"}), /Option "mode" is allowed to have values/)
+    })
+
+    await t.test("returns the similarity score in fuzzy mode", () => {
+        assert.deepStrictEqual(MatchStrings("Müller GmbH", "muler gmbh", {mode: "fuzzy", normalise: true}), {match: true, score: 0.9, subject: "mullergmbh", pattern: "mulergmbh"})
+        assert.strictEqual(MatchStrings("kitten", "sitting", {mode: "fuzzy"}).score.toFixed(3), "0.571")
+        assert.strictEqual(MatchStrings("kitten", "sitting", {mode: "fuzzy", threshold: 0.5}).match, true)
+        assert.deepStrictEqual([MatchStrings("a", "a").score, MatchStrings("a", "b").score], [1, 0])
+        assert.strictEqual(MatchStrings("", "", {mode: "fuzzy"}).score, 1)
+    })
+})
+
+test("Delay", async () => {
+    const started = Date.now();
+    await Delay(20)
+
+    assert.ok(Date.now() - started >= 15)
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(Error("Stopped")), 5)
+    await assert.rejects(Delay(10000, {signal: controller.signal}), /Stopped/)
+})
+
+test("Retry", async t => {
+    await t.test("retries with the backoff until the call succeeds", async () => {
+        const waits = [];
+        const result = await Retry(async attempt => {
+            if (attempt < 4) {throw Error(`Failed ${attempt}`)}
+            return attempt
+        }, {attempts: 4, delay: 2, backoff: "exponential", maxDelay: 6, onRetry: (error, attempt, wait) => waits.push([error.message, wait])});
+
+        assert.strictEqual(result, 4)
+        assert.deepStrictEqual(waits, [["Failed 1", 2], ["Failed 2", 4], ["Failed 3", 6]])
+    })
+
+    await t.test("throws the last error once out of attempts or when the error is not retried", async () => {
+        let calls = 0;
+        await assert.rejects(Retry(async () => {throw Error(`Call ${++calls}`)}, {attempts: 2, delay: 1}), /Call 2/)
+
+        calls = 0
+        await assert.rejects(Retry(async () => {calls++; throw new ValidationError("Bad option")}, {delay: 1}), /Bad option/)
+        assert.strictEqual(calls, 1)
+
+        calls = 0
+        const busy = Object.assign(Error("busy"), {code: "EBUSY"});
+        await assert.rejects(Retry(async () => {throw calls++ ? Error("other") : busy}, {delay: 1, retryOn: ["EBUSY"]}), /other/)
+        assert.strictEqual(calls, 2)
+
+        await assert.rejects(Retry(async () => {}, {backoff: "random"}), /Option "backoff" is allowed to have values/)
+    })
+
+    await t.test("stops when the signal is aborted", async () => {
+        const controller = new AbortController();
+        let calls = 0;
+        const retried = Retry(async () => {
+            calls++
+            controller.abort(Error("Cancelled"))
+            throw Error("Failed")
+        }, {delay: 10000, signal: controller.signal});
+
+        await assert.rejects(retried, /Cancelled/)
+        assert.strictEqual(calls, 1)
+    })
+})
+
+test("WithTimeout", async () => {
+    assert.strictEqual(await WithTimeout(Promise.resolve(1), 100), 1)
+
+    let aborted;
+    await assert.rejects(WithTimeout(signal => new Promise(resolve => signal.addEventListener("abort", () => {aborted = signal.reason; resolve()})), 10), error =>
+        error instanceof TimeoutError && error.code === "TIMEOUT" && error.values.timeout === 10)
+    assert.ok(aborted instanceof TimeoutError)
+
+    const controller = new AbortController();
+    controller.abort(Error("Cancelled"))
+    await assert.rejects(WithTimeout(signal => Delay(10000, {signal}), 1000, {signal: controller.signal}), /Cancelled/)
+})
+
+test("TaskPool and MapLimit", async t => {
+    await t.test("never run more tasks than the limit", async () => {
+        const pool = new TaskPool(2);
+        let running = 0;
+        let highest = 0;
+        const results = [];
+
+        for (let i = 0; i < 6; i++) {
+            pool.add(async () => {
+                highest = Math.max(highest, ++running)
+                await Delay(2)
+                running--
+                results.push(i)
+            })
+        }
+
+        assert.strictEqual(pool.getPendingCount(), 4)
+        await pool.onIdle()
+        assert.deepStrictEqual([highest, results.length, pool.getActiveCount()], [2, 6, 0])
+    })
+
+    await t.test("MapLimit keeps the order of the items", async () => {
+        const doubled = await MapLimit([3, 1, 2], 2, async (item, index) => {
+            await Delay(item)
+            return [item * 2, index]
+        });
+
+        assert.deepStrictEqual(doubled, [[6, 0], [2, 1], [4, 2]])
+    })
+
+    await t.test("MapLimit stops on the first failure unless settling", async () => {
+        const started = [];
+        await assert.rejects(MapLimit([1, 2, 3, 4], 1, async item => {
+            started.push(item)
+            if (item === 2) {throw Error("Item 2 failed")}
+        }), /Item 2 failed/)
+        assert.deepStrictEqual(started, [1, 2])
+
+        const settled = await MapLimit([1, 2], 2, async item => {
+            if (item === 2) {throw Error("Item 2 failed")}
+            return item
+        }, {settle: true});
+        assert.deepStrictEqual(settled.map(r => r.status), ["fulfilled", "rejected"])
+    })
+})
+
+test("Retry policy on the helpers", async t => {
+    const s = new MockSwitch();
+    t.after(() => s.cleanup())
+
+    await t.test("CreateDataSet retries attaching the dataset", async () => {
+        const job = s.createJob({name: "flaky.pdf"});
+        s.failOn("createDataset", Error("Share not available"), "flaky.pdf")
+
+        await CreateDataSet(job, "Order", {id: 1}, s.getTempDir(), "JSON", {retry: {attempts: 2, delay: 1}})
+        assert.strictEqual(s.callsOf("createDataset", "flaky.pdf").length, 2)
+    })
+
+    await t.test("OutgoingConnectionManager routes with the policy", async () => {
+        const job = s.createJob({name: "policy.pdf"});
+        s.failOn("sendToData", Error("Connection busy"), "policy.pdf").failOn("sendToData", Error("Connection busy"), "policy.pdf")
+
+        await new OutgoingConnectionManager(job, undefined, {retry: {attempts: 3, delay: 1, backoff: "linear"}}).success()
+        assert.strictEqual(job.routed.level, "success")
+        assert.deepStrictEqual(job.logs.map(l => l.message), [`Sending job to "success" failed (attempt 1 of 3): Connection busy`, `Sending job to "success" failed (attempt 2 of 3): Connection busy`])
+    })
+
+    await t.test("FindInLocation validates the policy", async () => {
+        await assert.rejects(FindInLocation("a", s.getTempDir(), {retry: {attempts: 0}}), /Option "attempts" must be a positive integer/)
+        assert.ok((await FindInLocation("a", s.getTempDir(), {retry: {attempts: 2}})).results)
+    })
+
+    await t.test("FindInLocation only retries transient errors by default", async t => {
+        const failWith = code => {
+            const readdir = fs.promises.readdir;
+            let calls = 0;
+            t.mock.method(fs.promises, "readdir", async (...args) => {
+                if (calls++ === 0) {throw Object.assign(Error(code), {code: code})}
+                return readdir(...args)
+            })
+            return () => calls
+        };
+
+        let calls = failWith("EBUSY");
+        assert.strictEqual((await FindInLocation("a", s.getTempDir(), {retry: {attempts: 2, delay: 1}})).errors.length, 0)
+        assert.strictEqual(calls(), 2)
+        t.mock.restoreAll()
+
+        calls = failWith("EACCES");
+        assert.strictEqual((await FindInLocation("a", s.getTempDir(), {retry: {attempts: 2, delay: 1}})).errors.length, 1)
+        assert.strictEqual(calls(), 1)
+        t.mock.restoreAll()
+    })
+})
+
+test("OutgoingConnectionManager", async t => {
+    const s = new MockSwitch();
+    t.after(() => s.cleanup())
+
+    await t.test("sends the job and the report to the level requested under a new name", async () => {
+        const job = s.createJob({name: "order.pdf"});
+        const report = path.join(s.getTempDir(), "report.html");
+        fs.writeFileSync(report, "<html></html>")
+
+        await new OutgoingConnectionManager(job, "renamed").error(report)
+
+        assert.deepStrictEqual(s.routing.slice(-2).map(r => [r.method, r.level, r.newName]), [["sendToLog", "error", "renamed.html"], ["sendToData", "error", "renamed.pdf"]])
+    })
+
+    await t.test("rejects unknown levels and missing reports", async () => {
+        const job = s.createJob();
+        const report = path.join(s.getTempDir(), "levels.html");
+        fs.writeFileSync(report, "<html></html>")
+
+        assert.throws(() => new OutgoingConnectionManager(job).attach(report, {level: "critical"}), /Invalid attachment level supplied! Expected "success" or "warning" or "error", got "critical"/)
+        await assert.rejects(new OutgoingConnectionManager(job).success("/does/not/exist.html"), /doesn't exist/)
+    })
+
+    await t.test("renames the job without a report", async () => {
+        const job = s.createJob({name: "plain.pdf"});
+
+        await new OutgoingConnectionManager(job, "renamed.txt").success()
+
+        assert.deepStrictEqual(job.routed, {jobId: job.id, jobName: "plain.pdf", method: "sendToData", level: "success", newName: "renamed.pdf"})
+    })
+
+    await t.test("sends attachments and fans out to named connections", async () => {
+        const flowElement = s.createFlowElement({connections: ["Archive", {name: "Print", id: "conn-2"}]});
+        const job = s.createJob({name: "order.pdf"});
+        const summary = path.join(s.getTempDir(), "summary.json");
+        fs.writeFileSync(summary, "{}")
+
+        await new OutgoingConnectionManager(job, "order_1", {flowElement: flowElement})
+            .attach(summary, {level: "warning", model: "JSON"})
+            .sendTo(["Archive", {connection: "conn-2", newName: "print.pdf"}])
+
+        assert.deepStrictEqual(job.children.map(c => [c.name, c.routed.method, c.routed.level || c.routed.connection, c.routed.newName]), [
+            ["summary.json", "sendToLog", "warning", undefined],
+            ["order.pdf", "sendTo", "Archive", "order_1.pdf"],
+        ])
+        assert.deepStrictEqual([job.routed.method, job.routed.connection, job.routed.newName], ["sendTo", "Print", "print.pdf"])
+        await assert.rejects(new OutgoingConnectionManager(s.createJob(), undefined, {flowElement: flowElement}).sendTo("Missing"), /"Missing" does not exist! Available connections are: "Archive", "Print"/)
+    })
+
+    await t.test("applies the failure policy", async () => {
+        const rethrown = s.createJob({name: "rethrow.pdf"});
+        s.failOn("sendToData", Error("Connection busy"), "rethrow.pdf")
+        await assert.rejects(new OutgoingConnectionManager(rethrown).success(), /Connection busy/)
+        assert.deepStrictEqual(rethrown.logs.map(l => l.level), ["error"])
+
+        const failed = s.createJob({name: "fail.pdf"});
+        s.failOn("sendToData", Error("Connection busy"), "fail.pdf")
+        await new OutgoingConnectionManager(failed, undefined, {onFailure: "fail"}).warning()
+        assert.deepStrictEqual(failed.routed.method, "fail")
+        assert.match(failed.routed.message, /Sending job to "warning" failed: Connection busy/)
+
+        const retried = s.createJob({name: "retry.pdf"});
+        s.failOn("sendToData", Error("Connection busy"), "retry.pdf").failOn("sendToData", Error("Connection busy"), "retry.pdf")
+        await new OutgoingConnectionManager(retried, undefined, {onFailure: "retry", retries: 2, retryDelay: 1}).error()
+        assert.deepStrictEqual([retried.routed.method, retried.routed.level], ["sendToData", "error"])
+        assert.deepStrictEqual(retried.logs.map(l => l.level), ["warning", "warning"])
+
+        const withAttachment = s.createJob({name: "attached.pdf"});
+        const summary = path.join(s.getTempDir(), "retried-summary.json");
+        fs.writeFileSync(summary, "{}")
+        s.failOn("sendToLog", Error("Connection busy"), "retried-summary.json")
+        await new OutgoingConnectionManager(withAttachment, undefined, {onFailure: "retry", retries: 1, retryDelay: 1}).attach(summary).success()
+        assert.deepStrictEqual(withAttachment.children.map(c => [c.name, c.routed.method]), [["retried-summary.json", "sendToLog"]])
+
+        const fannedOut = s.createJob({name: "fanout.pdf"});
+        const flowElement = s.createFlowElement({connections: ["Archive", "Print"]});
+        s.failOn("sendTo", Error("Connection busy"), "fanout.pdf")
+        await new OutgoingConnectionManager(fannedOut, undefined, {flowElement: flowElement, onFailure: "retry", retries: 1, retryDelay: 1}).sendTo(["Archive", "Print"])
+        assert.deepStrictEqual(fannedOut.children.map(c => [c.name, c.routed.method, c.routed.connection]), [["fanout.pdf", "sendTo", "Archive"]])
+        assert.deepStrictEqual([fannedOut.routed.method, fannedOut.routed.connection], ["sendTo", "Print"])
+    })
+
+    await t.test("disposes the workspace once the job is routed or routing fails", async () => {
+        const workspace = new TempWorkspace({location: s.getTempDir()});
+        const log = workspace.createFile("log.txt", "log");
+
+        await new OutgoingConnectionManager(s.createJob(), undefined, {workspace: workspace}).attach(log).success()
+        assert.strictEqual(fs.existsSync(log), false)
+        assert.ok(workspace.isDisposed())
+
+        const rethrown = new TempWorkspace({location: s.getTempDir()});
+        const leftover = rethrown.createFile("leftover.txt", "log");
+        s.failOn("sendToData", Error("Connection busy"), "rethrown.pdf")
+        await assert.rejects(new OutgoingConnectionManager(s.createJob({name: "rethrown.pdf"}), undefined, {workspace: rethrown}).success(), /Connection busy/)
+        assert.deepStrictEqual([rethrown.isDisposed(), fs.existsSync(leftover)], [true, false])
+
+        const missing = new TempWorkspace({location: s.getTempDir()});
+        const flowElement = s.createFlowElement({connections: ["Archive"]});
+        await assert.rejects(new OutgoingConnectionManager(s.createJob(), undefined, {flowElement: flowElement, workspace: missing}).sendTo("Missing"), /"Missing" does not exist/)
+        assert.ok(missing.isDisposed())
+    })
+})